@@ -1,11 +1,15 @@
 import { connect } from 'mongoose';
 import PromoSetting from '../models/PromoSetting.js';
+import { initializeAdminBootstrap } from '../services/adminBootstrapService.js';
+import { initializeRolePermissions } from '../services/permissionService.js';
 
 const connectDB = async () => {
   try {
     const conn = await connect(process.env.DATABASE_URL);
     console.log(`MongoDB Connected: ${conn.connection.host}`, new Date().toLocaleString());
     PromoSetting.initializePromoSettings();
+    initializeAdminBootstrap();
+    initializeRolePermissions();
     
   } catch (err) {
     console.error(`Error: ${err.message}`);
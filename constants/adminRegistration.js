@@ -0,0 +1,10 @@
+export const AdminRegistrationChannels = {
+  BOOTSTRAP: 'bootstrap', // POST /api/v1/auth/register-admin with the one-time setup token
+  USERS: 'users', // POST/PUT /api/v1/users by an existing admin
+};
+
+export const AdminRegistrationOutcomes = {
+  SUCCESS: 'success',
+  REJECTED: 'rejected', // Refused before anything was written (closed bootstrap, bad token, validation)
+  FAILED: 'failed', // Server error while creating the user
+};
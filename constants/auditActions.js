@@ -0,0 +1,20 @@
+export const AuditActions = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SOFT_DELETE: 'soft_delete', // isDeleted false -> true
+  RESTORE: 'restore', // isDeleted true -> false
+  DELETE: 'delete', // Hard delete
+};
+
+// Models carrying models/plugins/auditPlugin.js, i.e. valid values of AuditLog.entity
+export const AuditedEntities = [
+  'Menu',
+  'Addon',
+  'Bundle',
+  'Outlet',
+  'User',
+  'PromoSetting',
+  'Order',
+  'Sale',
+  'OutletInventoryTransaction',
+];
@@ -5,6 +5,12 @@ export const ErrorCode = {
     userAlreadyExist: 'user-already-exist',
     invalidCredential: 'invalid-credential',
     innactiveUser: 'user-is-innactive',
+    adminBootstrapClosed: 'admin-bootstrap-closed',
+    invalidSetupToken: 'invalid-setup-token',
+    invalidInput: 'invalid-input',
+
+    // sync error code
+    invalidSyncToken: 'invalid-sync-token',
     
     // stock error code
     stockAlreadyExist: 'stock-already-exist',
@@ -0,0 +1,19 @@
+export const LoginFailureReasons = {
+  INVALID_CREDENTIALS: 'invalid_credentials', // Unknown userId or wrong password
+  USER_DELETED: 'user_deleted',
+  USER_INACTIVE: 'user_inactive',
+  LOCKED_OUT: 'locked_out', // Rejected by the throttle before the password was checked
+  INVALID_DEVICE: 'invalid_device', // PIN switch from an unknown or deactivated tablet
+  NOT_OUTLET_OPERATOR: 'not_outlet_operator', // PIN switch by a user not assigned to the tablet's outlet
+};
+
+export const LoginMethods = {
+  PASSWORD: 'password', // userId + password on /auth/login
+  PIN: 'pin', // Operator switch on a shared tablet
+};
+
+// What a LoginThrottle counter is keyed on
+export const LoginThrottleScopes = {
+  USER: 'user', // Login id sent to /auth/login (whether or not it exists)
+  IP: 'ip',
+};
@@ -0,0 +1,77 @@
+import { Roles } from './roles.js';
+
+// Permission catalogue. Routes check these with middleware/permission.js instead of role names;
+// which roles hold which permission is configured in the RolePermission collection.
+export const Permissions = {
+  SALE_UPDATE: 'sale.update',
+  SALE_DELETE: 'sale.delete',
+  SALE_REFUND: 'sale.refund',
+  ORDER_UPDATE: 'order.update', // Change order status
+  ORDER_ACCEPT: 'order.accept', // Accept / unaccept order items (posts inventory)
+  ORDER_DELETE: 'order.delete',
+  PURCHASE_APPROVE: 'purchase.approve', // Accept or reject purchases
+  PURCHASE_DELETE: 'purchase.delete',
+  INVENTORY_ADJUST: 'inventory.adjust', // Edit outlet inventory, approve/cancel stock opname
+  INVENTORY_DELETE: 'inventory.delete',
+  INVENTORY_REORDER_LEVEL: 'inventory.reorderLevel',
+  SERVICE_REQUEST_CREATE: 'serviceRequest.create',
+  SERVICE_REQUEST_VIEW: 'serviceRequest.view',
+  SERVICE_REQUEST_PROCESS: 'serviceRequest.process', // Approve or reject
+  SERVICE_REQUEST_DELETE: 'serviceRequest.delete',
+  PROMO_EDIT: 'promo.edit',
+  USER_MANAGE: 'user.manage',
+  PERMISSION_MANAGE: 'permission.manage',
+  AUDIT_VIEW: 'audit.view', // Read the audit trail
+};
+
+export const PermissionDescriptions = {
+  [Permissions.SALE_UPDATE]: 'Mengubah data penjualan',
+  [Permissions.SALE_DELETE]: 'Menghapus penjualan',
+  [Permissions.SALE_REFUND]: 'Melakukan refund penjualan',
+  [Permissions.ORDER_UPDATE]: 'Mengubah status pesanan bahan',
+  [Permissions.ORDER_ACCEPT]: 'Menerima item pesanan bahan',
+  [Permissions.ORDER_DELETE]: 'Menghapus pesanan bahan',
+  [Permissions.PURCHASE_APPROVE]: 'Menyetujui atau menolak pembelian',
+  [Permissions.PURCHASE_DELETE]: 'Menghapus pembelian',
+  [Permissions.INVENTORY_ADJUST]: 'Menyesuaikan stok outlet dan menyetujui stok opname',
+  [Permissions.INVENTORY_DELETE]: 'Menghapus inventaris outlet',
+  [Permissions.INVENTORY_REORDER_LEVEL]: 'Mengatur batas minimum stok',
+  [Permissions.SERVICE_REQUEST_CREATE]: 'Membuat permintaan layanan',
+  [Permissions.SERVICE_REQUEST_VIEW]: 'Melihat permintaan layanan',
+  [Permissions.SERVICE_REQUEST_PROCESS]: 'Menyetujui atau menolak permintaan layanan',
+  [Permissions.SERVICE_REQUEST_DELETE]: 'Menghapus permintaan layanan',
+  [Permissions.PROMO_EDIT]: 'Mengubah pengaturan promo',
+  [Permissions.USER_MANAGE]: 'Membuat, mengubah dan menghapus pengguna',
+  [Permissions.PERMISSION_MANAGE]: 'Mengatur hak akses peran dan pengguna',
+  [Permissions.AUDIT_VIEW]: 'Melihat jejak audit perubahan data',
+};
+
+// Seeded into RolePermission for roles that have no mapping yet; mirrors the former authorizeRoles checks.
+// Admins always hold every permission regardless of this mapping (see permissionService).
+export const DefaultRolePermissions = {
+  [Roles.admin]: Object.values(Permissions),
+  [Roles.franchisee]: [
+    Permissions.SERVICE_REQUEST_CREATE,
+    Permissions.SERVICE_REQUEST_VIEW,
+  ],
+  [Roles.spvarea]: [
+    Permissions.SALE_REFUND,
+    Permissions.ORDER_UPDATE,
+    Permissions.ORDER_ACCEPT,
+    Permissions.PURCHASE_APPROVE,
+    Permissions.INVENTORY_ADJUST,
+    Permissions.INVENTORY_REORDER_LEVEL,
+    Permissions.SERVICE_REQUEST_CREATE,
+    Permissions.SERVICE_REQUEST_VIEW,
+    Permissions.SERVICE_REQUEST_PROCESS,
+    Permissions.SERVICE_REQUEST_DELETE,
+  ],
+  [Roles.operator]: [
+    Permissions.SALE_UPDATE,
+    Permissions.SALE_REFUND,
+    Permissions.ORDER_UPDATE,
+    Permissions.ORDER_ACCEPT,
+    Permissions.SERVICE_REQUEST_CREATE,
+    Permissions.SERVICE_REQUEST_DELETE,
+  ],
+};
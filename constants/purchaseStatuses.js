@@ -0,0 +1,5 @@
+export const PurchaseStatuses = {
+  PENDING: 'pending', // Recorded by the outlet, stock not yet posted
+  ACCEPTED: 'accepted', // Verified; IN transactions have been posted
+  REJECTED: 'rejected',
+};
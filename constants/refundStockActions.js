@@ -0,0 +1,5 @@
+export const RefundStockActions = {
+  NONE: 'none', // Ingredients are not returned to stock
+  RESTOCK: 'restock', // Ingredients go back to stock (IN)
+  SPOILAGE: 'spoilage', // Ingredients are returned then written off (IN + SPOILAGE)
+};
@@ -0,0 +1,6 @@
+// Outcome of one sale in POST /api/v1/sales/sync
+export const SaleSyncStatuses = {
+  SUCCESS: 'success', // Sale created
+  CONFLICT: 'conflict', // A sale with this clientId was already synced; the existing sale is returned
+  FAILED: 'failed', // Validation failed, nothing was created
+};
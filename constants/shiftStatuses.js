@@ -0,0 +1,4 @@
+export const ShiftStatuses = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
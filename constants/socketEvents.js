@@ -0,0 +1,18 @@
+export const SocketEvents = {
+  SALE_CREATED: 'sale:created',
+  SALE_DELETED: 'sale:deleted',
+  SALE_REFUNDED: 'sale:refunded',
+  ORDER_STATUS_CHANGED: 'order:statusChanged',
+  TRANSFER_STATUS_CHANGED: 'transfer:statusChanged',
+  SHIFT_OPENED: 'shift:opened',
+  SHIFT_CLOSED: 'shift:closed',
+  SERVICE_REQUEST_CREATED: 'serviceRequest:created',
+  SERVICE_REQUEST_PROCESSED: 'serviceRequest:processed',
+  ADMIN_NOTIFICATION_CREATED: 'adminNotification:created',
+};
+
+export const SocketRooms = {
+  outlet: (outletId) => `outlet:${outletId}`,
+  role: (role) => `role:${role}`,
+  user: (userId) => `user:${userId}`,
+};
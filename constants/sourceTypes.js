@@ -2,5 +2,7 @@ export const SourceTypes = {
   SALE: 'SALE',
   PURCHASE: 'PURCHASE',
   ORDER: 'ORDER',
-  STOCK: 'STOCK'
+  STOCK: 'STOCK',
+  STOCK_OPNAME: 'STOCK_OPNAME',
+  TRANSFER: 'TRANSFER'
 };
\ No newline at end of file
@@ -0,0 +1,6 @@
+export const StockOpnameStatuses = {
+  COUNTING: 'counting', // Expected quantities snapshotted, counts are being entered
+  SUBMITTED: 'submitted', // Counting finished, waiting for supervisor approval
+  APPROVED: 'approved', // Variances have been posted as ADJUSTMENT transactions
+  CANCELLED: 'cancelled',
+};
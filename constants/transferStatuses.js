@@ -0,0 +1,12 @@
+export const TransferStatuses = {
+  REQUESTED: 'requested', // Destination outlet asked for the ingredients
+  DISPATCHED: 'dispatched', // Source outlet sent them; OUT transactions posted at the source
+  RECEIVED: 'received', // Destination confirmed receipt; IN (and SPOILAGE) transactions posted
+  CANCELLED: 'cancelled',
+};
+
+// How a shortfall between dispatched and received quantity is booked at the destination
+export const TransferDiscrepancyTypes = {
+  SPOILAGE: 'spoilage', // Arrived damaged: received in full, then written off as SPOILAGE
+  DISCREPANCY: 'discrepancy', // Missing/unexplained: only recorded on the transfer
+};
@@ -2,6 +2,7 @@ import Addon from '../models/Addon.js';
 import mongoose from 'mongoose'; // For ObjectId validation
 import Ingredient from '../models/Ingredient.js'; // Needed for ingredient validation in recipe
 import * as productCompositionService from '../services/productCompositionService.js'; // NEW: Import the new service
+import * as listQueryService from '../services/listQueryService.js';
 
 // --- CRUD Controller Functions for Addon ---
 
@@ -87,16 +88,25 @@ export const getAddons = async (req, res) => {
       filter.code = { $regex: req.query.code, $options: 'i' };
     }
 
-    const query = Addon.find(filter).sort({ createdAt: -1 });
+    const populate = [];
 
     // Populate recipe ingredients if the Addon model includes a recipe field and it's requested
     const populateFields = req.query.populate;
     if (populateFields && populateFields.includes('recipe')) {
-      query.populate('recipe.ingredientId');
+      populate.push(['recipe.ingredientId']);
     }
 
-    const addons = await query.exec();
-    res.status(200).json(addons.map(addon => addon.toJSON()));
+    const page = await listQueryService.findPage(Addon, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code', 'price'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(addon => addon.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil addons:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil addons.', error: error.message });
@@ -1,8 +1,11 @@
 import * as service from '../services/adminNotificationService.js';
+import { setPageHeaders } from '../services/listQueryService.js';
+import { getAccessibleOutletIds } from '../services/outletAccessService.js';
 
 export const index = async (req, res) => {
-    const result = await service.getAdminNotifications(req.query);
-    if (!result.success) return res.status(500).json(result);
+    const result = await service.getAdminNotifications(req.query, await getAccessibleOutletIds(req.user));
+    if (!result.success) return res.status(result.errors ? 400 : 500).json(result);
+    setPageHeaders(res, result.data);
     return res.json(result);
 };
 
@@ -15,14 +18,14 @@ export const store = async (req, res) => {
 
 export const markAsOpened = async (req, res) => {
     const { id } = req.params;
-    const result = await service.openAdminNotification(id);
+    const result = await service.openAdminNotification(id, await getAccessibleOutletIds(req.user));
     if (!result.success) return res.status(404).json(result);
     return res.json(result);
 };
 
 export const destroy = async (req, res) => {
     const { id } = req.params;
-    const result = await service.deleteAdminNotification(id);
+    const result = await service.deleteAdminNotification(id, await getAccessibleOutletIds(req.user));
     if (!result.success) return res.status(404).json(result);
     return res.json(result);
 };
\ No newline at end of file
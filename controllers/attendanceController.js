@@ -3,6 +3,10 @@ import Outlet from '../models/Outlet.js';     // For outlet validation
 import User from '../models/User.js';         // For operator validation
 import { Roles } from '../constants/roles.js'; // For operator role validation
 import mongoose from 'mongoose';              // For ObjectId validation
+import multer from 'multer';                  // For MulterError checks
+import { canAccessOutlet, getAccessibleOutletIds, hasOutletRole } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
 
 // Helper function to validate user as an Operator
 const validateOperator = async (operatorId, errorsArray) => {
@@ -22,6 +26,17 @@ const validateOperator = async (operatorId, errorsArray) => {
   return { userId: operatorUser._id, userName: operatorUser.name };
 };
 
+// Removes an evidence image that was saved before the request was rejected
+const removeUploadedFile = async (req) => {
+  if (!req.file || !req.file.path) return;
+  const fs = await import('fs/promises');
+  try {
+    await fs.unlink(req.file.path);
+  } catch (fileErr) {
+    console.error(`Error deleting uploaded file ${req.file.path}:`, fileErr);
+  }
+};
+
 // Helper to get start of day for consistent date comparison
 const getStartOfDay = (date) => {
   const d = new Date(date);
@@ -43,14 +58,16 @@ export const clockIn = async (req, res) => {
 
     const operatorDetails = await validateOperator(operatorId, errors);
     if (!operatorDetails) {
+        await removeUploadedFile(req);
         return res.status(400).json({ message: 'Validasi gagal.', errors });
     }
 
     // Validate Outlet
+    let outlet = null;
     if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
       errors.push('ID Outlet tidak valid.');
     } else {
-      const outlet = await Outlet.findById(outletId);
+      outlet = await Outlet.findById(outletId);
       if (!outlet || outlet.isDeleted || !outlet.isActive) {
         errors.push('Outlet yang disediakan tidak ditemukan, sudah dihapus, atau tidak aktif.');
       }
@@ -62,9 +79,16 @@ export const clockIn = async (req, res) => {
     }
 
     if (errors.length > 0) {
+      await removeUploadedFile(req);
       return res.status(400).json({ message: 'Validasi gagal.', errors });
     }
 
+    // Operators can only clock in at outlets they are assigned to (directly or through an outlet group)
+    if (!(await hasOutletRole(req.user, outlet._id, Roles.operator))) {
+      await removeUploadedFile(req);
+      return res.status(403).json({ message: `Anda bukan operator di outlet '${outlet.name}'.` });
+    }
+
     const today = getStartOfDay(new Date());
 
     // Check if an attendance record already exists for this operator today
@@ -252,14 +276,19 @@ export const clockOut = async (req, res) => {
   }
 };
 
-// @desc    Get all attendance records (Admin/SPV Area access)
+// @desc    Get all attendance records (non-admins only see the outlets they are assigned to)
 // @route   GET /api/v1/attendance
-// @access  Private (Admin/SPV Area)
+// @access  Private
 export const getAttendanceRecords = async (req, res) => {
   try {
     const filter = { isDeleted: false };
     const { operatorId, outletId, dateFrom, dateTo, isActive } = req.query;
 
+    const accessibleOutletIds = await getAccessibleOutletIds(req.user);
+    if (accessibleOutletIds) {
+      filter.outlet = { $in: accessibleOutletIds };
+    }
+
     if (operatorId) {
       if (!mongoose.Types.ObjectId.isValid(operatorId)) {
         return res.status(400).json({ message: 'ID Operator tidak valid untuk filter.' });
@@ -270,6 +299,9 @@ export const getAttendanceRecords = async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(outletId)) {
         return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
       }
+      if (accessibleOutletIds && !accessibleOutletIds.includes(outletId)) {
+        return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat absensi outlet ini.' });
+      }
       filter.outlet = outletId;
     }
     if (dateFrom || dateTo) {
@@ -295,13 +327,16 @@ export const getAttendanceRecords = async (req, res) => {
     }
 
 
-    const attendanceRecords = await Attendance.find(filter)
-                                            .populate('outlet', 'name code address')
-                                            .populate('operator', 'name userId roles')
-                                            .populate('createdBy.userId', 'name userId')
-                                            .sort({ date: -1, timeIn: -1 }); // Sort by newest date, then newest timeIn
-
-    res.status(200).json(attendanceRecords.map(record => record.toJSON()));
+    const page = await listQueryService.findPage(Attendance, filter, req.query, {
+      sortFields: ['timeIn', 'date', 'createdAt'],
+      defaultSort: '-timeIn',
+      populate: [['outlet', 'name code address'], ['operator', 'name userId roles'], ['createdBy.userId', 'name userId']],
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(record => record.toJSON()));
 
   } catch (error) {
     console.error('Kesalahan saat mengambil catatan absensi:', error);
@@ -312,7 +347,7 @@ export const getAttendanceRecords = async (req, res) => {
 
 // @desc    Get a single attendance record by ID
 // @route   GET /api/v1/attendance/:id
-// @access  Private (Admin/Operator/SPV Area - operator can only view their own)
+// @access  Private (own record, or a record of an outlet the caller is assigned to)
 export const getAttendanceRecordById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -329,13 +364,13 @@ export const getAttendanceRecordById = async (req, res) => {
       return res.status(404).json({ message: 'Catatan absensi tidak ditemukan atau sudah dihapus.' });
     }
 
-    // Security check: If not admin/SPV Area, ensure operator can only view their own record
-    // This assumes your authentication middleware sets req.user.roles
-    // if (!req.user.roles.includes(Roles.ADMIN) && !req.user.roles.includes(Roles.SPV_AREA)) {
-    //   if (attendance.operator.toString() !== req.user._id.toString()) {
-    //     return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat catatan absensi ini.' });
-    //   }
-    // }
+    // Security check: callers may view their own record or records of outlets they are assigned to
+    const attendanceOperatorId = attendance.operator?._id || attendance.operator;
+    const attendanceOutletId = attendance.outlet?._id || attendance.outlet;
+    const isOwnRecord = attendanceOperatorId && attendanceOperatorId.toString() === req.user._id.toString();
+    if (!isOwnRecord && !(await canAccessOutlet(req.user, attendanceOutletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat catatan absensi ini.' });
+    }
 
     res.status(200).json(attendance.toJSON());
   } catch (error) {
@@ -347,9 +382,9 @@ export const getAttendanceRecordById = async (req, res) => {
   }
 };
 
-// @desc    Soft delete an attendance record by ID (Admin only)
+// @desc    Soft delete an attendance record by ID
 // @route   DELETE /api/v1/attendance/:id
-// @access  Private (Admin role)
+// @access  Private (Admin, SPV Area for their outlets)
 export const deleteAttendance = async (req, res) => {
   try {
     const { id } = req.params;
@@ -357,21 +392,24 @@ export const deleteAttendance = async (req, res) => {
       return res.status(400).json({ message: 'Format ID Absensi tidak valid.' });
     }
 
-    // Optional: Check if user has ADMIN role before proceeding
-    if (!req.user || !req.user.roles.includes(Roles.admin)) {
+    if (!req.user || !(req.user.roles.includes(Roles.admin) || req.user.roles.includes(Roles.spvarea))) {
       return res.status(403).json({ message: 'Anda tidak memiliki izin untuk menghapus catatan absensi.' });
     }
 
+    const existingAttendance = await Attendance.findById(id);
+    if (!existingAttendance || existingAttendance.isDeleted) {
+      return res.status(404).json({ message: 'Catatan absensi tidak ditemukan.' });
+    }
+    if (!(await canActAtOutlet(req.user, existingAttendance.outlet, { roles: [Roles.admin, Roles.spvarea] }))) {
+      return res.status(403).json({ message: 'Anda tidak memiliki izin untuk menghapus catatan absensi outlet ini.' });
+    }
+
     const attendance = await Attendance.findByIdAndUpdate(
       id,
       { isDeleted: true, deletedAt: new Date() , deletedBy: req.user.id },
       { new: true }
     );
 
-    if (!attendance) {
-      return res.status(404).json({ message: 'Catatan absensi tidak ditemukan.' });
-    }
-
     res.status(200).json({
       message: 'Catatan absensi berhasil dihapus (soft delete).',
       attendance: attendance.toJSON()
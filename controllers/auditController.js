@@ -0,0 +1,77 @@
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { AuditActions, AuditedEntities } from '../constants/auditActions.js';
+import * as listQueryService from '../services/listQueryService.js';
+
+// @desc    Query the audit trail, newest first
+// @route   GET /api/v1/audit?entity=Sale&entityId=...&actorId=...&action=update&dateFrom=YYYY-MM-DD&dateTo=YYYY-MM-DD&limit=50&cursor=...
+// @access  Private (audit.view)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const filter = {};
+    const { entity, entityId, actorId, action } = req.query;
+
+    if (entity) {
+      if (!AuditedEntities.includes(entity)) {
+        return res.status(400).json({ message: `Entitas tidak valid. Pilihan: ${AuditedEntities.join(', ')}.` });
+      }
+      filter.entity = entity;
+    }
+    if (entityId) {
+      if (!mongoose.Types.ObjectId.isValid(entityId)) {
+        return res.status(400).json({ message: 'ID entitas tidak valid untuk filter.' });
+      }
+      filter.entityId = entityId;
+    }
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({ message: 'ID pengguna tidak valid untuk filter.' });
+      }
+      filter['actor.userId'] = actorId;
+    }
+    if (action) {
+      if (!Object.values(AuditActions).includes(action)) {
+        return res.status(400).json({ message: `Aksi tidak valid. Pilihan: ${Object.values(AuditActions).join(', ')}.` });
+      }
+      filter.action = action;
+    }
+    const dateRange = listQueryService.parseDateRange(req.query);
+    if (!dateRange.success) {
+      return res.status(400).json({ message: dateRange.message });
+    }
+    if (dateRange.data) {
+      filter.createdAt = dateRange.data;
+    }
+    const page = await listQueryService.findPage(AuditLog, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(log => log.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil jejak audit:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil jejak audit.', error: error.message });
+  }
+};
+
+// @desc    Get one audit log entry
+// @route   GET /api/v1/audit/:id
+// @access  Private (audit.view)
+export const getAuditLogById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Format ID audit log tidak valid.' });
+    }
+    const log = await AuditLog.findById(req.params.id);
+    if (!log) {
+      return res.status(404).json({ message: 'Audit log tidak ditemukan.' });
+    }
+    res.status(200).json(log.toJSON());
+  } catch (error) {
+    console.error('Kesalahan saat mengambil audit log:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil audit log.', error: error.message });
+  }
+};
@@ -1,26 +1,58 @@
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import { Roles } from '../constants/roles.js';
 import { ErrorCode } from '../constants/errorCode.js';
+import { AdminRegistrationChannels, AdminRegistrationOutcomes } from '../constants/adminRegistration.js';
+import { LoginFailureReasons } from '../constants/loginAttempts.js';
+import AdminRegistrationLog from '../models/AdminRegistrationLog.js';
+import LoginHistory from '../models/LoginHistory.js';
+import * as sessionService from '../services/sessionService.js';
+import * as adminBootstrapService from '../services/adminBootstrapService.js';
+import * as loginThrottleService from '../services/loginThrottleService.js';
+import * as listQueryService from '../services/listQueryService.js';
 
-// Helper function to generate a JWT token
-const generateToken = (id, roles) => {
-    return jwt.sign({ id, roles }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN,
-    });
-};
+const getClientInfo = (req) => ({ userAgent: req.get('user-agent'), ipAddress: req.ip });
 
-// @desc    Register a new admin
-// @route   POST /api/v1/auth/register-admin
-// @access  Public
+// @desc    Register the first admin (bootstrap). Only open while no admin exists and requires the
+//          one-time setup token written to ADMIN_BOOTSTRAP_TOKEN_FILE at startup (or ADMIN_BOOTSTRAP_TOKEN). Later admins are created via /api/v1/users.
+// @route   POST /api/v1/auth/register-admin  header: X-Setup-Token (or body.setupToken)
+// @access  Public (bootstrap only)
 export const registerAdmin = async (req, res) => {
+    const { userId, name, password } = req.body;
+    const setupToken = req.get('x-setup-token') || req.body.setupToken;
+    const logAttempt = (outcome, reason, createdUser = null) => adminBootstrapService.logAdminRegistration(req, {
+        channel: AdminRegistrationChannels.BOOTSTRAP,
+        outcome,
+        reason,
+        requestedUserId: userId,
+        createdUser,
+    });
+    let tokenConsumed = false;
+
     try {
-        const { userId, name, password } = req.body;
+        if (await adminBootstrapService.hasActiveAdmin()) {
+            await logAttempt(AdminRegistrationOutcomes.REJECTED, 'Admin sudah ada.');
+            return res.status(403).json({
+                errorCode: ErrorCode.adminBootstrapClosed,
+                message: 'Pendaftaran admin awal sudah ditutup. Admin baru hanya dapat dibuat oleh admin.'
+            });
+        }
+
+        if (!adminBootstrapService.consumeBootstrapToken(setupToken)) {
+            await logAttempt(AdminRegistrationOutcomes.REJECTED, setupToken ? 'Token setup tidak valid.' : 'Token setup tidak disertakan.');
+            return res.status(401).json({
+                errorCode: ErrorCode.invalidSetupToken,
+                message: 'Token setup tidak valid atau sudah digunakan.'
+            });
+        }
+        tokenConsumed = true;
 
         // Check if the user already exists
         const existingUser = await User.findOne({ userId });
         if (existingUser) {
             console.log(ErrorCode.userAlreadyExist)
+            adminBootstrapService.releaseBootstrapToken(setupToken);
+            await logAttempt(AdminRegistrationOutcomes.REJECTED, 'ID pengguna sudah terdaftar.');
             return res.status(400).json({
                 errorCode: ErrorCode.userAlreadyExist,
                 message: 'ID pengguna sudah terdaftar'
@@ -41,6 +73,7 @@ export const registerAdmin = async (req, res) => {
         delete userResponse.password;
 
         console.log(`User successfully created: ${createdUser._id}`);
+        await logAttempt(AdminRegistrationOutcomes.SUCCESS, null, createdUser._id);
 
         res.status(201).json({
             message: 'User created successfully',
@@ -48,6 +81,10 @@ export const registerAdmin = async (req, res) => {
         });
     } catch (error) {
         console.log(error);
+        if (tokenConsumed) {
+            adminBootstrapService.releaseBootstrapToken(setupToken);
+        }
+        await logAttempt(AdminRegistrationOutcomes.FAILED, error.message);
         res.status(500).json({
             errorCode: ErrorCode.serverError,
             message: 'Server error', error: error.message
@@ -55,37 +92,59 @@ export const registerAdmin = async (req, res) => {
     }
 };
 
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token. Repeated failures lock the userId / IP out with exponential backoff.
 // @route   POST /api/v1/auth/login
 // @access  Public
 export const authUser = async (req, res) => {
     const { userId, password } = req.body;
     console.log(`User logging in: ${userId}`);
-    
+
+    // Counts the failure, writes the history record and sends the response
+    const rejectLogin = async (user, failureReason, status, message) => {
+        await loginThrottleService.registerLoginFailure(userId, req.ip);
+        await loginThrottleService.recordLoginAttempt(getClientInfo(req), { userId, user: user ? user._id : null, success: false, failureReason });
+        return res.status(status).json({ message });
+    };
+
     try {
+        const throttle = await loginThrottleService.checkLoginAllowed(userId, req.ip);
+        if (!throttle.allowed) {
+            await loginThrottleService.recordLoginAttempt(getClientInfo(req), { userId, success: false, failureReason: LoginFailureReasons.LOCKED_OUT });
+            res.set('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({
+                message: `Terlalu banyak percobaan login gagal. Coba lagi dalam ${throttle.retryAfterSeconds} detik.`,
+                retryAfterSeconds: throttle.retryAfterSeconds,
+            });
+        }
+
         const user = await User.findOne({ userId });
-        
+
         // check if user is deleted
         if((user && user.isDeleted) || !user){
-            return res.status(410).json({ message: 'User has been deleted' });
+            return await rejectLogin(user, user ? LoginFailureReasons.USER_DELETED : LoginFailureReasons.INVALID_CREDENTIALS, 410, 'User has been deleted');
         }
 
         // check if user is innactive
         if(user && !user.isActive){
             console.log(user.isActive);
-            return res.status(404).json({ message: 'User is deactivated' });
+            return await rejectLogin(user, LoginFailureReasons.USER_INACTIVE, 404, 'User is deactivated');
         }
 
         // Check if user exists and password matches
         if (user && (await user.matchPassword(password))) {
             const userObject = user.toObject();
             delete userObject.password;
+            const { session, accessToken, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
+            await loginThrottleService.registerLoginSuccess(userId);
+            await loginThrottleService.recordLoginAttempt(getClientInfo(req), { userId, user: user._id, success: true, session: session._id });
             res.json({
                 data: userObject,
-                token: generateToken(user._id, user.roles),
+                token: accessToken,
+                refreshToken,
+                sessionId: session.id,
             });
         } else {
-            res.status(401).json({ message: 'Invalid User ID or password' });
+            await rejectLogin(user, LoginFailureReasons.INVALID_CREDENTIALS, 401, 'Invalid User ID or password');
         }
     } catch (error) {
         console.error(`Login error for email ${req.body.email}:`, error);
@@ -103,4 +162,218 @@ export const getUserProfile = async (req, res) => {
         email: req.user.email,
         roles: req.user.roles,
     })
-};
\ No newline at end of file
+};
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+export const refreshAccessToken = async (req, res) => {
+    try {
+        const result = await sessionService.rotateRefreshToken(req.body.refreshToken);
+        if (!result.success) {
+            return res.status(401).json({ message: result.message });
+        }
+        res.status(200).json({
+            token: result.data.accessToken,
+            refreshToken: result.data.refreshToken,
+        });
+    } catch (error) {
+        console.error('Kesalahan saat memperbarui token:', error);
+        res.status(500).json({ message: 'Kesalahan server saat memperbarui token.', error: error.message });
+    }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.session._id, {
+            revokedBy: req.user._id,
+            reason: sessionService.SessionRevokeReasons.LOGOUT,
+        });
+        res.status(200).json({ message: 'Berhasil keluar.' });
+    } catch (error) {
+        console.error('Kesalahan saat keluar:', error);
+        res.status(500).json({ message: 'Kesalahan server saat keluar.', error: error.message });
+    }
+};
+
+// @desc    Log out every session of a user (own sessions, or any user's for admins)
+// @route   POST /api/v1/auth/logout-all
+// @access  Private (body.userId: Admin only)
+export const logoutAll = async (req, res) => {
+    try {
+        const targetUserId = req.body.userId || req.user._id.toString();
+        const isSelf = targetUserId === req.user._id.toString();
+        if (!isSelf && !req.user.roles.includes(Roles.admin)) {
+            return res.status(403).json({ message: 'Hanya admin yang dapat mengeluarkan sesi pengguna lain.' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+            return res.status(400).json({ message: 'Format ID Pengguna tidak valid.' });
+        }
+
+        const revokedCount = await sessionService.revokeUserSessions(targetUserId, {
+            revokedBy: req.user._id,
+            reason: isSelf ? sessionService.SessionRevokeReasons.LOGOUT_ALL : sessionService.SessionRevokeReasons.ADMIN,
+        });
+        res.status(200).json({ message: `${revokedCount} sesi berhasil dicabut.`, revokedCount });
+    } catch (error) {
+        console.error('Kesalahan saat mengeluarkan semua sesi:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mengeluarkan semua sesi.', error: error.message });
+    }
+};
+
+// @desc    List sessions (own sessions, or any user's for admins)
+// @route   GET /api/v1/auth/sessions?userId=...&includeInactive=true
+// @access  Private (userId: Admin only)
+export const getSessions = async (req, res) => {
+    try {
+        const { userId, includeInactive } = req.query;
+        const targetUserId = userId || req.user._id.toString();
+        if (targetUserId !== req.user._id.toString() && !req.user.roles.includes(Roles.admin)) {
+            return res.status(403).json({ message: 'Hanya admin yang dapat melihat sesi pengguna lain.' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+            return res.status(400).json({ message: 'Format ID Pengguna tidak valid.' });
+        }
+
+        const sessions = await sessionService.getUserSessions(targetUserId, { includeInactive: includeInactive === 'true' });
+        res.status(200).json(sessions.map(session => ({
+            ...session.toJSON(),
+            isCurrent: session.id === req.session.id,
+        })));
+    } catch (error) {
+        console.error('Kesalahan saat mengambil sesi:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mengambil sesi.', error: error.message });
+    }
+};
+
+// @desc    Revoke a session by ID (own sessions, or any session for admins)
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+export const revokeSessionById = async (req, res) => {
+    try {
+        const isAdmin = req.user.roles.includes(Roles.admin);
+        const result = await sessionService.revokeSession(req.params.id, {
+            revokedBy: req.user._id,
+            reason: isAdmin ? sessionService.SessionRevokeReasons.ADMIN : sessionService.SessionRevokeReasons.LOGOUT,
+            userId: isAdmin ? undefined : req.user._id,
+        });
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+        }
+        res.status(200).json({ message: result.message });
+    } catch (error) {
+        console.error('Kesalahan saat mencabut sesi:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mencabut sesi.', error: error.message });
+    }
+};
+
+// @desc    List admin registration attempts (bootstrap and /api/v1/users)
+// @route   GET /api/v1/auth/admin-registration-logs?channel=...&outcome=...
+// @access  Private/Admin
+export const getAdminRegistrationLogs = async (req, res) => {
+    try {
+        const filter = {};
+        const { channel, outcome } = req.query;
+        if (channel) {
+            if (!Object.values(AdminRegistrationChannels).includes(channel)) {
+                return res.status(400).json({ message: 'Channel tidak valid untuk filter.' });
+            }
+            filter.channel = channel;
+        }
+        if (outcome) {
+            if (!Object.values(AdminRegistrationOutcomes).includes(outcome)) {
+                return res.status(400).json({ message: 'Outcome tidak valid untuk filter.' });
+            }
+            filter.outcome = outcome;
+        }
+
+        const page = await listQueryService.findPage(AdminRegistrationLog, filter, req.query, {
+            sortFields: ['createdAt'],
+            defaultSort: '-createdAt',
+        });
+        if (!page.success) {
+            return res.status(400).json({ message: page.message, errors: page.errors });
+        }
+        listQueryService.setPageHeaders(res, page.data);
+        res.status(200).json(page.data.items.map(log => log.toJSON()));
+    } catch (error) {
+        console.error('Kesalahan saat mengambil log pendaftaran admin:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mengambil log pendaftaran admin.', error: error.message });
+    }
+};
+
+// @desc    Review login attempts
+// @route   GET /api/v1/auth/login-history?userId=...&ipAddress=...&success=...&method=...&deviceId=...&dateFrom=...&dateTo=...&limit=...&cursor=...
+// @access  Private/Admin
+export const getLoginHistory = async (req, res) => {
+    try {
+        const filter = {};
+        const { userId, ipAddress, success, method, deviceId } = req.query;
+
+        if (userId) filter.userId = String(userId).trim().toLowerCase();
+        if (ipAddress) filter.ipAddress = ipAddress;
+        if (success !== undefined) filter.success = success === 'true';
+        if (method) filter.method = method;
+        if (deviceId) {
+            if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+                return res.status(400).json({ message: 'ID Perangkat tidak valid untuk filter.' });
+            }
+            filter.device = deviceId;
+        }
+        const dateRange = listQueryService.parseDateRange(req.query);
+        if (!dateRange.success) {
+            return res.status(400).json({ message: dateRange.message });
+        }
+        if (dateRange.data) {
+            filter.createdAt = dateRange.data;
+        }
+        const page = await listQueryService.findPage(LoginHistory, filter, req.query, {
+            sortFields: ['createdAt'],
+            defaultSort: '-createdAt',
+        });
+        if (!page.success) {
+            return res.status(400).json({ message: page.message, errors: page.errors });
+        }
+        listQueryService.setPageHeaders(res, page.data);
+        res.status(200).json(page.data.items.map(record => record.toJSON()));
+    } catch (error) {
+        console.error('Kesalahan saat mengambil riwayat login:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mengambil riwayat login.', error: error.message });
+    }
+};
+
+// @desc    List login lockouts (only active ones unless includeUnlocked=true)
+// @route   GET /api/v1/auth/login-throttles?includeUnlocked=true
+// @access  Private/Admin
+export const getLoginThrottles = async (req, res) => {
+    try {
+        const throttles = await loginThrottleService.getLoginThrottles({ includeUnlocked: req.query.includeUnlocked === 'true' });
+        res.status(200).json(throttles.map(throttle => throttle.toJSON()));
+    } catch (error) {
+        console.error('Kesalahan saat mengambil daftar penguncian login:', error);
+        res.status(500).json({ message: 'Kesalahan server saat mengambil daftar penguncian login.', error: error.message });
+    }
+};
+
+// @desc    Unlock a login id and/or IP address locked out by failed logins
+// @route   POST /api/v1/auth/login-throttles/unlock  body: { userId, ipAddress }
+// @access  Private/Admin
+export const unlockLogin = async (req, res) => {
+    try {
+        const { userId, ipAddress } = req.body;
+        if (!userId && !ipAddress) {
+            return res.status(400).json({ message: 'userId atau ipAddress diperlukan.' });
+        }
+
+        const unlockedCount = await loginThrottleService.unlockLogin({ userId, ipAddress });
+        res.status(200).json({
+            message: unlockedCount > 0 ? 'Penguncian login berhasil dibuka.' : 'Tidak ada penguncian login untuk dibuka.',
+            unlockedCount,
+        });
+    } catch (error) {
+        console.error('Kesalahan saat membuka penguncian login:', error);
+        res.status(500).json({ message: 'Kesalahan server saat membuka penguncian login.', error: error.message });
+    }
+};
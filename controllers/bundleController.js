@@ -2,6 +2,7 @@ import Bundle from '../models/Bundle.js'; // Import the Bundle model
 import MenuCategory from '../models/MenuCategory.js'; // Import for category validation
 import mongoose from 'mongoose'; // For ObjectId validation
 import * as productCompositionService from '../services/productCompositionService.js'; // NEW: Import the new service
+import * as listQueryService from '../services/listQueryService.js';
 
 
 // --- CRUD Controller Functions for Bundle ---
@@ -88,19 +89,28 @@ export const getBundles = async (req, res) => {
     }
     // You might add filtering by category IDs if needed (e.g., /api/bundles?categoryId=id1)
 
-    const query = Bundle.find(filter).sort({ createdAt: -1 });
+    const populate = [];
 
     // Populate categories if requested or always
     const populateFields = req.query.populate;
     if (populateFields) {
-        if (populateFields.includes('categories')) query.populate('categories.menuCategoryId', 'name'); // Only fetch 'name' field of menu category
+        if (populateFields.includes('categories')) populate.push(['categories.menuCategoryId', 'name']); // Only fetch 'name' field of menu category
     } else {
         // Default to populate categories
         // query.populate('categories.menuCategoryId');
     }
 
-    const bundles = await query.exec();
-    res.status(200).json(bundles.map(bundle => bundle.toJSON()));
+    const page = await listQueryService.findPage(Bundle, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code', 'price'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(bundle => bundle.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil paket:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil paket.', error: error.message });
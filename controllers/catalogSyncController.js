@@ -0,0 +1,63 @@
+import { ErrorCode } from '../constants/errorCode.js';
+import * as catalogSyncService from '../services/catalogSyncService.js';
+
+/**
+ * Builds the delta-sync handler of one catalog entity, with the POST /api/v1/users/sync contract:
+ * body { latest, idList } -> { toAdd, toUpdate, toDelete }.
+ * @param {string} entity - Key of catalogSyncService.CatalogSyncEntities.
+ * @returns {Function} Express handler.
+ */
+export const syncCatalogEntity = (entity) => async (req, res) => {
+  const { latest, idList } = req.body;
+
+  try {
+    const latestUpdate = new Date(latest);
+    if (isNaN(latestUpdate.getTime())) {
+      return res.status(400).json({
+        errorCode: ErrorCode.invalidInput,
+        message: 'Invalid latest timestamp provided.'
+      });
+    }
+
+    if (!Array.isArray(idList)) {
+      return res.status(400).json({
+        errorCode: ErrorCode.invalidInput,
+        message: 'idList must be an array of IDs.'
+      });
+    }
+
+    const delta = await catalogSyncService.getEntityDelta(entity, req.user, { latest: latestUpdate, idList });
+    res.status(200).json(delta);
+  } catch (error) {
+    console.error(`Error in sync of ${entity}: ${error.message}`);
+    res.status(500).json({
+      errorCode: ErrorCode.serverError,
+      message: `Server error during ${entity} synchronization`,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sync the whole offline catalog (menus, categories, addons, bundles, ingredients, promo settings and
+//          the user's outlets) in one call. Send the `syncToken` of the previous response to get only changes;
+//          omit it for a full sync.
+// @route   POST /api/v1/catalog/sync  body: { syncToken?, idLists?: { menus: [...], ... } }
+// @access  Private
+export const syncCatalog = async (req, res) => {
+  try {
+    const result = await catalogSyncService.getCatalogDelta(req.user, {
+      syncToken: req.body.syncToken,
+      idLists: req.body.idLists,
+    });
+    if (!result.success) {
+      if (result.invalidSyncToken) {
+        return res.status(400).json({ errorCode: ErrorCode.invalidSyncToken, message: result.message });
+      }
+      return res.status(400).json({ errorCode: ErrorCode.invalidInput, message: result.message, errors: result.errors });
+    }
+    res.status(200).json(result.data);
+  } catch (error) {
+    console.error('Kesalahan saat sinkronisasi katalog:', error);
+    res.status(500).json({ errorCode: ErrorCode.serverError, message: 'Kesalahan server saat sinkronisasi katalog.', error: error.message });
+  }
+};
@@ -2,6 +2,7 @@ import DailyOutletSaleReport from '../models/DailyOutletSaleReport.js';
 import mongoose from 'mongoose';
 // Import fungsi regenerasi yang sudah kita buat sebelumnya
 import { regenerateDailySaleReport } from '../services/dailySaleReportService.js';
+import { canAccessOutlet, resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
 
 // @desc    Get a single daily outlet sale report by ID
 // @route   GET /api/v1/dailyoutletsalereports/:id
@@ -13,6 +14,9 @@ export const getDailyOutletSaleReportById = async (req, res) => {
     if (idParts.length !== 2 || !mongoose.Types.ObjectId.isValid(idParts[0])) {
         return res.status(400).json({ message: 'Format ID Laporan tidak valid. Gunakan OutletID_YYMMDD.' });
     }
+    if (!(await canAccessOutlet(req.user, idParts[0]))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
 
     // 1. Coba cari laporan secara normal
     let report = await DailyOutletSaleReport.findById(id);
@@ -50,7 +54,13 @@ export const getDailyOutletSaleReports = async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(outletId)) {
         return res.status(400).json({ message: 'ID Outlet tidak valid.' });
       }
-      filter['outlet.outletId'] = outletId;
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
     }
 
     // Validasi Tanggal
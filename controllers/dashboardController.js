@@ -1,4 +1,6 @@
+import mongoose from 'mongoose';
 import * as dashboardService from '../services/dashboardService.js';
+import { getAccessibleOutletIds, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
 
 // @desc    Get Dashboard Statistics (Today & This Month)
 // @route   GET /api/v1/dashboard
@@ -6,8 +8,14 @@ export const getDashboard = async (req, res) => {
     try {
         const { outletId } = req.query; // Hanya butuh Outlet ID (Opsional)
 
+        // Non-admin hanya boleh melihat outlet yang ditugaskan kepadanya
+        const accessibleOutletIds = await getAccessibleOutletIds(req.user);
+        if (outletId && accessibleOutletIds && !(mongoose.Types.ObjectId.isValid(outletId) && accessibleOutletIds.includes(outletId))) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
+
         // Tidak perlu kirim startDate/endDate, Service akan otomatis hitung 2 periode.
-        const result = await dashboardService.getDashboardStats(outletId);
+        const result = await dashboardService.getDashboardStats(outletId, accessibleOutletIds);
 
         if (!result.success) {
             return res.status(500).json({ message: result.message });
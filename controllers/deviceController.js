@@ -0,0 +1,123 @@
+import Device from '../models/Device.js';
+import mongoose from 'mongoose';
+import * as deviceService from '../services/deviceService.js';
+import { resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+import { Roles } from '../constants/roles.js';
+
+// Roles that may manage the tablets of an outlet, checked at that outlet
+const DEVICE_MANAGER_ROLES = [Roles.admin, Roles.spvarea];
+
+// @desc    Register a shared outlet tablet (the device token is only returned here)
+// @route   POST /api/v1/devices
+// @access  Private (Admin, SPV Area)
+export const registerDevice = async (req, res) => {
+  try {
+    if (req.body.outletId && !(await canActAtOutlet(req.user, req.body.outletId, { roles: DEVICE_MANAGER_ROLES }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await deviceService.registerDevice(req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(201).json({
+      message: result.message,
+      device: result.data.device.toJSON(),
+      deviceToken: result.data.deviceToken,
+    });
+  } catch (error) {
+    console.error('Kesalahan saat mendaftarkan perangkat:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mendaftarkan perangkat.', error: error.message });
+  }
+};
+
+// @desc    Get registered devices
+// @route   GET /api/v1/devices?outletId=...&isActive=...
+// @access  Private (Admin, SPV Area, Franchisee)
+export const getDevices = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, isActive } = req.query;
+
+    if (outletId && !mongoose.Types.ObjectId.isValid(outletId)) {
+      return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const page = await listQueryService.findPage(Device, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'lastSeenAt'],
+      defaultSort: '-createdAt',
+      hiddenFields: ['tokenHash'],
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(device => device.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil perangkat:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil perangkat.', error: error.message });
+  }
+};
+
+// @desc    Deactivate a device and revoke every session opened on it
+// @route   PATCH /api/v1/devices/:id/deactivate
+// @access  Private (Admin, SPV Area)
+export const deactivateDevice = async (req, res) => {
+  try {
+    if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      const device = await Device.findById(req.params.id).select('outlet');
+      if (device && !(await canActAtOutlet(req.user, device.outlet.outletId, { roles: DEVICE_MANAGER_ROLES }))) {
+        return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+      }
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await deviceService.deactivateDevice(req.params.id, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      device: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menonaktifkan perangkat:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menonaktifkan perangkat.', error: error.message });
+  }
+};
+
+// @desc    Switch the acting operator on a shared tablet with userId + PIN
+// @route   POST /api/v1/devices/switch-operator  header: X-Device-Token  body: { userId, pin }
+// @access  Device (authenticated by the device token, not by a user JWT)
+export const switchOperator = async (req, res) => {
+  try {
+    const clientInfo = { ipAddress: req.ip, userAgent: req.get('user-agent') };
+    const result = await deviceService.switchOperator(req.get('x-device-token'), req.body, clientInfo);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      data: result.data.user,
+      token: result.data.accessToken,
+      refreshToken: result.data.refreshToken,
+      sessionId: result.data.session.id,
+      device: result.data.device.toJSON(),
+    });
+  } catch (error) {
+    console.error('Kesalahan saat berganti operator:', error);
+    res.status(500).json({ message: 'Kesalahan server saat berganti operator.', error: error.message });
+  }
+};
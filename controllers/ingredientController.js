@@ -1,6 +1,7 @@
 import Ingredient from '../models/Ingredient.js';
 import IngredientHistory from '../models/IngredientHistory.js';
 import mongoose from 'mongoose';
+import * as listQueryService from '../services/listQueryService.js';
 
 // @desc    Create a new ingredient
 // @route   POST /api/v1/ingredients
@@ -54,8 +55,16 @@ export const getIngredients = async (req, res) => {
     if (req.query.code) {
       filter.code = { $regex: req.query.code, $options: 'i' };
     }
-    const ingredients = await Ingredient.find(filter).sort({ name: 'asc' });
-    res.status(200).json(ingredients.map(ing => ing.toJSON()));
+    const page = await listQueryService.findPage(Ingredient, filter, req.query, {
+      sortFields: ['name', 'code', 'price', 'createdAt'],
+      defaultSort: 'name',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(ing => ing.toJSON()));
   } catch (error) {
     console.error('Error getting ingredients:', error);
     res.status(500).json({ message: 'Kesalahan server saat mendapatkan bahan', error: error.message });
@@ -176,10 +185,15 @@ export const getIngredientHistory = async (req, res) => {
       return res.status(400).json({ message: 'Invalid Ingredient ID format.' });
     }
 
-    // Find history records for the given ingredientId, sorted by creation date
-    const history = await IngredientHistory.find({ ingredientId: id })
-                                         .sort({ createdAt: -1 }); // Ascending order to see history unfold
-    res.status(200).json(history.map(item => item.toJSON()));
+    const page = await listQueryService.findPage(IngredientHistory, { ingredientId: id }, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(item => item.toJSON()));
   } catch (error) {
     console.error('Error fetching ingredient history:', error);
     res.status(500).json({ message: 'Server error fetching ingredient history', error: error.message });
@@ -1,4 +1,5 @@
 import MenuCategory from '../models/MenuCategory.js';
+import * as listQueryService from '../services/listQueryService.js';
 
 // @desc    Create a new menu category
 // @route   POST /api/v1/menucategories
@@ -58,8 +59,16 @@ export const getMenuCategories = async (req, res) => {
       filter.name = { $regex: req.query.name, $options: 'i' }; // Case-insensitive search by name
     }
 
-    const menuCategories = await MenuCategory.find(filter).sort({ createdAt: -1 });
-    res.status(200).json(menuCategories.map(cat => cat.toJSON()));
+    const page = await listQueryService.findPage(MenuCategory, filter, req.query, {
+      sortFields: ['createdAt', 'name'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(cat => cat.toJSON()));
   } catch (error) {
     console.error('Error getting menu categories:', error);
     res.status(500).json({ message: 'Server error getting menu categories', error: error.message });
@@ -3,6 +3,7 @@ import MenuCategory from '../models/MenuCategory.js'; // For category validation
 import Ingredient from '../models/Ingredient.js'; // NEW: For ingredient validation in recipe
 import mongoose from 'mongoose'; // For ObjectId validation
 import * as productCompositionService from '../services/productCompositionService.js'; // NEW: Import the new service
+import * as listQueryService from '../services/listQueryService.js';
 
 const getImageUrl = (req) => {
   if (req.file) {
@@ -111,21 +112,30 @@ export const getMenus = async (req, res) => {
       filter.menuCategoryId = req.query.menuCategoryId;
     }
 
-    const query = Menu.find(filter).sort({ createdAt: -1 });
+    const populate = [];
 
     // Populate menu category and recipe ingredients if requested
     const populateFields = req.query.populate;
     if (populateFields) {
-      if (populateFields.includes('menuCategoryId')) query.populate('menuCategoryId', 'name');
-      if (populateFields.includes('recipe')) query.populate('recipe.ingredientId', 'name unit price');
+      if (populateFields.includes('menuCategoryId')) populate.push(['menuCategoryId', 'name']);
+      if (populateFields.includes('recipe')) populate.push(['recipe.ingredientId', 'name unit price']);
     } else {
       // Default populate commonly needed fields
       // query.populate('menuCategoryId', 'name');
     }
 
 
-    const menus = await query.exec();
-    res.status(200).json(menus.map(menu => menu.toJSON()));
+    const page = await listQueryService.findPage(Menu, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code', 'price'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(menu => menu.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil menu:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil menu.', error: error.message });
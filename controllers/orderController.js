@@ -9,12 +9,18 @@ import { Roles } from '../constants/roles.js';
 import { TransactionTypes } from '../constants/transactionTypes.js';
 import { SourceTypes } from '../constants/sourceTypes.js';
 import { OrderStatuses } from '../constants/orderStatuses.js';
+import { Permissions } from '../constants/permissions.js';
 import mongoose from 'mongoose';
 
 // NEW: Import the order fulfillment service
 import * as orderFulfillmentService from '../services/orderFulfillmentService.js';
+import { hasPermission, canActAtOutlet } from '../services/permissionService.js';
 // NEW: Import the outlet inventory service (needed for direct invalidate call in deleteOrder if not handled by orderFulfillmentService)
 import * as outletInventoryService from '../services/outletInventoryService.js';
+import * as replenishmentService from '../services/replenishmentService.js';
+import { canAccessOutlet, resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
 
 
 // Helper function to validate User references (kept here as it's a general controller utility)
@@ -137,6 +143,55 @@ export const createOrder = async (req, res) => {
   }
 };
 
+// @desc    Get replenishment suggestions from sale consumption (average daily usage, days of cover, suggested qty)
+// @route   GET /api/v1/orders/replenishment?outletId=&windowDays=14&targetDays=7
+// @access  Private (Admin, SPV Area, Operator)
+export const getReplenishmentSuggestions = async (req, res) => {
+  try {
+    const { outletId, windowDays, targetDays } = req.query;
+    if (outletId && !(await canAccessOutlet(req.user, outletId))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const result = await replenishmentService.getReplenishmentSuggestions(outletId, { windowDays, targetDays });
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json(result.data);
+  } catch (error) {
+    console.error('Kesalahan saat menghitung saran pengisian stok:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menghitung saran pengisian stok.', error: error.message });
+  }
+};
+
+// @desc    Create a draft order (status 'ordered') from the replenishment suggestions
+// @route   POST /api/v1/orders/replenishment
+// @access  Private (Admin, SPV Area, Operator)
+export const createReplenishmentOrder = async (req, res) => {
+  try {
+    const { outletId, windowDays, targetDays } = req.body;
+    if (outletId && !(await canActAtOutlet(req.user, outletId, { roles: [Roles.admin, Roles.spvarea, Roles.operator] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await replenishmentService.createReplenishmentOrder(outletId, { windowDays, targetDays }, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(201).json({
+      message: result.message,
+      order: result.data.order.toJSON(),
+      suggestions: result.data.suggestions,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => error.errors[key].message);
+      return res.status(400).json({ message: 'Validasi gagal.', errors });
+    }
+    console.error('Kesalahan saat membuat pesanan dari saran pengisian stok:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membuat pesanan dari saran pengisian stok.', error: error.message });
+  }
+};
+
 // @desc    Get all orders (for ingredients)
 // @route   GET /api/v1/orders
 // @access  Private (Admin, SPV Area, Operator for their outlet)
@@ -149,7 +204,13 @@ export const getOrders = async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(outletId)) {
         return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
       }
-      filter['outlet.outletId'] = outletId;
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
     }
     if (status) {
       if (!Object.values(OrderStatuses).includes(status)) {
@@ -171,8 +232,15 @@ export const getOrders = async (req, res) => {
       }
     }
 
-    const orders = await Order.find(filter).sort({ createdAt: -1 });
-    res.status(200).json(orders.map(order => order.toJSON()));
+    const page = await listQueryService.findPage(Order, filter, req.query, {
+      sortFields: ['createdAt', 'code', 'status', 'totalPrice'],
+      defaultSort: '-createdAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(order => order.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil pesanan bahan:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil pesanan bahan.', error: error.message });
@@ -194,6 +262,9 @@ export const getOrderById = async (req, res) => {
     if (!order || order.isDeleted === true) {
       return res.status(404).json({ message: 'Pesanan bahan tidak ditemukan atau sudah dihapus.' });
     }
+    if (!(await canAccessOutlet(req.user, order.outlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat pesanan ini.' });
+    }
     res.status(200).json(order.toJSON());
   } catch (error) {
     if (error.name === 'CastError' && error.kind === 'ObjectId') {
@@ -206,7 +277,7 @@ export const getOrderById = async (req, res) => {
 
 // @desc    Update an order (e.g., status, accept items/ingredients by HQ)
 // @route   PATCH /api/v1/orders/:id
-// @access  Private (Admin, SPV Area for accepting items)
+// @access  Private (order.update; accepting items also needs order.accept)
 export const updateOrder = async (req, res) => {
   try {
     const { id } = req.params;
@@ -221,9 +292,16 @@ export const updateOrder = async (req, res) => {
     if (!orderToUpdate || orderToUpdate.isDeleted) {
       return res.status(404).json({ message: 'Pesanan bahan tidak ditemukan atau sudah dihapus.' });
     }
+    if (!(await canActAtOutlet(req.user, orderToUpdate.outlet?.outletId, { permissions: [Permissions.ORDER_UPDATE] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
 
     const userContext = req.user ? { userId: req.user._id, userName: req.user.name } : { userId: null, name: 'System' };
 
+    if (Array.isArray(items) && !(await hasPermission(req.user, [Permissions.ORDER_ACCEPT], orderToUpdate.outlet?.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak memiliki hak akses untuk menerima item pesanan.' });
+    }
+
     // --- NEW VALIDATION: Prevent status change from ACCEPTED unless items are unaccepted ---
     if (status !== undefined && orderToUpdate.status === OrderStatuses.ACCEPTED && status !== OrderStatuses.ACCEPTED) {
         return res.status(400).json({ message: 'Semua atau salah satu item pesanan harus dibatalkan terlebih dahulu sebelum merubah status ke selain diterima.' });
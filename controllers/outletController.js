@@ -1,7 +1,19 @@
 import Outlet from '../models/Outlet.js'; // Import the Outlet model
+import OutletGroup from '../models/OutletGroup.js';
 import User from '../models/User.js';    // Import the User model for role validation
 import { Roles } from '../constants/roles.js'; // Assuming this defines your roles like { FRANCHISEEE: 'Franchisee' }
 import mongoose from 'mongoose'; // For ObjectId validation
+import { getAssignedOutletIds, canAccessOutlet, OutletRoleFields, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+
+// Role holders shown with the outlets listed per operator / franchisee / spv area
+const OUTLET_USERS_POPULATE = [['franchisees', 'name userId'], ['operators', 'name userId'], ['spvAreas', 'name userId']];
+
+// The per-user outlet lists reveal someone's assignments, so only admins may look up other users
+const isOtherUserLookup = (req, userId) => (
+  !req.user.roles.includes(Roles.admin) && req.user._id.toString() !== userId
+);
+const OTHER_USER_OUTLETS_DENIED_MESSAGE = 'Anda hanya dapat melihat outlet yang ditugaskan kepada Anda sendiri.';
 
 // Helper function to validate user IDs and their roles
 const validateUsersAndRoles = async (userIds, requiredRole, errorsArray, fieldName) => {
@@ -124,14 +136,14 @@ export const getOutlets = async (req, res) => {
     }
     // You might add filtering by address parts, or by associated user IDs if needed
 
-    const query = Outlet.find(filter).sort({ createdAt: -1 });
+    const populate = [];
 
     // Populate associated users if requested or always
     const populateFields = req.query.populate;
     if (populateFields) {
-      if (populateFields.includes('franchisees')) query.populate('franchisees', 'name userId');
-      if (populateFields.includes('operators')) query.populate('operators', 'name userId');
-      if (populateFields.includes('spvAreas')) query.populate('spvAreas', 'name userId');
+      if (populateFields.includes('franchisees')) populate.push(['franchisees', 'name userId']);
+      if (populateFields.includes('operators')) populate.push(['operators', 'name userId']);
+      if (populateFields.includes('spvAreas')) populate.push(['spvAreas', 'name userId']);
     }
     // else {
     // Default populate commonly needed fields if no populate param
@@ -141,8 +153,17 @@ export const getOutlets = async (req, res) => {
     // }
 
 
-    const outlets = await query.exec();
-    res.status(200).json(outlets.map(outlet => outlet.toJSON()));
+    const page = await listQueryService.findPage(Outlet, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(outlet => outlet.toJSON()));
   } catch (error) {
     console.error('Error getting outlets:', error);
     res.status(500).json({ message: 'Kesalahan server saat mendapatkan outlet', error: error.message });
@@ -151,13 +172,16 @@ export const getOutlets = async (req, res) => {
 
 // @desc    Get a single outlet by ID
 // @route   GET /api/v1/outlets/:id
-// @access  Public
+// @access  Private (Admin, or users assigned to the outlet)
 export const getOutletById = async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Format ID Outlet tidak valid.' });
     }
+    if (!(await canAccessOutlet(req.user, id))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
 
     const outlet = await Outlet.findById(id)
       .populate('franchisees', 'name userId')
@@ -329,7 +353,7 @@ export const deleteOutlet = async (req, res) => {
 
 // @desc    Get outlets associated with a specific Operator user ID
 // @route   GET /api/v1/outlets/operator/:operatorId
-// @access  Private
+// @access  Private (own outlets, or Admin)
 export const getOutletsByOperator = async (req, res) => {
   try {
     const { operatorId } = req.params;
@@ -338,10 +362,15 @@ export const getOutletsByOperator = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(operatorId)) {
       return res.status(400).json({ message: 'Format ID Pengguna Operator tidak valid.' });
     }
+    if (isOtherUserLookup(req, operatorId)) {
+      return res.status(403).json({ message: OTHER_USER_OUTLETS_DENIED_MESSAGE });
+    }
 
+    // Outlets the user is assigned to as operator, directly or through an outlet group
+    const outletIds = await getAssignedOutletIds(operatorId, [OutletRoleFields[Roles.operator]]);
     const filter = {
       isDeleted: false,
-      operators: operatorId // Filter by operator ID directly
+      _id: { $in: outletIds },
     };
 
     // Add optional query parameters from req.query (isActive, name, code)
@@ -355,14 +384,17 @@ export const getOutletsByOperator = async (req, res) => {
       filter.code = { $regex: req.query.code, $options: 'i' };
     }
 
-    const query = Outlet.find(filter).sort({ createdAt: -1 });
-
-    query.populate('franchisees', 'name userId')
-      .populate('operators', 'name userId')
-      .populate('spvAreas', 'name userId');
-
-    const outlets = await query.exec();
-    res.status(200).json(outlets.map(outlet => outlet.toJSON()));
+    const page = await listQueryService.findPage(Outlet, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate: OUTLET_USERS_POPULATE,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(outlet => outlet.toJSON()));
 
   } catch (error) {
     console.error('Error getting outlets by operator ID:', error);
@@ -372,7 +404,7 @@ export const getOutletsByOperator = async (req, res) => {
 
 // @desc    Get outlets associated with a specific Franchisee user ID
 // @route   GET /api/v1/outlets/franchisee/:franchiseeId
-// @access  Private
+// @access  Private (own outlets, or Admin)
 export const getOutletsByFranchisee = async (req, res) => {
   try {
     const { franchiseeId } = req.params;
@@ -381,10 +413,15 @@ export const getOutletsByFranchisee = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(franchiseeId)) {
       return res.status(400).json({ message: 'Format ID Pengguna Penerima Waralaba tidak valid.' });
     }
+    if (isOtherUserLookup(req, franchiseeId)) {
+      return res.status(403).json({ message: OTHER_USER_OUTLETS_DENIED_MESSAGE });
+    }
 
+    // Outlets the user is assigned to as franchisee, directly or through an outlet group
+    const outletIds = await getAssignedOutletIds(franchiseeId, [OutletRoleFields[Roles.franchisee]]);
     const filter = {
       isDeleted: false,
-      franchisees: franchiseeId // Filter by franchisee ID directly
+      _id: { $in: outletIds },
     };
 
     // Add optional query parameters from req.query (isActive, name, code)
@@ -398,14 +435,17 @@ export const getOutletsByFranchisee = async (req, res) => {
       filter.code = { $regex: req.query.code, $options: 'i' };
     }
 
-    const query = Outlet.find(filter).sort({ createdAt: -1 });
-
-    query.populate('franchisees', 'name userId')
-      .populate('operators', 'name userId')
-      .populate('spvAreas', 'name userId');
-
-    const outlets = await query.exec();
-    res.status(200).json(outlets.map(outlet => outlet.toJSON()));
+    const page = await listQueryService.findPage(Outlet, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate: OUTLET_USERS_POPULATE,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(outlet => outlet.toJSON()));
 
   } catch (error) {
     console.error('Error getting outlets by franchisee ID:', error);
@@ -415,7 +455,7 @@ export const getOutletsByFranchisee = async (req, res) => {
 
 // @desc    Get outlets associated with a specific SPV Area user ID
 // @route   GET /api/v1/outlets/spvarea/:spvAreaId
-// @access  Private
+// @access  Private (own outlets, or Admin)
 export const getOutletsBySpvArea = async (req, res) => {
   try {
     const { spvAreaId } = req.params;
@@ -424,10 +464,15 @@ export const getOutletsBySpvArea = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(spvAreaId)) {
       return res.status(400).json({ message: 'Format ID Pengguna SPV Area tidak valid.' });
     }
+    if (isOtherUserLookup(req, spvAreaId)) {
+      return res.status(403).json({ message: OTHER_USER_OUTLETS_DENIED_MESSAGE });
+    }
 
+    // Outlets the user is assigned to as SPV Area, directly or through an outlet group
+    const outletIds = await getAssignedOutletIds(spvAreaId, [OutletRoleFields[Roles.spvarea]]);
     const filter = {
       isDeleted: false,
-      spvAreas: spvAreaId // Filter by SPV Area ID directly
+      _id: { $in: outletIds },
     };
 
     // Add optional query parameters from req.query (isActive, name, code)
@@ -441,17 +486,206 @@ export const getOutletsBySpvArea = async (req, res) => {
       filter.code = { $regex: req.query.code, $options: 'i' };
     }
 
-    const query = Outlet.find(filter).sort({ createdAt: -1 });
-
-    query.populate('franchisees', 'name userId')
-      .populate('operators', 'name userId')
-      .populate('spvAreas', 'name userId');
-
-    const outlets = await query.exec();
-    res.status(200).json(outlets.map(outlet => outlet.toJSON()));
+    const page = await listQueryService.findPage(Outlet, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'code'],
+      defaultSort: '-createdAt',
+      defaultLimit: listQueryService.MAX_LIMIT, // Small catalog, most clients still expect it in one page
+      populate: OUTLET_USERS_POPULATE,
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(outlet => outlet.toJSON()));
 
   } catch (error) {
     console.error('Error getting outlets by SPV Area ID:', error);
     res.status(500).json({ message: 'Kesalahan server saat mendapatkan outlet berdasarkan ID SPV Area', error: error.message });
   }
-};
\ No newline at end of file
+};
+// Validates the outlet ids of an outlet group
+const validateGroupOutlets = async (outletIds, errorsArray) => {
+  if (outletIds === undefined) return;
+  if (!Array.isArray(outletIds)) {
+    errorsArray.push('outlets harus berupa array ID Outlet.');
+    return;
+  }
+  const invalidIds = outletIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    errorsArray.push(`Format ID Outlet tidak valid: ${invalidIds.join(', ')}`);
+    return;
+  }
+  const found = await Outlet.find({ _id: { $in: outletIds }, isDeleted: false }).select('_id');
+  const foundIds = found.map(outlet => outlet._id.toString());
+  const missingIds = outletIds.filter(id => !foundIds.includes(String(id)));
+  if (missingIds.length > 0) {
+    errorsArray.push(`Outlet tidak ditemukan atau sudah dihapus: ${missingIds.join(', ')}`);
+  }
+};
+
+const populateOutletGroup = (query) => query
+  .populate('outlets', 'name code')
+  .populate('franchisees', 'name userId')
+  .populate('operators', 'name userId')
+  .populate('spvAreas', 'name userId');
+
+// @desc    Create an outlet group (role assignments shared by several outlets)
+// @route   POST /api/v1/outlets/groups
+// @access  Private/Admin
+export const createOutletGroup = async (req, res) => {
+  try {
+    const { name, description, outlets, franchisees, operators, spvAreas } = req.body;
+    const errors = [];
+
+    if (!name || name.trim() === '') {
+      errors.push('Nama grup outlet wajib diisi.');
+    }
+    await validateGroupOutlets(outlets, errors);
+    await validateUsersAndRoles(franchisees, Roles.franchisee, errors, 'Penerima Waralaba');
+    await validateUsersAndRoles(operators, Roles.operator, errors, 'Operator');
+    await validateUsersAndRoles(spvAreas, Roles.spvarea, errors, 'SPV Area');
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validasi gagal', errors });
+    }
+
+    const outletGroup = await OutletGroup.create({
+      name: name.trim(),
+      description,
+      outlets,
+      franchisees,
+      operators,
+      spvAreas,
+    });
+    res.status(201).json({
+      message: 'Grup outlet berhasil dibuat',
+      outletGroup: outletGroup.toJSON()
+    });
+  } catch (error) {
+    console.error('Error creating outlet group:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membuat grup outlet', error: error.message });
+  }
+};
+
+// @desc    Get all outlet groups
+// @route   GET /api/v1/outlets/groups?outletId=...&userId=...
+// @access  Private/Admin
+export const getOutletGroups = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, userId } = req.query;
+
+    if (outletId) {
+      if (!mongoose.Types.ObjectId.isValid(outletId)) {
+        return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+      }
+      filter.outlets = outletId;
+    }
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'ID Pengguna tidak valid untuk filter.' });
+      }
+      filter.$or = Object.values(OutletRoleFields).map(field => ({ [field]: userId }));
+    }
+
+    const outletGroups = await populateOutletGroup(OutletGroup.find(filter).sort({ name: 1 }));
+    res.status(200).json(outletGroups.map(outletGroup => outletGroup.toJSON()));
+  } catch (error) {
+    console.error('Error getting outlet groups:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mendapatkan grup outlet', error: error.message });
+  }
+};
+
+// @desc    Get an outlet group by ID
+// @route   GET /api/v1/outlets/groups/:id
+// @access  Private/Admin
+export const getOutletGroupById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Grup Outlet tidak valid.' });
+    }
+
+    const outletGroup = await populateOutletGroup(OutletGroup.findOne({ _id: id, isDeleted: false }));
+    if (!outletGroup) {
+      return res.status(404).json({ message: 'Grup outlet tidak ditemukan' });
+    }
+    res.status(200).json(outletGroup.toJSON());
+  } catch (error) {
+    console.error('Error getting outlet group by ID:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mendapatkan grup outlet', error: error.message });
+  }
+};
+
+// @desc    Update an outlet group (name, outlets and role assignments)
+// @route   PUT /api/v1/outlets/groups/:id
+// @access  Private/Admin
+export const updateOutletGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Grup Outlet tidak valid.' });
+    }
+
+    const { name, description, outlets, franchisees, operators, spvAreas } = req.body;
+    const errors = [];
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      errors.push('Nama grup outlet tidak boleh kosong.');
+    }
+    await validateGroupOutlets(outlets, errors);
+    await validateUsersAndRoles(franchisees, Roles.franchisee, errors, 'Penerima Waralaba');
+    await validateUsersAndRoles(operators, Roles.operator, errors, 'Operator');
+    await validateUsersAndRoles(spvAreas, Roles.spvarea, errors, 'SPV Area');
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validasi gagal', errors });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (description !== undefined) updateData.description = description;
+    if (outlets !== undefined) updateData.outlets = outlets;
+    if (franchisees !== undefined) updateData.franchisees = franchisees;
+    if (operators !== undefined) updateData.operators = operators;
+    if (spvAreas !== undefined) updateData.spvAreas = spvAreas;
+
+    const outletGroup = await OutletGroup.findOneAndUpdate({ _id: id, isDeleted: false }, updateData, { new: true, runValidators: true });
+    if (!outletGroup) {
+      return res.status(404).json({ message: 'Grup outlet tidak ditemukan' });
+    }
+    res.status(200).json({
+      message: 'Grup outlet berhasil diperbarui',
+      outletGroup: outletGroup.toJSON()
+    });
+  } catch (error) {
+    console.error('Error updating outlet group:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memperbarui grup outlet', error: error.message });
+  }
+};
+
+// @desc    Soft delete an outlet group (its role assignments stop applying)
+// @route   DELETE /api/v1/outlets/groups/:id
+// @access  Private/Admin
+export const deleteOutletGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Grup Outlet tidak valid.' });
+    }
+
+    const outletGroup = await OutletGroup.findOneAndUpdate(
+      { _id: id, isDeleted: false },
+      { isDeleted: true, deletedBy: req.user._id },
+      { new: true }
+    );
+    if (!outletGroup) {
+      return res.status(404).json({ message: 'Grup outlet tidak ditemukan' });
+    }
+    res.status(200).json({
+      message: 'Grup outlet berhasil dihapus',
+      outletGroup: outletGroup.toJSON()
+    });
+  } catch (error) {
+    console.error('Error soft deleting outlet group:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menghapus grup outlet', error: error.message });
+  }
+};
@@ -3,6 +3,11 @@ import Outlet from '../models/Outlet.js';
 import Ingredient from '../models/Ingredient.js';
 import { Roles } from '../constants/roles.js'; // For role-based access checks
 import mongoose from 'mongoose'; // For ObjectId validation
+import { setReorderLevels } from '../services/outletInventoryService.js';
+import { canAccessOutlet, resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+import { Permissions } from '../constants/permissions.js';
 
 // --- Helper Functions ---
 // (Reusing validateUserReference from other controllers if needed, or define here)
@@ -33,9 +38,13 @@ export const getOutletInventories = async (req, res) => {
     const filter = { isDeleted: false };
     const { outletId, ingredientId, minQty, maxQty } = req.query; // Add filters as needed
 
-    if (outletId) {
-      if (!mongoose.Types.ObjectId.isValid(outletId)) return res.status(400).json({ message: 'Format ID Outlet tidak valid untuk filter.' });
-      filter._id = outletId; // Filter by the _id of the OutletInventory document (which is the outletId)
+    if (outletId && !mongoose.Types.ObjectId.isValid(outletId)) return res.status(400).json({ message: 'Format ID Outlet tidak valid untuk filter.' });
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter._id = outletScope.condition; // The _id of the OutletInventory document is the outletId
     }
 
     // Filter by ingredient within the nested array
@@ -50,10 +59,15 @@ export const getOutletInventories = async (req, res) => {
     // E.g., to find outlets with less than X of a *specific* ingredient:
     // filter['ingredients'] = { $elemMatch: { ingredientId: 'someId', currentQty: { $lt: minQty } } };
 
-    const outletInventories = await OutletInventory.find(filter)
-      .sort({ createdAt: -1 });
-
-    res.status(200).json(outletInventories.map(inv => inv.toJSON()));
+    const page = await listQueryService.findPage(OutletInventory, filter, req.query, {
+      sortFields: ['createdAt', 'updatedAt'],
+      defaultSort: '-createdAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(inv => inv.toJSON()));
   } catch (error) {
     console.error('Error getting outlet inventories:', error);
     res.status(500).json({ message: 'Server error getting outlet inventories.', error: error.message });
@@ -76,25 +90,11 @@ export const getOutletInventoryById = async (req, res) => {
       return res.status(404).json({ message: 'Inventori Outlet tidak ditemukan atau sudah dihapus.' });
     }
 
-    if(req.user && req.user.roles.includes(Roles.admin)){
-      return res.status(200).json(outletInventory.toJSON());
-    }
-
-    // Security check: If operator/franchisee, ensure they can only view their own outlet's inventory
-    if (req.user && (req.user.roles.includes(Roles.operator) || req.user.roles.includes(Roles.franchisee))) {
-      // Find the outlets associated with this user
-      const userOutlets = await Outlet.find({
-        $or: [{ operators: req.user._id }, { franchisees: req.user._id }],
-        isDeleted: false
-      }).select('_id');
-      const userOutletIds = userOutlets.map(outlet => outlet._id.toString());
-
-      if (!userOutletIds.includes(outletInventory._id.toString())) {
-        return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat inventori outlet ini.' });
-      }
+    // Security check: non-admins can only view the inventory of their own outlets
+    if (!(await canAccessOutlet(req.user, outletInventory._id))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat inventori outlet ini.' });
     }
 
-
     res.status(200).json(outletInventory.toJSON());
   } catch (error) {
     if (error.name === 'CastError' && error.kind === 'ObjectId') {
@@ -134,6 +134,9 @@ export const updateOutletInventory = async (req, res) => {
     if (!existingInventory || existingInventory.isDeleted) {
       return res.status(404).json({ message: 'Inventori Outlet tidak ditemukan atau sudah dihapus.' });
     }
+    if (!(await canActAtOutlet(req.user, existingInventory._id, { permissions: [Permissions.INVENTORY_ADJUST] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
 
     // Prevent direct update of the ingredients array's currentQty here.
     // Only allow updates to metadata or specific ingredient thresholds if you add them to the schema.
@@ -150,6 +153,9 @@ export const updateOutletInventory = async (req, res) => {
       // }
       errors.push('Array bahan tidak dapat diperbarui langsung melalui endpoint ini. Gunakan transaksi inventori atau endpoint yang ditentukan untuk ambang batas reorder.');
     }
+    if (updateData.reorderLevels !== undefined) {
+      errors.push('Batas minimum stok tidak dapat diperbarui melalui endpoint ini. Gunakan PUT /api/v1/outletinventory/:id/reorder-levels.');
+    }
 
     // Example of allowing updates to general inventory document fields (if added to schema)
     // if (updateData.isActive !== undefined && typeof updateData.isActive !== 'boolean') {
@@ -184,6 +190,42 @@ export const updateOutletInventory = async (req, res) => {
   }
 };
 
+// @desc    Set per-ingredient reorder points (minimum stock) for an outlet.
+//          Body: { reorderLevels: [{ ingredientId, minQty }] }; minQty 0 or null removes the reorder point.
+// @route   PUT /api/v1/outletinventory/:id/reorder-levels
+// @access  Private (Admin, SPV Area)
+export const updateReorderLevels = async (req, res) => {
+  try {
+    if (!(await canActAtOutlet(req.user, req.params.id, { permissions: [Permissions.INVENTORY_REORDER_LEVEL] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await setReorderLevels(req.params.id, req.body.reorderLevels, userContext);
+
+    if (!result.success) {
+      if (result.errors) {
+        return res.status(400).json({ message: result.message, errors: result.errors });
+      }
+      if (result.notFound) {
+        return res.status(404).json({ message: result.message });
+      }
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.status(200).json({
+      message: result.message,
+      outletInventory: result.data.toJSON(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => error.errors[key].message);
+      return res.status(400).json({ message: 'Validasi gagal.', errors });
+    }
+    console.error('Error updating reorder levels:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memperbarui batas minimum stok.', error: error.message });
+  }
+};
+
 // @desc    Soft delete an outlet inventory document (typically triggered when an outlet is soft-deleted)
 // @route   DELETE /api/v1/outletinventory/:id
 // @access  Private (Admin role)
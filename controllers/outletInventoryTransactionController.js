@@ -6,7 +6,7 @@ import Ingredient from '../models/Ingredient.js';
 import User from '../models/User.js';
 import { TransactionTypes } from '../constants/transactionTypes.js';
 import { SourceTypes } from '../constants/sourceTypes.js';
-import { Roles } from '../constants/roles.js';
+import { Permissions } from '../constants/permissions.js';
 import mongoose from 'mongoose';
 import multer from 'multer'; // For Multer error handling
 import fs from 'fs/promises'; // For file system operations
@@ -15,7 +15,13 @@ import fs from 'fs/promises'; // For file system operations
 import * as outletInventoryService from '../services/outletInventoryService.js';
 // NEW: Import UserOutlet model
 import UserOutlet from '../models/UserOutlet.js';
+import { canAccessOutlet, resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
 import { fail } from 'assert';
+import * as listQueryService from '../services/listQueryService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+
+// Transactions move stock, so every write needs inventory.adjust at the transaction's outlet
+const ADJUST_PERMISSION = { permissions: [Permissions.INVENTORY_ADJUST] };
 
 
 // --- Helper Functions ---
@@ -54,7 +60,7 @@ const getEvidenceUrl = (file, uploadDirectory) => {
  * @param {object} transactionDataPayload - The data for a single OIT (from req.body or array item).
  * @param {object} authenticatedUser - The authenticated user object (e.g., req.user).
  * @param {object|null} uploadedFile - The Multer file object if any, for evidence.
- * @returns {Promise<{success: boolean, message: string, transaction?: object, errors?: string[], fileToDelete?: string}>}
+ * @returns {Promise<{success: boolean, message: string, transaction?: object, errors?: string[], fileToDelete?: string, forbidden?: boolean}>}
  */
 const _processSingleOutletInventoryTransaction = async (transactionDataPayload, authenticatedUser, uploadedFile = null) => {
     const { ingredientId, outletId, sourceType, ref, transactionType, notes } = transactionDataPayload;
@@ -115,6 +121,9 @@ const _processSingleOutletInventoryTransaction = async (transactionDataPayload,
         }
 
         // Outlet
+        if (mongoose.Types.ObjectId.isValid(outletId) && !(await canActAtOutlet(authenticatedUser, outletId, ADJUST_PERMISSION))) {
+            return { success: false, message: OUTLET_ACCESS_DENIED_MESSAGE, errors: [OUTLET_ACCESS_DENIED_MESSAGE], forbidden: true, fileToDelete: uploadedFile ? uploadedFile.path : null };
+        }
         const outletDoc = await Outlet.findById(outletId);
         if (!outletDoc || outletDoc.isDeleted || !outletDoc.isActive) {
             errors.push('Outlet tidak ditemukan, sudah dihapus, atau tidak aktif.');
@@ -201,7 +210,7 @@ const _processSingleOutletInventoryTransaction = async (transactionDataPayload,
 
 // @desc    Create a new outlet inventory transaction
 // @route   POST /api/v1/outletinventorytransactions
-// @access  Private (Operator, Admin, SPV Area - depending on transaction type)
+// @access  Private (inventory.adjust at the outlet in the body)
 export const createOutletInventoryTransaction = async (req, res) => {
     try {
         const result = await _processSingleOutletInventoryTransaction(req.body, req.user, req.file);
@@ -212,6 +221,8 @@ export const createOutletInventoryTransaction = async (req, res) => {
 
         if (result.success) {
             res.status(201).json({ message: result.message, transaction: result.transaction });
+        } else if (result.forbidden) {
+            res.status(403).json({ message: result.message });
         } else {
             res.status(400).json({ message: result.message, errors: result.errors });
         }
@@ -234,7 +245,7 @@ export const createOutletInventoryTransaction = async (req, res) => {
 
 // @desc    Create multiple outlet inventory transactions from a list
 // @route   POST /api/v1/outletinventorytransactions/bulk
-// @access  Private (Admin, SPV Area, or specific roles that can bulk create)
+// @access  Private (inventory.adjust at each transaction's outlet)
 export const createMultipleOutletInventoryTransactions = async (req, res) => {
     try {
         const transactionsToCreate = req.body;
@@ -322,12 +333,21 @@ export const createMultipleOutletInventoryTransactions = async (req, res) => {
 
 // @desc    Get all outlet inventory transactions
 // @route   GET /api/v1/outletinventorytransactions
-// @access  Private (Admin, SPV Area, potentially Operator for their outlet)
+// @access  Private (limited to the caller's outlets for non-admins)
 export const getOutletInventoryTransactions = async (req, res) => {
     try {
         const filter = { isDeleted: false };
         const { outletId, ingredientId, transactionType, sourceType, dateFrom, dateTo, isValid, isCalculated } = req.query;
 
+        if (outletId && !mongoose.Types.ObjectId.isValid(outletId)) { return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' }); }
+        const outletScope = await resolveOutletScope(req.user, outletId);
+        if (outletScope.forbidden) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
+        if (outletScope.condition) {
+            filter['outlet.outletId'] = outletScope.condition;
+        }
+
         // NEW: If outletId is provided in the filter, update the user's currentOutlet
         if (outletId && req.user && req.user._id && mongoose.Types.ObjectId.isValid(outletId)) {
             try {
@@ -343,11 +363,6 @@ export const getOutletInventoryTransactions = async (req, res) => {
             }
         }
 
-
-        if (outletId) {
-            if (!mongoose.Types.ObjectId.isValid(outletId)) { return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' }); }
-            filter['outlet.outletId'] = outletId;
-        }
         if (ingredientId) {
             if (!mongoose.Types.ObjectId.isValid(ingredientId)) { return res.status(400).json({ message: 'ID Bahan tidak valid untuk filter.' }); }
             filter['ingredient.ingredientId'] = ingredientId;
@@ -380,8 +395,15 @@ export const getOutletInventoryTransactions = async (req, res) => {
             filter.isCalculated = isCalculated === 'true';
         }
 
-        const transactions = await OutletInventoryTransaction.find(filter).sort({ createdAt: -1 });
-        res.status(200).json(transactions.map(trx => trx.toJSON()));
+        const page = await listQueryService.findPage(OutletInventoryTransaction, filter, req.query, {
+            sortFields: ['createdAt', 'code'],
+            defaultSort: '-createdAt',
+        });
+        if (!page.success) {
+            return res.status(400).json({ message: page.message, errors: page.errors });
+        }
+        listQueryService.setPageHeaders(res, page.data);
+        res.status(200).json(page.data.items.map(trx => trx.toJSON()));
     } catch (error) {
         console.error('Kesalahan saat mengambil transaksi inventori outlet:', error);
         res.status(500).json({ message: 'Kesalahan server saat mengambil transaksi inventori outlet.', error: error.message });
@@ -390,7 +412,7 @@ export const getOutletInventoryTransactions = async (req, res) => {
 
 // @desc    Get a single outlet inventory transaction by ID
 // @route   GET /api/v1/outletinventorytransactions/:id
-// @access  Private (Admin, SPV Area, potentially Operator for their outlet)
+// @access  Private (limited to the caller's outlets for non-admins)
 export const getOutletInventoryTransactionById = async (req, res) => {
     try {
         const { id } = req.params;
@@ -403,6 +425,9 @@ export const getOutletInventoryTransactionById = async (req, res) => {
         if (!transaction || transaction.isDeleted === true) {
             return res.status(404).json({ message: 'Transaksi inventori outlet tidak ditemukan atau sudah dihapus.' });
         }
+        if (!(await canAccessOutlet(req.user, transaction.outlet.outletId))) {
+            return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat transaksi inventori ini.' });
+        }
         res.status(200).json(transaction.toJSON());
     } catch (error) {
         if (error.name === 'CastError' && error.kind === 'ObjectId') {
@@ -415,7 +440,7 @@ export const getOutletInventoryTransactionById = async (req, res) => {
 
 // @desc    Update an outlet inventory transaction (e.g., mark as valid/calculated)
 // @route   PATCH /api/v1/outletinventorytransactions/:id
-// @access  Private (Admin, SPV Area for isValid/isCalculated)
+// @access  Private (inventory.adjust at the transaction's outlet)
 export const updateOutletInventoryTransaction = async (req, res) => {
     try {
         const { id } = req.params;
@@ -430,6 +455,9 @@ export const updateOutletInventoryTransaction = async (req, res) => {
         if (!existingTransaction || existingTransaction.isDeleted) {
             return res.status(404).json({ message: 'Transaksi inventori outlet tidak ditemukan atau sudah dihapus.' });
         }
+        if (!(await canActAtOutlet(req.user, existingTransaction.outlet.outletId, ADJUST_PERMISSION))) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
 
         const userContext = { userId: req.user._id, userName: req.user.name };
 
@@ -505,9 +533,9 @@ export const updateOutletInventoryTransaction = async (req, res) => {
     }
 };
 
-// @desc    Soft delete an outlet inventory transaction (Admin only)
+// @desc    Soft delete an outlet inventory transaction
 // @route   DELETE /api/v1/outletinventorytransactions/:id
-// @access  Private (Admin role)
+// @access  Private (inventory.adjust at the transaction's outlet)
 export const deleteOutletInventoryTransaction = async (req, res) => {
     let transactionToDelete = null; // Store for potential service call
     try {
@@ -516,16 +544,14 @@ export const deleteOutletInventoryTransaction = async (req, res) => {
             return res.status(400).json({ message: 'Format ID Transaksi Inventori Outlet tidak valid.' });
         }
 
-        // Security check: Ensure only Admin can perform this soft delete
-        if (!req.user || !req.user.roles || !req.user.roles.includes(Roles.admin)) {
-            return res.status(403).json({ message: 'Anda tidak memiliki izin untuk menghapus transaksi inventori outlet ini.' });
-        }
-
         // Fetch the transaction *before* deleting it to get its current state for reversal
         transactionToDelete = await OutletInventoryTransaction.findById(id);
         if (!transactionToDelete || transactionToDelete.isDeleted) {
              return res.status(404).json({ message: 'Transaksi inventori outlet tidak ditemukan atau sudah dihapus.' });
         }
+        if (!(await canActAtOutlet(req.user, transactionToDelete.outlet.outletId, ADJUST_PERMISSION))) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
 
         // NEW: Invalidate the linked OIT using the toggle function if it was valid
         if (transactionToDelete.isValid === true) {
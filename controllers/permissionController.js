@@ -0,0 +1,88 @@
+import RolePermission from '../models/RolePermission.js';
+import mongoose from 'mongoose';
+import { Permissions, PermissionDescriptions } from '../constants/permissions.js';
+import { Roles } from '../constants/roles.js';
+import * as permissionService from '../services/permissionService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+
+// @desc    Get the permission catalogue
+// @route   GET /api/v1/permissions
+// @access  Private
+export const getPermissionCatalogue = async (req, res) => {
+  res.status(200).json(Object.values(Permissions).map(permission => ({
+    permission,
+    description: PermissionDescriptions[permission],
+  })));
+};
+
+// @desc    Get the effective permissions of the logged-in user
+// @route   GET /api/v1/permissions/me
+// @access  Private
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await permissionService.getUserPermissions(req.user);
+    res.status(200).json({ roles: req.user.roles, permissions: [...permissions] });
+  } catch (error) {
+    console.error('Kesalahan saat mengambil hak akses pengguna:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil hak akses pengguna.', error: error.message });
+  }
+};
+
+// @desc    Get the role-to-permission mappings
+// @route   GET /api/v1/permissions/roles
+// @access  Private (permission.manage)
+export const getRolePermissions = async (req, res) => {
+  try {
+    const rolePermissions = await RolePermission.find({}).sort({ role: 1 });
+    res.status(200).json(rolePermissions.map(rolePermission => rolePermission.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil hak akses peran:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil hak akses peran.', error: error.message });
+  }
+};
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/v1/permissions/roles/:role  body: { permissions: [...] }
+// @access  Private (permission.manage)
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const userContext = { userId: req.user._id, userName: req.user.name, isAdmin: req.user.roles.includes(Roles.admin) };
+    const result = await permissionService.updateRolePermissions(req.params.role, req.body.permissions, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      rolePermission: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat memperbarui hak akses peran:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memperbarui hak akses peran.', error: error.message });
+  }
+};
+
+// @desc    Set per-user permission exceptions
+// @route   PUT /api/v1/permissions/users/:id  body: { grantedPermissions, deniedPermissions }
+// @access  Private (permission.manage)
+export const updateUserPermissions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Format ID Pengguna tidak valid.' });
+    }
+    const userContext = { isAdmin: req.user.roles.includes(Roles.admin) };
+    const result = await permissionService.updateUserPermissions(req.params.id, req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    const permissions = await permissionService.getUserPermissions(result.data);
+    res.status(200).json({
+      message: result.message,
+      grantedPermissions: result.data.grantedPermissions,
+      deniedPermissions: result.data.deniedPermissions,
+      effectivePermissions: [...permissions],
+    });
+  } catch (error) {
+    console.error('Kesalahan saat memperbarui hak akses pengguna:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memperbarui hak akses pengguna.', error: error.message });
+  }
+};
@@ -0,0 +1,218 @@
+import Purchase from '../models/Purchase.js';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { PurchaseStatuses } from '../constants/purchaseStatuses.js';
+import { Roles } from '../constants/roles.js';
+import { Permissions } from '../constants/permissions.js';
+import * as purchaseService from '../services/purchaseService.js';
+import { canAccessOutlet, resolveOutletScope, findDocumentOutletId, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+
+// Removes an uploaded receipt when the purchase could not be recorded
+const removeUploadedFile = async (req) => {
+  if (!req.file || !req.file.path) return;
+  const fs = await import('fs/promises');
+  try {
+    await fs.unlink(req.file.path);
+    console.log(`Deleted redundant uploaded file: ${req.file.path}`);
+  } catch (fileErr) {
+    console.error(`Error deleting redundant file ${req.file.path}:`, fileErr);
+  }
+};
+
+// Roles that may record purchases, checked at the purchase's outlet
+const PURCHASE_ROLES = [Roles.operator, Roles.spvarea, Roles.admin];
+
+// True when the caller lacks the `required` { roles, permissions } at the outlet of the purchase in req.params.id
+// (missing purchases are left to the service's 404)
+const isDeniedAtPurchaseOutlet = async (req, required) => {
+  const outletId = await findDocumentOutletId(Purchase, req.params.id);
+  return Boolean(outletId) && !(await canActAtOutlet(req.user, outletId, required));
+};
+
+// @desc    Record a local purchase (supplier, items, prices paid, receipt image)
+// @route   POST /api/v1/purchases
+// @access  Private (Operator, SPV Area, Admin)
+export const createPurchase = async (req, res) => {
+  try {
+    const receiptUrl = req.file ? `/uploads/purchase/receipt/${req.file.filename}` : null;
+    const userContext = { userId: req.user._id, userName: req.user.name };
+
+    if (mongoose.Types.ObjectId.isValid(req.body.outletId) && !(await canActAtOutlet(req.user, req.body.outletId, { roles: PURCHASE_ROLES }))) {
+      await removeUploadedFile(req);
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+
+    const result = await purchaseService.createPurchase(req.body, receiptUrl, userContext);
+    if (!result.success) {
+      await removeUploadedFile(req);
+      return sendServiceError(res, result);
+    }
+
+    res.status(201).json({
+      message: result.message,
+      purchase: result.data.toJSON()
+    });
+  } catch (error) {
+    await removeUploadedFile(req);
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'Ukuran file terlalu besar. Maksimal 10MB.' });
+      }
+      return res.status(400).json({ message: `Kesalahan unggah file: ${error.message}` });
+    }
+    console.error('Kesalahan saat mencatat pembelian:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mencatat pembelian.', error: error.message });
+  }
+};
+
+// @desc    Get all purchases
+// @route   GET /api/v1/purchases?outletId=...&status=...&dateFrom=...&dateTo=...
+// @access  Private
+export const getPurchases = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, status, dateFrom, dateTo } = req.query;
+
+    if (outletId) {
+      if (!mongoose.Types.ObjectId.isValid(outletId)) {
+        return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+      }
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
+    }
+    if (status) {
+      if (!Object.values(PurchaseStatuses).includes(status)) {
+        return res.status(400).json({ message: 'Status pembelian tidak valid untuk filter.' });
+      }
+      filter.status = status;
+    }
+    if (dateFrom || dateTo) {
+      filter.purchasedAt = {};
+      if (dateFrom) {
+        const d = new Date(dateFrom);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateFrom" tidak valid.' }); }
+        filter.purchasedAt.$gte = d;
+      }
+      if (dateTo) {
+        const d = new Date(dateTo);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateTo" tidak valid.' }); }
+        filter.purchasedAt.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+      }
+    }
+
+    const page = await listQueryService.findPage(Purchase, filter, req.query, {
+      sortFields: ['purchasedAt', 'createdAt', 'code', 'totalPrice'],
+      defaultSort: '-purchasedAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(purchase => purchase.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil pembelian:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil pembelian.', error: error.message });
+  }
+};
+
+// @desc    Get a single purchase by ID
+// @route   GET /api/v1/purchases/:id
+// @access  Private
+export const getPurchaseById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Pembelian tidak valid.' });
+    }
+
+    const purchase = await Purchase.findById(id);
+    if (!purchase || purchase.isDeleted) {
+      return res.status(404).json({ message: 'Pembelian tidak ditemukan atau sudah dihapus.' });
+    }
+    if (!(await canAccessOutlet(req.user, purchase.outlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat pembelian ini.' });
+    }
+
+    res.status(200).json(purchase.toJSON());
+  } catch (error) {
+    console.error('Kesalahan saat mengambil pembelian berdasarkan ID:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil pembelian berdasarkan ID.', error: error.message });
+  }
+};
+
+// @desc    Accept a purchase and post its items to the outlet inventory
+// @route   PATCH /api/v1/purchases/:id/accept
+// @access  Private (Admin, SPV Area)
+export const acceptPurchase = async (req, res) => {
+  try {
+    if (await isDeniedAtPurchaseOutlet(req, { permissions: [Permissions.PURCHASE_APPROVE] })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await purchaseService.acceptPurchase(req.params.id, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      purchase: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menerima pembelian:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menerima pembelian.', error: error.message });
+  }
+};
+
+// @desc    Reject a pending purchase
+// @route   PATCH /api/v1/purchases/:id/reject
+// @access  Private (Admin, SPV Area)
+export const rejectPurchase = async (req, res) => {
+  try {
+    if (await isDeniedAtPurchaseOutlet(req, { permissions: [Permissions.PURCHASE_APPROVE] })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await purchaseService.rejectPurchase(req.params.id, req.body.reason, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      purchase: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menolak pembelian:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menolak pembelian.', error: error.message });
+  }
+};
+
+// @desc    Soft delete a purchase (reverses stock and report if it was accepted)
+// @route   DELETE /api/v1/purchases/:id
+// @access  Private (Admin)
+export const deletePurchase = async (req, res) => {
+  try {
+    if (await isDeniedAtPurchaseOutlet(req, { permissions: [Permissions.PURCHASE_DELETE] })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await purchaseService.deletePurchase(req.params.id, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      purchase: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menghapus pembelian:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menghapus pembelian.', error: error.message });
+  }
+};
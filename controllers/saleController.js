@@ -2,13 +2,18 @@ import Sale from '../models/Sale.js';
 import Outlet from '../models/Outlet.js';
 import User from '../models/User.js';
 import { PaymentMethods } from '../constants/paymentMethods.js';
-import { Roles } from '../constants/roles.js';
 import mongoose from 'mongoose';
 import multer from 'multer'; // Import multer for error handling
 import * as saleProcessingService from '../services/saleProcessingService.js'; // NEW: Import the sale processing service
-import { TransactionTypes } from '../constants/transactionTypes.js'; // NEW: Import TransactionTypes
-import { SourceTypes } from '../constants/sourceTypes.js';
-import * as outletInventoryTransactionController from './outletInventoryTransactionController.js';
+import * as saleRefundService from '../services/saleRefundService.js';
+import { emitToOutlet } from '../socket/index.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import { SaleSyncStatuses } from '../constants/saleSyncStatuses.js';
+import { Permissions } from '../constants/permissions.js';
+import { canAccessOutlet, resolveOutletScope, findDocumentOutletId, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
 
 // Helper to validate User references (kept here as it's a general controller utility)
 const validateUserReference = async (userId, errorsArray, fieldName, requiredRole = null) => {
@@ -37,13 +42,70 @@ const getPaymentEvidenceUrl = (req) => {
   return null;
 };
 
+// Removes the payment evidence uploaded with a request that did not create a sale
+const discardUploadedFile = async (req) => {
+  if (!req.file) return;
+  const fs = await import('fs/promises');
+  try {
+    await fs.unlink(req.file.path);
+    console.log(`Deleted redundant uploaded file: ${req.file.path}`);
+  } catch (fileErr) {
+    console.error(`Error deleting redundant file ${req.file.path}:`, fileErr);
+  }
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+
+// Idempotency key of a sale submission, from the `Idempotency-Key` header or `idempotencyKey` in the body
+const getIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key') ?? req.body.idempotencyKey;
+  if (key === undefined || key === null) return null;
+  return String(key).trim() || null;
+};
+
+// Sale created earlier at this outlet with the same idempotency key
+const findSaleByIdempotencyKey = async (outletId, idempotencyKey) => {
+  if (!idempotencyKey || !mongoose.Types.ObjectId.isValid(outletId)) return null;
+  return await Sale.findOne({ 'outlet.outletId': outletId, idempotencyKey });
+};
+
+// Answers a retried submission with the sale its first attempt created
+const sendReplayedSale = async (req, res, sale) => {
+  if (!(await canAccessOutlet(req.user, sale.outlet.outletId))) {
+    return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(200).json({
+    message: 'Penjualan dengan idempotency key ini sudah dicatat sebelumnya.',
+    sale: sale.toJSON()
+  });
+};
+
 // --- CRUD Controller Functions for Sale ---
 
-// @desc    Create a new sale
+// @desc    Create a new sale. Clients should send an `Idempotency-Key` header (e.g. a UUID generated per
+//          checkout) so a retried POST returns the original sale instead of creating and deducting stock twice.
 // @route   POST /api/sales
 // @access  Private (Operator role)
 export const createSale = async (req, res) => {
+  const idempotencyKey = getIdempotencyKey(req);
   try {
+    if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      await discardUploadedFile(req);
+      return res.status(400).json({ message: `Idempotency key maksimal ${MAX_IDEMPOTENCY_KEY_LENGTH} karakter.` });
+    }
+
+    if (mongoose.Types.ObjectId.isValid(req.body.outletId) && !(await canAccessOutlet(req.user, req.body.outletId))) {
+      await discardUploadedFile(req);
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+
+    const existingSale = await findSaleByIdempotencyKey(req.body.outletId, idempotencyKey);
+    if (existingSale) {
+      await discardUploadedFile(req);
+      return await sendReplayedSale(req, res, existingSale);
+    }
+
     const paymentEvidenceUrl = getPaymentEvidenceUrl(req);
   
     // Delegate processing and validation to the service
@@ -55,58 +117,14 @@ export const createSale = async (req, res) => {
 
     if (errors.length > 0) {
       // If a file was uploaded but validation fails, delete the uploaded file
-      if (req.file) {
-        const fs = await import('fs/promises');
-        try {
-          await fs.unlink(req.file.path);
-          console.log(`Deleted redundant uploaded file: ${req.file.path}`);
-        } catch (fileErr) {
-          console.error(`Error deleting redundant file ${req.file.path}:`, fileErr);
-        }
-      }
+      await discardUploadedFile(req);
       return res.status(400).json({ message: 'Validasi gagal.', errors });
     }
 
-    const sale = await Sale.create(saleData); // Code will be generated by pre-save hook
-
-    // NEW: Create OutletInventoryTransaction for each ingredientUsed
-    for (const ingredientUsed of sale.ingredientUsed) { // Use 'sale.ingredientUsed' from the saved sale
-        const oitData = {
-            outletId: sale.outlet.outletId, // Use outletId from the saved sale
-            ingredientId: ingredientUsed.ingredientId,
-            qty: ingredientUsed.qty, // This quantity is positive; OIT pre-save will make it negative for OUT
-            transactionType: TransactionTypes.OUT,
-            sourceType: SourceTypes.SALE,
-            ref: sale.code, // Reference the newly created sale's code
-            notes: `Konsumsi untuk Penjualan: ${sale.code}`,
-            evidenceUrl: null, // No direct evidence for ingredient consumption from sale
-            createdByUserId: req.user._id,
-            createdByName: req.user.name,
-            isValid: true, // Mark as valid as it's from a completed sale
-        };
-
-        // Create a dummy request object for the OIT controller
-        const oitReq = {
-            body: oitData,
-            user: req.user, // Pass the authenticated user
-            file: null // No file for this OIT
-        };
-        const oitRes = {
-            status: (statusCode) => ({
-                json: (data) => {
-                    if (statusCode !== 201) {
-                        console.error(`Failed to create OIT for ingredient ${ingredientUsed.name} from sale ${sale.code}:`, data);
-                    }
-                }
-            })
-        };
-        const oitNext = (err) => {
-            if (err) console.error(`Error in OIT creation middleware for ingredient ${ingredientUsed.name} from sale ${sale.code}:`, err);
-        };
+    // Sale, stock movements and daily report are committed together. A concurrent retry with the same key fails here on the unique index.
+    const { sale } = await saleProcessingService.recordSale({ ...saleData, idempotencyKey }, req.user);
 
-        // Call the OIT controller function directly
-        await outletInventoryTransactionController.createOutletInventoryTransaction(oitReq, oitRes, oitNext);
-    }
+    emitToOutlet(sale.outlet.outletId, SocketEvents.SALE_CREATED, sale.toJSON());
     
     res.status(201).json({
       message: 'Penjualan berhasil dicatat.',
@@ -115,13 +133,12 @@ export const createSale = async (req, res) => {
 
   } catch (error) {
     // If a file was uploaded but an unexpected error occurs, delete the uploaded file
-    if (req.file) {
-      const fs = await import('fs/promises');
-      try {
-        await fs.unlink(req.file.path);
-        console.log(`Deleted redundant uploaded file: ${req.file.path}`);
-      } catch (fileErr) {
-        console.error(`Error deleting redundant file ${req.file.path}:`, fileErr);
+    await discardUploadedFile(req);
+    if (error.code === 11000 && error.keyValue && 'idempotencyKey' in error.keyValue) {
+      // Lost the race against another attempt of the same submission: answer with the sale it created
+      const originalSale = await findSaleByIdempotencyKey(error.keyValue['outlet.outletId'], idempotencyKey).catch(() => null);
+      if (originalSale) {
+        return await sendReplayedSale(req, res, originalSale);
       }
     }
     if (error.code === 11000) {
@@ -148,9 +165,125 @@ export const createSale = async (req, res) => {
   }
 };
 
+const MAX_SYNC_BATCH_SIZE = 100;
+// Tolerated clock drift of a tablet when checking that a sale is not in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// How long a tablet may stay offline: older sales are refused rather than booked into long-closed days and shifts
+const MAX_OFFLINE_HOURS = Number(process.env.SALE_SYNC_MAX_OFFLINE_HOURS) || 72;
+
+// Creates one sale of an offline batch, numbered and reported on its original business date
+const syncOneSale = async (rawSale, user) => {
+  const clientId = rawSale && rawSale.clientId !== undefined && rawSale.clientId !== null ? String(rawSale.clientId).trim() : '';
+  const fail = (errors) => ({ clientId: clientId || null, status: SaleSyncStatuses.FAILED, errors });
+
+  if (!rawSale || typeof rawSale !== 'object') {
+    return fail(['Data penjualan tidak valid.']);
+  }
+  const errors = [];
+  if (!clientId) {
+    errors.push('clientId diperlukan.');
+  } else if (clientId.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    errors.push(`clientId maksimal ${MAX_IDEMPOTENCY_KEY_LENGTH} karakter.`);
+  }
+  const transactedAt = new Date(rawSale.transactedAt);
+  if (!rawSale.transactedAt || isNaN(transactedAt.getTime())) {
+    errors.push('Waktu transaksi ("transactedAt") diperlukan dan harus berupa tanggal yang valid.');
+  } else if (transactedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    errors.push('Waktu transaksi tidak boleh di masa depan.');
+  } else if (transactedAt.getTime() < Date.now() - MAX_OFFLINE_HOURS * 60 * 60 * 1000) {
+    errors.push(`Waktu transaksi melewati batas sinkronisasi offline (${MAX_OFFLINE_HOURS} jam).`);
+  }
+  if (errors.length > 0) {
+    return fail(errors);
+  }
+
+  if (mongoose.Types.ObjectId.isValid(rawSale.outletId) && !(await canAccessOutlet(user, rawSale.outletId))) {
+    return fail([OUTLET_ACCESS_DENIED_MESSAGE]);
+  }
+
+  const conflict = (sale) => ({
+    clientId,
+    status: SaleSyncStatuses.CONFLICT,
+    message: `Penjualan ini sudah tersinkron sebagai ${sale.code}.`,
+    sale: sale.toJSON(),
+  });
+
+  const existingSale = await findSaleByIdempotencyKey(rawSale.outletId, clientId);
+  if (existingSale) {
+    return conflict(existingSale);
+  }
+
+  // Payment evidence cannot be uploaded in a batch, non-cash sales need it and fail validation
+  const { saleData, errors: saleErrors, warnings } = await saleProcessingService.processNewSaleData(rawSale, user, null, { transactedAt });
+  if (saleErrors.length > 0) {
+    return fail(saleErrors);
+  }
+
+  let sale;
+  try {
+    // createdAt carries the original time, so the code and DailyOutletSaleReport use that day
+    ({ sale } = await saleProcessingService.recordSale({ ...saleData, idempotencyKey: clientId, createdAt: transactedAt }, user));
+  } catch (error) {
+    if (error.code === 11000 && error.keyValue && 'idempotencyKey' in error.keyValue) {
+      const originalSale = await findSaleByIdempotencyKey(rawSale.outletId, clientId);
+      if (originalSale) return conflict(originalSale);
+    }
+    if (error.name === 'ValidationError') {
+      return fail(Object.keys(error.errors).map(key => error.errors[key].message));
+    }
+    throw error;
+  }
+
+  emitToOutlet(sale.outlet.outletId, SocketEvents.SALE_CREATED, sale.toJSON());
+
+  const result = { clientId, status: SaleSyncStatuses.SUCCESS, sale: sale.toJSON() };
+  if (warnings.length > 0) {
+    result.warnings = warnings;
+  }
+  return result;
+};
+
+// @desc    Upload sales made while the tablet was offline. Each sale carries a client-generated `clientId`
+//          (stored as its idempotency key) and its original `transactedAt`; sales are processed in order and
+//          each gets its own result, so one bad sale does not block the rest of the batch. Sales older than
+//          SALE_SYNC_MAX_OFFLINE_HOURS are refused; a sale whose shift was closed meanwhile is kept off it, with a warning.
+// @route   POST /api/v1/sales/sync  body: { sales: [{ clientId, transactedAt, outletId, itemSingle, ..., totalPaid, payment }] }
+// @access  Private (Operator role)
+export const syncSales = async (req, res) => {
+  try {
+    const { sales } = req.body;
+    if (!Array.isArray(sales) || sales.length === 0) {
+      return res.status(400).json({ message: '"sales" harus berupa array yang tidak kosong.' });
+    }
+    if (sales.length > MAX_SYNC_BATCH_SIZE) {
+      return res.status(400).json({ message: `Maksimal ${MAX_SYNC_BATCH_SIZE} penjualan per sinkronisasi.` });
+    }
+
+    const results = [];
+    for (const rawSale of sales) {
+      try {
+        results.push(await syncOneSale(rawSale, req.user));
+      } catch (error) {
+        console.error(`Kesalahan saat sinkronisasi penjualan ${rawSale?.clientId}:`, error);
+        results.push({ clientId: rawSale?.clientId ?? null, status: SaleSyncStatuses.FAILED, errors: [error.message] });
+      }
+    }
+
+    const summary = Object.values(SaleSyncStatuses).reduce((acc, status) => ({
+      ...acc,
+      [status]: results.filter(result => result.status === status).length,
+    }), {});
+
+    res.status(200).json({ message: 'Sinkronisasi penjualan selesai.', summary, results });
+  } catch (error) {
+    console.error('Kesalahan saat sinkronisasi penjualan:', error);
+    res.status(500).json({ message: 'Kesalahan server saat sinkronisasi penjualan.', error: error.message });
+  }
+};
+
 // @desc    Get all sales
 // @route   GET /api/sales
-// @access  Private (Admin, SPV Area)
+// @access  Private (limited to the caller's outlets for non-admins)
 export const getSales = async (req, res) => {
   try {
     const filter = { isDeleted: false };
@@ -160,7 +293,13 @@ export const getSales = async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(outletId)) {
         return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
       }
-      filter['outlet.outletId'] = outletId;
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
     }
     if (operatorId) {
       if (!mongoose.Types.ObjectId.isValid(operatorId)) {
@@ -192,8 +331,15 @@ export const getSales = async (req, res) => {
     }
 
 
-    const sales = await Sale.find(filter).sort({ createdAt: -1 });
-    res.status(200).json(sales.map(sale => sale.toJSON()));
+    const page = await listQueryService.findPage(Sale, filter, req.query, {
+      sortFields: ['createdAt', 'code', 'totalPrice'],
+      defaultSort: '-createdAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(sale => sale.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil penjualan:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil penjualan.', error: error.message });
@@ -202,7 +348,7 @@ export const getSales = async (req, res) => {
 
 // @desc    Get a single sale by ID
 // @route   GET /api/sales/:id
-// @access  Private (Admin, SPV Area, Operator - operator can only view their own outlet's sales)
+// @access  Private (limited to the caller's outlets for non-admins)
 export const getSaleById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -216,14 +362,9 @@ export const getSaleById = async (req, res) => {
       return res.status(404).json({ message: 'Penjualan tidak ditemukan atau sudah dihapus.' });
     }
 
-    // Optional Security: If req.user is operator, check if outlet matches
-    // if (req.user && req.user.roles.includes(Roles.operator)) {
-    //     // Assuming req.user has outletId or you fetch it here
-    //     const operatorOutlet = await Outlet.findOne({ operators: req.user._id, isDeleted: false });
-    //     if (!operatorOutlet || operatorOutlet._id.toString() !== sale.outlet.outletId.toString()) {
-    //         return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat penjualan ini.' });
-    //     }
-    // }
+    if (!(await canAccessOutlet(req.user, sale.outlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat penjualan ini.' });
+    }
 
     res.status(200).json(sale.toJSON());
   } catch (error) {
@@ -252,6 +393,9 @@ export const updateSale = async (req, res) => {
     if (!existingSale || existingSale.isDeleted) {
       return res.status(404).json({ message: 'Penjualan tidak ditemukan atau sudah dihapus.' });
     }
+    if (!(await canActAtOutlet(req.user, existingSale.outlet.outletId, { permissions: [Permissions.SALE_UPDATE] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
 
     // --- Validation for fields that can be updated ---
     if (updateData.isValid !== undefined && typeof updateData.isValid !== 'boolean') {
@@ -316,9 +460,9 @@ export const updateSale = async (req, res) => {
   }
 };
 
-// @desc    Soft delete a sale (Admin only)
+// @desc    Soft delete a sale
 // @route   DELETE /api/sales/:id
-// @access  Private (Admin role)
+// @access  Private (sale.delete at the sale's outlet)
 export const deleteSale = async (req, res) => {
   try {
     const { id } = req.params;
@@ -326,9 +470,9 @@ export const deleteSale = async (req, res) => {
       return res.status(400).json({ message: 'Format ID Penjualan tidak valid.' });
     }
 
-    // Security check: Ensure only Admin can perform this soft delete
-    if (!req.user || !req.user.roles || !req.user.roles.includes(Roles.admin)) {
-       return res.status(403).json({ message: 'Anda tidak memiliki izin untuk menghapus penjualan ini.' });
+    const outletId = await findDocumentOutletId(Sale, id);
+    if (outletId && !(await canActAtOutlet(req.user, outletId, { permissions: [Permissions.SALE_DELETE] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
     }
 
     const sale = await Sale.findByIdAndUpdate(
@@ -341,6 +485,8 @@ export const deleteSale = async (req, res) => {
       return res.status(404).json({ message: 'Penjualan tidak ditemukan.' });
     }
 
+    emitToOutlet(sale.outlet.outletId, SocketEvents.SALE_DELETED, sale.toJSON());
+
     res.status(200).json({
       message: 'Penjualan berhasil dihapus (soft delete).',
       sale: sale.toJSON()
@@ -353,3 +499,34 @@ export const deleteSale = async (req, res) => {
     res.status(500).json({ message: 'Kesalahan server saat menghapus penjualan.', error: error.message });
   }
 };
+
+// @desc    Refund (return) specific lines of a sale
+// @route   POST /api/sales/:id/refunds
+// @access  Private (Admin, SPV Area, Operator)
+export const refundSale = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userContext = { userId: req.user._id, userName: req.user.name };
+
+    if (mongoose.Types.ObjectId.isValid(id)) {
+      const sale = await Sale.findById(id).select('outlet');
+      if (sale && !(await canActAtOutlet(req.user, sale.outlet.outletId, { permissions: [Permissions.SALE_REFUND] }))) {
+        return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+      }
+    }
+
+    const result = await saleRefundService.refundSale(id, req.body, userContext);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.status(201).json({
+      message: result.message,
+      sale: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat memproses refund penjualan:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memproses refund penjualan.', error: error.message });
+  }
+};
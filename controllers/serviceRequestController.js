@@ -1,9 +1,26 @@
+import mongoose from 'mongoose';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { Permissions } from '../constants/permissions.js';
 import * as serviceRequestService from '../services/serviceRequestService.js';
+import { resolveOutletScope, findDocumentOutletId, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+import * as listQueryService from '../services/listQueryService.js';
+
+// True when the caller lacks `permission` at the outlet of the request in req.params.id
+// (missing requests are left to the service)
+const isDeniedAtRequestOutlet = async (req, permission) => {
+    const outletId = await findDocumentOutletId(ServiceRequest, req.params.id, 'outlet');
+    return Boolean(outletId) && !(await canActAtOutlet(req.user, outletId, { permissions: [permission] }));
+};
 
 // @desc    Create a new service request (Operator)
 // @route   POST /api/v1/servicerequests
 export const createRequest = async (req, res) => {
     try {
+        const { outletId } = req.body;
+        if (mongoose.Types.ObjectId.isValid(outletId) && !(await canActAtOutlet(req.user, outletId, { permissions: [Permissions.SERVICE_REQUEST_CREATE] }))) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
         const userContext = { userId: req.user._id, userName: req.user.name };
         const result = await serviceRequestService.createServiceRequest(req.body, userContext);
 
@@ -34,6 +51,9 @@ export const processRequest = async (req, res) => {
             return res.status(400).json({ message: 'Action harus "approve" atau "reject".' });
         }
 
+        if (await isDeniedAtRequestOutlet(req, Permissions.SERVICE_REQUEST_PROCESS)) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
         const userContext = { userId: req.user._id, userName: req.user.name };
         const result = await serviceRequestService.processServiceRequest(id, action, note, userContext);
 
@@ -55,6 +75,9 @@ export const processRequest = async (req, res) => {
 export const deleteRequest = async (req, res) => {
     try {
         const { id } = req.params;
+        if (await isDeniedAtRequestOutlet(req, Permissions.SERVICE_REQUEST_DELETE)) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
         const userContext = { userId: req.user._id, userName: req.user.name };
 
         const result = await serviceRequestService.deleteServiceRequest(id, userContext);
@@ -76,13 +99,26 @@ export const deleteRequest = async (req, res) => {
 // @route   GET /api/v1/servicerequests
 export const getAllRequests = async (req, res) => {
     try {
+        const { outletId } = req.query;
+        if (outletId && !mongoose.Types.ObjectId.isValid(outletId)) {
+            return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+        }
+        const outletScope = await resolveOutletScope(req.user, outletId);
+        if (outletScope.forbidden) {
+            return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+        }
+
         const filters = {
-            outletId: req.query.outletId,
+            outletId: outletScope.condition,
             status: req.query.status,
             type: req.query.type
         };
-        const requests = await serviceRequestService.getServiceRequests(filters);
-        res.status(200).json(requests);
+        const page = await serviceRequestService.getServiceRequests(filters, req.query);
+        if (!page.success) {
+            return res.status(400).json({ message: page.message, errors: page.errors });
+        }
+        listQueryService.setPageHeaders(res, page.data);
+        res.status(200).json(page.data.items);
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error mengambil data request.' });
@@ -0,0 +1,158 @@
+import Shift from '../models/Shift.js';
+import mongoose from 'mongoose';
+import { ShiftStatuses } from '../constants/shiftStatuses.js';
+import { Roles } from '../constants/roles.js';
+import * as shiftService from '../services/shiftService.js';
+import { canAccessOutlet, resolveOutletScope, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+
+// @desc    Open a cash drawer shift with a starting float
+// @route   POST /api/v1/shifts/open
+// @access  Private (Operator)
+export const openShift = async (req, res) => {
+  try {
+    if (mongoose.Types.ObjectId.isValid(req.body.outletId) && !(await canActAtOutlet(req.user, req.body.outletId, { roles: [Roles.operator] }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const result = await shiftService.openShift(req.body, req.user);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(201).json({
+      message: result.message,
+      shift: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat membuka shift:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membuka shift.', error: error.message });
+  }
+};
+
+// @desc    Close a shift with the counted cash (and optionally counted transfer/qris)
+// @route   PATCH /api/v1/shifts/:id/close
+// @access  Private (Shift operator, Admin, SPV Area)
+export const closeShift = async (req, res) => {
+  try {
+    const result = await shiftService.closeShift(req.params.id, req.body, req.user);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      shift: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menutup shift:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menutup shift.', error: error.message });
+  }
+};
+
+// @desc    Get the authenticated operator's open shift at an outlet (with running totals)
+// @route   GET /api/v1/shifts/current?outletId=...
+// @access  Private (Operator)
+export const getCurrentShift = async (req, res) => {
+  try {
+    const { outletId } = req.query;
+    if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+      return res.status(400).json({ message: 'ID Outlet tidak valid.' });
+    }
+
+    const shift = await shiftService.findOpenShift(outletId, req.user._id);
+    if (!shift) {
+      return res.status(404).json({ message: 'Tidak ada shift terbuka untuk Anda di outlet ini.' });
+    }
+
+    res.status(200).json(await shiftService.toShiftJSON(shift));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil shift aktif:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil shift aktif.', error: error.message });
+  }
+};
+
+// @desc    Get all shifts
+// @route   GET /api/v1/shifts?outletId=...&operatorId=...&status=...&dateFrom=...&dateTo=...
+// @access  Private
+export const getShifts = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, operatorId, status, dateFrom, dateTo } = req.query;
+
+    if (outletId) {
+      if (!mongoose.Types.ObjectId.isValid(outletId)) {
+        return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+      }
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
+    }
+    if (operatorId) {
+      if (!mongoose.Types.ObjectId.isValid(operatorId)) {
+        return res.status(400).json({ message: 'ID Operator tidak valid untuk filter.' });
+      }
+      filter['operator.operatorId'] = operatorId;
+    }
+    if (status) {
+      if (!Object.values(ShiftStatuses).includes(status)) {
+        return res.status(400).json({ message: 'Status shift tidak valid untuk filter.' });
+      }
+      filter.status = status;
+    }
+    if (dateFrom || dateTo) {
+      filter.openedAt = {};
+      if (dateFrom) {
+        const d = new Date(dateFrom);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateFrom" tidak valid.' }); }
+        filter.openedAt.$gte = d;
+      }
+      if (dateTo) {
+        const d = new Date(dateTo);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateTo" tidak valid.' }); }
+        filter.openedAt.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+      }
+    }
+
+    const page = await listQueryService.findPage(Shift, filter, req.query, {
+      sortFields: ['openedAt', 'closedAt', 'createdAt'],
+      defaultSort: '-openedAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(shift => shift.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil shift:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil shift.', error: error.message });
+  }
+};
+
+// @desc    Get a single shift by ID
+// @route   GET /api/v1/shifts/:id
+// @access  Private
+export const getShiftById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Shift tidak valid.' });
+    }
+
+    const shift = await Shift.findById(id);
+    if (!shift || shift.isDeleted) {
+      return res.status(404).json({ message: 'Shift tidak ditemukan atau sudah dihapus.' });
+    }
+    if (!(await canAccessOutlet(req.user, shift.outlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat shift ini.' });
+    }
+
+    res.status(200).json(await shiftService.toShiftJSON(shift));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil shift berdasarkan ID:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil shift berdasarkan ID.', error: error.message });
+  }
+};
@@ -0,0 +1,239 @@
+import StockOpname from '../models/StockOpname.js';
+import mongoose from 'mongoose';
+import { StockOpnameStatuses } from '../constants/stockOpnameStatuses.js';
+import { Roles } from '../constants/roles.js';
+import { Permissions } from '../constants/permissions.js';
+import * as stockOpnameService from '../services/stockOpnameService.js';
+import { canAccessOutlet, resolveOutletScope, findDocumentOutletId, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+
+// Roles that may run a count, checked at the session's outlet
+const COUNTING_ROLES = [Roles.operator, Roles.spvarea, Roles.admin];
+
+// True when the caller lacks the `required` { roles, permissions } at the outlet of the session in req.params.id
+// (missing sessions are left to the service's 404)
+const isDeniedAtStockOpnameOutlet = async (req, required) => {
+  const outletId = await findDocumentOutletId(StockOpname, req.params.id);
+  return Boolean(outletId) && !(await canActAtOutlet(req.user, outletId, required));
+};
+
+// @desc    Start a stock opname (physical count) session for an outlet
+// @route   POST /api/v1/stockopnames
+// @access  Private (Operator, SPV Area, Admin)
+export const startStockOpname = async (req, res) => {
+  try {
+    if (mongoose.Types.ObjectId.isValid(req.body.outletId) && !(await canActAtOutlet(req.user, req.body.outletId, { roles: COUNTING_ROLES }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await stockOpnameService.startStockOpname(req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(201).json({
+      message: result.message,
+      stockOpname: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat memulai stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat memulai stok opname.', error: error.message });
+  }
+};
+
+// @desc    Get all stock opname sessions
+// @route   GET /api/v1/stockopnames?outletId=...&status=...&dateFrom=...&dateTo=...
+// @access  Private
+export const getStockOpnames = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, status, dateFrom, dateTo } = req.query;
+
+    if (outletId) {
+      if (!mongoose.Types.ObjectId.isValid(outletId)) {
+        return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+      }
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    if (outletScope.condition) {
+      filter['outlet.outletId'] = outletScope.condition;
+    }
+    if (status) {
+      if (!Object.values(StockOpnameStatuses).includes(status)) {
+        return res.status(400).json({ message: 'Status stok opname tidak valid untuk filter.' });
+      }
+      filter.status = status;
+    }
+    if (dateFrom || dateTo) {
+      filter.startedAt = {};
+      if (dateFrom) {
+        const d = new Date(dateFrom);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateFrom" tidak valid.' }); }
+        filter.startedAt.$gte = d;
+      }
+      if (dateTo) {
+        const d = new Date(dateTo);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateTo" tidak valid.' }); }
+        filter.startedAt.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+      }
+    }
+
+    const page = await listQueryService.findPage(StockOpname, filter, req.query, {
+      sortFields: ['startedAt', 'createdAt'],
+      defaultSort: '-startedAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(stockOpname => stockOpname.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil stok opname.', error: error.message });
+  }
+};
+
+// @desc    Variance report (by value) of approved stock opname sessions, per outlet and ingredient
+// @route   GET /api/v1/stockopnames/variance-report?outletId=...&dateFrom=...&dateTo=...
+// @access  Private (Admin, SPV Area, Franchisee)
+export const getVarianceReport = async (req, res) => {
+  try {
+    const { outletId } = req.query;
+    if (outletId && !mongoose.Types.ObjectId.isValid(outletId)) {
+      return res.status(400).json({ message: 'ID Outlet tidak valid untuk filter.' });
+    }
+    const outletScope = await resolveOutletScope(req.user, outletId);
+    if (outletScope.forbidden) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const result = await stockOpnameService.getVarianceReport({ ...req.query, outletCondition: outletScope.condition });
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json(result.data);
+  } catch (error) {
+    console.error('Kesalahan saat membuat laporan selisih stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membuat laporan selisih stok opname.', error: error.message });
+  }
+};
+
+// @desc    Get a single stock opname session by ID
+// @route   GET /api/v1/stockopnames/:id
+// @access  Private
+export const getStockOpnameById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Stok Opname tidak valid.' });
+    }
+
+    const stockOpname = await StockOpname.findById(id);
+    if (!stockOpname || stockOpname.isDeleted) {
+      return res.status(404).json({ message: 'Stok opname tidak ditemukan atau sudah dihapus.' });
+    }
+    if (!(await canAccessOutlet(req.user, stockOpname.outlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat stok opname ini.' });
+    }
+
+    res.status(200).json(stockOpname.toJSON());
+  } catch (error) {
+    console.error('Kesalahan saat mengambil stok opname berdasarkan ID:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil stok opname berdasarkan ID.', error: error.message });
+  }
+};
+
+// @desc    Record counted quantities (can be sent in several batches, e.g. from mobile)
+// @route   PATCH /api/v1/stockopnames/:id/counts
+// @access  Private (Operator, SPV Area, Admin)
+export const recordCounts = async (req, res) => {
+  try {
+    if (await isDeniedAtStockOpnameOutlet(req, { roles: COUNTING_ROLES })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await stockOpnameService.recordCounts(req.params.id, req.body.counts, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      stockOpname: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menyimpan jumlah terhitung stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menyimpan jumlah terhitung stok opname.', error: error.message });
+  }
+};
+
+// @desc    Submit a counted session for supervisor approval
+// @route   PATCH /api/v1/stockopnames/:id/submit
+// @access  Private (Operator, SPV Area, Admin)
+export const submitStockOpname = async (req, res) => {
+  try {
+    if (await isDeniedAtStockOpnameOutlet(req, { roles: COUNTING_ROLES })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await stockOpnameService.submitStockOpname(req.params.id, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      stockOpname: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat mengajukan stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengajukan stok opname.', error: error.message });
+  }
+};
+
+// @desc    Approve a submitted session and post ADJUSTMENT transactions for the variances
+// @route   PATCH /api/v1/stockopnames/:id/approve
+// @access  Private (Admin, SPV Area)
+export const approveStockOpname = async (req, res) => {
+  try {
+    if (await isDeniedAtStockOpnameOutlet(req, { permissions: [Permissions.INVENTORY_ADJUST] })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await stockOpnameService.approveStockOpname(req.params.id, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      stockOpname: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menyetujui stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menyetujui stok opname.', error: error.message });
+  }
+};
+
+// @desc    Cancel a session that has not been approved
+// @route   PATCH /api/v1/stockopnames/:id/cancel
+// @access  Private (Admin, SPV Area)
+export const cancelStockOpname = async (req, res) => {
+  try {
+    if (await isDeniedAtStockOpnameOutlet(req, { permissions: [Permissions.INVENTORY_ADJUST] })) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await stockOpnameService.cancelStockOpname(req.params.id, req.body.reason, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      stockOpname: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat membatalkan stok opname:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membatalkan stok opname.', error: error.message });
+  }
+};
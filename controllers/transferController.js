@@ -0,0 +1,205 @@
+import Transfer from '../models/Transfer.js';
+import mongoose from 'mongoose';
+import { TransferStatuses } from '../constants/transferStatuses.js';
+import { Roles } from '../constants/roles.js';
+import * as transferService from '../services/transferService.js';
+import { canAccessOutlet, getAccessibleOutletIds, findDocumentOutletId, OUTLET_ACCESS_DENIED_MESSAGE } from '../services/outletAccessService.js';
+import * as listQueryService from '../services/listQueryService.js';
+import { sendServiceError } from '../services/serviceResponseService.js';
+import { canActAtOutlet } from '../services/permissionService.js';
+
+// Roles that may move stock between outlets, checked at the outlet on the caller's side of the transfer
+const TRANSFER_ROLES = [Roles.operator, Roles.spvarea, Roles.admin];
+
+// True when the caller may not act on the source or destination outlet (`side`) of the transfer in
+// req.params.id. Missing transfers are left to the service's 404.
+const isOutsideTransferOutlet = async (req, side) => {
+  const outletId = await findDocumentOutletId(Transfer, req.params.id, `${side}.outletId`);
+  return Boolean(outletId) && !(await canActAtOutlet(req.user, outletId, { roles: TRANSFER_ROLES }));
+};
+
+// @desc    Request ingredients from another outlet
+// @route   POST /api/v1/transfers
+// @access  Private (Operator, SPV Area, Admin at the destination outlet)
+export const requestTransfer = async (req, res) => {
+  try {
+    // The requesting outlet is the one that receives the ingredients
+    const { destinationOutletId } = req.body;
+    if (mongoose.Types.ObjectId.isValid(destinationOutletId) && !(await canActAtOutlet(req.user, destinationOutletId, { roles: TRANSFER_ROLES }))) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await transferService.requestTransfer(req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(201).json({
+      message: result.message,
+      transfer: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat membuat permintaan transfer:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membuat permintaan transfer.', error: error.message });
+  }
+};
+
+// @desc    Get all transfers; outletId matches either the source or the destination
+// @route   GET /api/v1/transfers?outletId=...&sourceOutletId=...&destinationOutletId=...&status=...&dateFrom=...&dateTo=...
+// @access  Private
+export const getTransfers = async (req, res) => {
+  try {
+    const filter = { isDeleted: false };
+    const { outletId, sourceOutletId, destinationOutletId, status, dateFrom, dateTo } = req.query;
+
+    for (const [value, label] of [[outletId, 'Outlet'], [sourceOutletId, 'Outlet asal'], [destinationOutletId, 'Outlet tujuan']]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `ID ${label} tidak valid untuk filter.` });
+      }
+    }
+    // Non-admins only see transfers from or to their own outlets
+    const accessibleOutletIds = await getAccessibleOutletIds(req.user);
+    if (accessibleOutletIds) {
+      if (outletId && !accessibleOutletIds.includes(outletId)) {
+        return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+      }
+      // Either side of the transfer may belong to another outlet, but not both
+      if (sourceOutletId && destinationOutletId
+        && !accessibleOutletIds.includes(sourceOutletId) && !accessibleOutletIds.includes(destinationOutletId)) {
+        return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+      }
+    }
+    const outletIds = outletId ? [outletId] : accessibleOutletIds;
+    if (outletIds) {
+      filter.$or = [{ 'sourceOutlet.outletId': { $in: outletIds } }, { 'destinationOutlet.outletId': { $in: outletIds } }];
+    }
+    if (sourceOutletId) filter['sourceOutlet.outletId'] = sourceOutletId;
+    if (destinationOutletId) filter['destinationOutlet.outletId'] = destinationOutletId;
+    if (status) {
+      if (!Object.values(TransferStatuses).includes(status)) {
+        return res.status(400).json({ message: 'Status transfer tidak valid untuk filter.' });
+      }
+      filter.status = status;
+    }
+    if (dateFrom || dateTo) {
+      filter.requestedAt = {};
+      if (dateFrom) {
+        const d = new Date(dateFrom);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateFrom" tidak valid.' }); }
+        filter.requestedAt.$gte = d;
+      }
+      if (dateTo) {
+        const d = new Date(dateTo);
+        if (isNaN(d.getTime())) { return res.status(400).json({ message: 'Format tanggal "dateTo" tidak valid.' }); }
+        filter.requestedAt.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+      }
+    }
+
+    const page = await listQueryService.findPage(Transfer, filter, req.query, {
+      sortFields: ['requestedAt', 'createdAt'],
+      defaultSort: '-requestedAt',
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(transfer => transfer.toJSON()));
+  } catch (error) {
+    console.error('Kesalahan saat mengambil transfer:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil transfer.', error: error.message });
+  }
+};
+
+// @desc    Get a single transfer by ID
+// @route   GET /api/v1/transfers/:id
+// @access  Private
+export const getTransferById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Format ID Transfer tidak valid.' });
+    }
+
+    const transfer = await Transfer.findById(id);
+    if (!transfer || transfer.isDeleted) {
+      return res.status(404).json({ message: 'Transfer tidak ditemukan atau sudah dihapus.' });
+    }
+    if (!(await canAccessOutlet(req.user, transfer.sourceOutlet.outletId)) && !(await canAccessOutlet(req.user, transfer.destinationOutlet.outletId))) {
+      return res.status(403).json({ message: 'Anda tidak diizinkan untuk melihat transfer ini.' });
+    }
+
+    res.status(200).json(transfer.toJSON());
+  } catch (error) {
+    console.error('Kesalahan saat mengambil transfer berdasarkan ID:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengambil transfer berdasarkan ID.', error: error.message });
+  }
+};
+
+// @desc    Dispatch a requested transfer from the source outlet (posts OUT at the source)
+// @route   PATCH /api/v1/transfers/:id/dispatch
+// @access  Private (Operator, SPV Area, Admin)
+export const dispatchTransfer = async (req, res) => {
+  try {
+    if (await isOutsideTransferOutlet(req, 'sourceOutlet')) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await transferService.dispatchTransfer(req.params.id, req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      transfer: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat mengirim transfer:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengirim transfer.', error: error.message });
+  }
+};
+
+// @desc    Receive a dispatched transfer at the destination (posts IN, and SPOILAGE for damaged goods)
+// @route   PATCH /api/v1/transfers/:id/receive
+// @access  Private (Operator, SPV Area, Admin)
+export const receiveTransfer = async (req, res) => {
+  try {
+    if (await isOutsideTransferOutlet(req, 'destinationOutlet')) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await transferService.receiveTransfer(req.params.id, req.body, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      transfer: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat menerima transfer:', error);
+    res.status(500).json({ message: 'Kesalahan server saat menerima transfer.', error: error.message });
+  }
+};
+
+// @desc    Cancel a transfer that has not been dispatched
+// @route   PATCH /api/v1/transfers/:id/cancel
+// @access  Private (Operator, SPV Area, Admin at the source or destination outlet)
+export const cancelTransfer = async (req, res) => {
+  try {
+    // Either side may call off a transfer that has not been dispatched yet
+    if (await isOutsideTransferOutlet(req, 'sourceOutlet') && await isOutsideTransferOutlet(req, 'destinationOutlet')) {
+      return res.status(403).json({ message: OUTLET_ACCESS_DENIED_MESSAGE });
+    }
+    const userContext = { userId: req.user._id, userName: req.user.name };
+    const result = await transferService.cancelTransfer(req.params.id, req.body.reason, userContext);
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+    res.status(200).json({
+      message: result.message,
+      transfer: result.data.toJSON()
+    });
+  } catch (error) {
+    console.error('Kesalahan saat membatalkan transfer:', error);
+    res.status(500).json({ message: 'Kesalahan server saat membatalkan transfer.', error: error.message });
+  }
+};
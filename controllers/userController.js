@@ -1,6 +1,11 @@
 import User from '../models/User.js'
 import { Roles } from '../constants/roles.js'
 import { ErrorCode } from '../constants/errorCode.js';
+import { AdminRegistrationChannels, AdminRegistrationOutcomes } from '../constants/adminRegistration.js';
+import { revokeUserSessions, SessionRevokeReasons } from '../services/sessionService.js';
+import { logAdminRegistration } from '../services/adminBootstrapService.js';
+import { grantsPrivilegedAccess, PRIVILEGED_GRANT_DENIED_MESSAGE } from '../services/permissionService.js';
+import * as listQueryService from '../services/listQueryService.js';
 
 // Helper for image upload path for payment evidence (kept here as it's related to multer middleware)
 const getProfileImageUrl = (req) => {
@@ -15,8 +20,18 @@ const getProfileImageUrl = (req) => {
 // @route   POST api/v1/users
 // @access  Private/Admin
 export const createUser = async (req, res) => {
+  const { userId, name, password, roles, isActive } = req.body;
+  // Admin accounts can only be created here (by an admin); every such attempt is logged
+  const isAdminRegistration = Array.isArray(roles) && roles.includes(Roles.admin);
+  const logAttempt = (outcome, reason, createdUser = null) => isAdminRegistration && logAdminRegistration(req, {
+    channel: AdminRegistrationChannels.USERS,
+    outcome,
+    reason,
+    requestedUserId: userId,
+    createdUser,
+  });
+
   try {
-    const { userId, name, password, roles, isActive } = req.body;
     const errors = [];
 
     // Controller-side validation for required fields
@@ -58,9 +73,15 @@ export const createUser = async (req, res) => {
 
     if (errors.length > 0) {
       console.log(errors);
+      await logAttempt(AdminRegistrationOutcomes.REJECTED, errors.join(' '));
       return res.status(400).json({ message: 'Validasi gagal.', errors });
     }
 
+    if (roles && !req.user.roles.includes(Roles.admin) && await grantsPrivilegedAccess(roles)) {
+      await logAttempt(AdminRegistrationOutcomes.REJECTED, PRIVILEGED_GRANT_DENIED_MESSAGE);
+      return res.status(403).json({ message: PRIVILEGED_GRANT_DENIED_MESSAGE });
+    }
+
     // Prepare user data. userId will be auto-generated if not provided
     const userData = {
       name: name.trim(),
@@ -71,6 +92,7 @@ export const createUser = async (req, res) => {
     if (isActive !== undefined) userData.isActive = isActive;
 
     const user = await User.create(userData);
+    await logAttempt(AdminRegistrationOutcomes.SUCCESS, null, user._id);
     const userResponse = user.toObject();
     delete userResponse.password; // Ensure password is not sent in response
 
@@ -82,12 +104,15 @@ export const createUser = async (req, res) => {
     if (error.code === 11000) { // Duplicate key error
       const field = Object.keys(error.keyValue)[0];
       const value = error.keyValue[field];
+      await logAttempt(AdminRegistrationOutcomes.REJECTED, `Pengguna dengan ${field} '${value}' sudah ada.`);
       return res.status(409).json({ message: `Pengguna dengan ${field} '${value}' sudah ada.` });
     }
     if (error.name === 'ValidationError') {
       const errors = Object.keys(error.errors).map(key => error.errors[key].message);
+      await logAttempt(AdminRegistrationOutcomes.REJECTED, errors.join(' '));
       return res.status(400).json({ message: 'Validasi gagal.', errors });
     }
+    await logAttempt(AdminRegistrationOutcomes.FAILED, error.message);
     console.error('Kesalahan saat membuat pengguna:', error);
     res.status(500).json({ message: 'Kesalahan server saat membuat pengguna.', error: error.message });
   }
@@ -142,8 +167,16 @@ export const getUsers = async (req, res) => {
       }
     }
 
-    const users = await User.find(filter).select('-password').sort({ createdAt: -1 }); // Exclude password
-    res.status(200).json(users.map(user => user.toJSON()));
+    const page = await listQueryService.findPage(User, filter, req.query, {
+      sortFields: ['createdAt', 'name', 'userId'],
+      defaultSort: '-createdAt',
+      hiddenFields: ['password', 'pin'],
+    });
+    if (!page.success) {
+      return res.status(400).json({ message: page.message, errors: page.errors });
+    }
+    listQueryService.setPageHeaders(res, page.data);
+    res.status(200).json(page.data.items.map(user => user.toJSON()));
   } catch (error) {
     console.error('Kesalahan saat mengambil pengguna:', error);
     res.status(500).json({ message: 'Kesalahan server saat mengambil pengguna.', error: error.message });
@@ -263,6 +296,17 @@ export const updateUserById = async (req, res) => {
       return res.status(404).json({ message: 'ID Pengguna sudah terdaftar' });
     }
 
+    // Granting the admin role to an existing user counts as an admin registration
+    let grantsAdmin = false;
+    if (Array.isArray(roles)) {
+      const targetUser = await User.findById(req.params.id).select('roles');
+      const addedRoles = targetUser ? roles.filter(role => !targetUser.roles.includes(role)) : roles;
+      if (!req.user.roles.includes(Roles.admin) && await grantsPrivilegedAccess(addedRoles)) {
+        return res.status(403).json({ message: PRIVILEGED_GRANT_DENIED_MESSAGE });
+      }
+      grantsAdmin = !!targetUser && addedRoles.includes(Roles.admin);
+    }
+
     // Find the user by ID and update it
     const updatedUser = await User.findOneAndUpdate(
       { _id: req.params.id },
@@ -273,6 +317,23 @@ export const updateUserById = async (req, res) => {
     if (!updatedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (grantsAdmin) {
+      await logAdminRegistration(req, {
+        channel: AdminRegistrationChannels.USERS,
+        outcome: AdminRegistrationOutcomes.SUCCESS,
+        reason: 'Peran admin diberikan ke pengguna yang sudah ada.',
+        requestedUserId: updatedUser.userId,
+        createdUser: updatedUser._id,
+      });
+    }
+
+    // Deactivating a user or resetting their password ends every open session
+    if (isActive === false || password) {
+      await revokeUserSessions(updatedUser._id, {
+        revokedBy: req.user._id,
+        reason: isActive === false ? SessionRevokeReasons.USER_DEACTIVATED : SessionRevokeReasons.PASSWORD_CHANGED,
+      });
+    }
 
     res.status(200).json({
       message: 'Data Pengguna berhasil diubah',
@@ -302,6 +363,7 @@ export const softDeleteUserById = async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ message: 'Pengguna tidak ditemukan' });
     }
+    await revokeUserSessions(deletedUser._id, { revokedBy: req.user._id, reason: SessionRevokeReasons.USER_DEACTIVATED });
 
     res.status(200).json({
       message: 'Data Pengguna berhasil dihapus',
@@ -311,6 +373,35 @@ export const softDeleteUserById = async (req, res) => {
   }
 };
 
+// @desc    Set the PIN used to switch operators on a shared outlet tablet
+// @route   PUT /api/v1/users/:id/pin
+// @access  Private (own PIN, or Admin)
+export const updateUserPin = async (req, res) => {
+  try {
+    const { pin } = req.body;
+    if (req.user._id.toString() !== req.params.id && !req.user.roles.includes(Roles.admin)) {
+      return res.status(403).json({ message: 'Anda hanya dapat mengubah PIN Anda sendiri.' });
+    }
+    if (typeof pin !== 'string' || !/^\d{4,6}$/.test(pin)) {
+      return res.status(400).json({ message: 'PIN harus berupa 4 sampai 6 digit angka.' });
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false },
+      { pin },
+      { new: true }
+    ).select('-password');
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'Pengguna tidak ditemukan' });
+    }
+
+    res.status(200).json({ message: 'PIN berhasil diubah', pinUpdatedAt: updatedUser.pinUpdatedAt });
+  } catch (error) {
+    console.error('Kesalahan saat mengubah PIN:', error);
+    res.status(500).json({ message: 'Kesalahan server saat mengubah PIN.', error: error.message });
+  }
+};
+
 // @desc    Update a user profile by ID
 // @route   PUT /api/v1/users/:id/profile
 // @access  Private/Admin
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { getActiveSession } from '../services/sessionService.js';
 
 const protect = async (req, res, next) => {
   let token;
@@ -25,6 +26,12 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Not authorized, user not active or deleted' });
       }
 
+      // The session behind the token must not be revoked (logout, admin action) or expired
+      req.session = await getActiveSession(decoded.sid, req.user._id);
+      if (!req.session) {
+        return res.status(401).json({ message: 'Not authorized, session revoked or expired' });
+      }
+
       next(); // Proceed to the next middleware or route handler
     } catch (error) {
       console.error('JWT verification error:', error.message);
@@ -0,0 +1,27 @@
+import { hasPermission } from '../services/permissionService.js';
+
+// This middleware factory returns a middleware function, like authorizeRoles in rbac.js,
+// but checks permissions from constants/permissions.js (e.g. requirePermission(Permissions.SALE_DELETE)).
+// The user must hold every listed permission through their global roles; as with authorizeRoles, the
+// controller checks them again at the outlet of the document being changed.
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    if (!req.user || !Array.isArray(req.user.roles)) {
+      return res.status(403).json({ message: 'Access denied: User roles not found or invalid.' });
+    }
+    try {
+      if (await hasPermission(req.user, requiredPermissions)) {
+        return next();
+      }
+      res.status(403).json({
+        message: 'Access denied: You do not have the required permission(s) to access this resource.',
+        requiredPermissions,
+      });
+    } catch (error) {
+      console.error('Permission check error:', error.message);
+      res.status(500).json({ message: 'Server error while checking permissions' });
+    }
+  };
+};
+
+export default requirePermission;
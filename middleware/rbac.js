@@ -1,10 +1,13 @@
 // This middleware factory returns a middleware function.
 // It takes a variable number of 'allowedRoles' as arguments (e.g., authorizeRoles('admin', 'editor')).
+// Only the user's global roles are checked here. Outlet-scoped actions are checked again by the controller
+// against the roles held at the outlet of the document being changed (canActAtOutlet in permissionService).
 const authorizeRoles = (...allowedRoles) => {
   return (req, res, next) => {
     if (!req.user || !Array.isArray(req.user.roles) || req.user.roles.length === 0) {
       return res.status(403).json({ message: 'Access denied: User roles not found or invalid.' });
     }
+
     const hasPermission = req.user.roles.some(userRole => allowedRoles.includes(userRole));
     if (hasPermission) {
       next();
@@ -14,4 +17,4 @@ const authorizeRoles = (...allowedRoles) => {
   };
 };
 
-export default authorizeRoles;
\ No newline at end of file
+export default authorizeRoles;
@@ -0,0 +1,18 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Carries the current request through async calls, so code without access to `req`
+// (e.g. Mongoose hooks in models/plugins/auditPlugin.js) can still find the acting user and IP.
+const requestContextStorage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  requestContextStorage.run({ req }, next);
+};
+
+/**
+ * Returns the request being handled, if any (undefined for scripts, timers and socket events).
+ * `req.user` is only set once `protect` has run.
+ * @returns {object|undefined} Express request.
+ */
+export const getCurrentRequest = () => requestContextStorage.getStore()?.req;
+
+export default requestContext;
@@ -1,5 +1,6 @@
 import { Schema, model } from 'mongoose';
 import Counter from './Counter.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 const AddonSchema = new Schema({
   code: {   
@@ -105,4 +106,7 @@ AddonSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+AddonSchema.plugin(auditPlugin);
+
 export default model('Addon', AddonSchema);
@@ -4,7 +4,7 @@ const adminNotificationSchema = new mongoose.Schema({
     type: {
         type: String,
         required: true,
-        enum: ['INFO', 'WARNING', 'REQUEST', 'SYSTEM'], // Bisa disesuaikan
+        enum: ['INFO', 'WARNING', 'REQUEST', 'SYSTEM', 'STOCK'], // Bisa disesuaikan
         default: 'INFO'
     },
     title: {
@@ -0,0 +1,54 @@
+import { Schema, model } from 'mongoose';
+import { AdminRegistrationChannels, AdminRegistrationOutcomes } from '../constants/adminRegistration.js';
+
+// Every attempt to create an admin account (or grant the admin role), successful or not
+const AdminRegistrationLogSchema = new Schema({
+  channel: {
+    type: String,
+    enum: Object.values(AdminRegistrationChannels),
+    required: true,
+    index: true,
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(AdminRegistrationOutcomes),
+    required: true,
+    index: true,
+  },
+  reason: { type: String, trim: true, default: null },
+  requestedUserId: { type: String, trim: true, default: null }, // Login id sent in the request
+  createdUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  performedBy: { // null for bootstrap attempts
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true, default: null },
+    _id: false
+  },
+  ipAddress: { type: String, trim: true, default: null },
+  userAgent: { type: String, trim: true, default: null },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Virtual for id
+AdminRegistrationLogSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+export default model('AdminRegistrationLog', AdminRegistrationLogSchema);
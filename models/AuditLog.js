@@ -0,0 +1,67 @@
+import { Schema, model } from 'mongoose';
+import { AuditActions } from '../constants/auditActions.js';
+
+// One data mutation on an audited model (see models/plugins/auditPlugin.js)
+const AuditLogSchema = new Schema({
+  entity: { // Model name, e.g. 'Sale'
+    type: String,
+    required: true,
+    index: true,
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  action: {
+    type: String,
+    enum: Object.values(AuditActions),
+    required: true,
+    index: true,
+  },
+  changes: [ // Field-level diff, paths in dot notation
+    {
+      path: { type: String, required: true },
+      before: { type: Schema.Types.Mixed, default: null },
+      after: { type: Schema.Types.Mixed, default: null },
+      _id: false
+    }
+  ],
+  actor: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    name: { type: String, trim: true, default: 'System' },
+    _id: false
+  },
+  ipAddress: { type: String, trim: true, default: null },
+  userAgent: { type: String, trim: true, default: null },
+  request: { // Endpoint that caused the mutation
+    method: { type: String, default: null },
+    path: { type: String, default: null },
+    _id: false
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Virtual for id
+AuditLogSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+export default model('AuditLog', AuditLogSchema);
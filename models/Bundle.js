@@ -1,5 +1,6 @@
 import { Schema, model } from 'mongoose';
 import Counter from './Counter.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 const BundleSchema = new Schema({
   code: {
@@ -111,4 +112,7 @@ BundleSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+BundleSchema.plugin(auditPlugin);
+
 export default model('Bundle', BundleSchema);
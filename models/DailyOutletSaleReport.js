@@ -54,6 +54,11 @@ const DailyOutletSaleReportSchema = new Schema({
     min: 0,
     default: 0,
   },
+  totalPurchase: { // Cost of accepted local purchases (Purchase) for the day
+    type: Number,
+    min: 0,
+    default: 0,
+  },
   saleComplete: { // NEW: Count of completed sales for the day
     type: Number,
     required: true,
@@ -0,0 +1,95 @@
+import { Schema, model } from 'mongoose';
+
+const UserSnapshotSchema = {
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  name: { type: String, trim: true },
+  _id: false
+};
+
+// A shared outlet tablet. It authenticates with its own device token and lets the operators
+// of its outlet take over the tablet with their PIN (see deviceService.switchOperator).
+const DeviceSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  outlet: {
+    outletId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Outlet',
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    _id: false
+  },
+  tokenHash: { // sha256 of the device token, the token itself is only shown once at registration
+    type: String,
+    required: true,
+  },
+  currentOperator: { // Operator currently acting on the tablet
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true, default: null },
+    sessionId: { type: Schema.Types.ObjectId, ref: 'Session', default: null },
+    switchedAt: { type: Date, default: null },
+    _id: false
+  },
+  lastSeenAt: { type: Date, default: null },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  registeredBy: UserSnapshotSchema,
+  deactivatedBy: UserSnapshotSchema,
+  deactivatedAt: { type: Date, default: null },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Virtual for id
+DeviceSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+DeviceSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('Device', DeviceSchema);
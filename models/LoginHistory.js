@@ -0,0 +1,76 @@
+import { Schema, model } from 'mongoose';
+import { LoginFailureReasons, LoginMethods } from '../constants/loginAttempts.js';
+
+// One record per call to /api/v1/auth/login and per operator switch on a shared tablet
+const LoginHistorySchema = new Schema({
+  method: {
+    type: String,
+    enum: Object.values(LoginMethods),
+    default: LoginMethods.PASSWORD,
+    index: true,
+  },
+  userId: { // Login id as sent by the client
+    type: String,
+    trim: true,
+    lowercase: true,
+    index: true,
+  },
+  user: { // Set when the login id matched an account
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+    index: true,
+  },
+  failureReason: {
+    type: String,
+    enum: [...Object.values(LoginFailureReasons), null],
+    default: null,
+  },
+  session: {
+    type: Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null,
+  },
+  device: { // PIN switches only
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null,
+    index: true,
+  },
+  previousUser: { // PIN switches only: operator who was acting on the tablet before
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  ipAddress: { type: String, trim: true, default: null, index: true },
+  userAgent: { type: String, trim: true, default: null },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+LoginHistorySchema.index({ createdAt: -1 });
+
+// Virtual for id
+LoginHistorySchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+export default model('LoginHistory', LoginHistorySchema);
@@ -0,0 +1,63 @@
+import { Schema, model } from 'mongoose';
+import { LoginThrottleScopes } from '../constants/loginAttempts.js';
+
+// Failed-login counter for one login id or one IP address
+const LoginThrottleSchema = new Schema({
+  scope: {
+    type: String,
+    enum: Object.values(LoginThrottleScopes),
+    required: true,
+  },
+  key: { // Login id (lowercase) or IP address
+    type: String,
+    required: true,
+    trim: true,
+  },
+  failedCount: { // Failures since the last lockout (or reset)
+    type: Number,
+    default: 0,
+  },
+  lockoutCount: { // Consecutive lockouts, drives the exponential backoff
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastFailedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+LoginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+// A counter with no failures for a day starts over
+LoginThrottleSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for id
+LoginThrottleSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual telling whether logins are currently blocked
+LoginThrottleSchema.virtual('isLocked').get(function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+export default model('LoginThrottle', LoginThrottleSchema);
@@ -1,5 +1,6 @@
 import { Schema, model } from 'mongoose';
 import Counter from './Counter.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 const MenuSchema = new Schema({
   code: {
@@ -129,4 +130,7 @@ MenuSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+MenuSchema.plugin(auditPlugin);
+
 export default model('Menu', MenuSchema);
@@ -1,5 +1,6 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { OrderStatuses } from '../constants/orderStatuses.js'; // NEW: Import OrderStatuses
+import auditPlugin from './plugins/auditPlugin.js';
 
 // --- Counter Schema for Order Codes ---
 const OrderCounterSchema = new Schema({
@@ -155,4 +156,7 @@ OrderSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+OrderSchema.plugin(auditPlugin);
+
 export default model('Order', OrderSchema);
@@ -1,5 +1,6 @@
 import { Schema, model } from 'mongoose';
 import Counter from './Counter.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 const OutletSchema = new Schema({
   code: {
@@ -145,4 +146,7 @@ OutletSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+OutletSchema.plugin(auditPlugin);
+
 export default model('Outlet', OutletSchema);
@@ -0,0 +1,72 @@
+import { Schema, model } from 'mongoose';
+
+const userRefList = {
+  type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  default: [],
+};
+
+// A set of outlets sharing role assignments, e.g. the area a spvarea supervises.
+// Being listed here counts as being listed on every outlet of the group (see outletAccessService).
+const OutletGroupSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: { type: String, trim: true, default: null },
+  outlets: {
+    type: [{ type: Schema.Types.ObjectId, ref: 'Outlet' }],
+    default: [],
+    index: true,
+  },
+  franchisees: { ...userRefList, index: true },
+  operators: { ...userRefList, index: true },
+  spvAreas: { ...userRefList, index: true },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Virtual for id
+OutletGroupSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+OutletGroupSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('OutletGroup', OutletGroupSchema);
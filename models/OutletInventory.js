@@ -33,6 +33,30 @@ const OutletInventorySchema = new Schema({
     },
   ],
 
+  // Reorder points per ingredient. Kept outside `ingredients` so quantity syncs and
+  // recalculations (which rewrite the ingredients array) never touch the configured thresholds.
+  reorderLevels: [
+    {
+      ingredientId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ingredient',
+        required: true,
+      },
+      minQty: { // Stock at or below this quantity is considered low
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      updatedAt: { type: Date, default: Date.now },
+      updatedBy: {
+        userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+        userName: { type: String, trim: true, default: null },
+        _id: false,
+      },
+      _id: false,
+    },
+  ],
+
   // General fields for the inventory document itself
   lastSyncedAt: { // Timestamp when this inventory document was last updated by a transaction
     type: Date,
@@ -1,6 +1,7 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { TransactionTypes, TransactionTypeAbbreviations } from '../constants/transactionTypes.js';
 import { SourceTypes } from '../constants/sourceTypes.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 // --- Counter Schema for OutletInventoryTransaction Codes ---
 // This counter needs to track sequence per day AND per outlet.
@@ -253,4 +254,7 @@ OutletInventoryTransactionSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Record every change in AuditLog
+OutletInventoryTransactionSchema.plugin(auditPlugin);
+
 export default model('OutletInventoryTransaction', OutletInventoryTransactionSchema);
@@ -1,6 +1,7 @@
 // models/PromoSetting.js
 
 import mongoose, { Schema, model } from 'mongoose';
+import auditPlugin from './plugins/auditPlugin.js';
 
 // Define the allowed promo codes as an enum
 export const PromoCodes = {
@@ -123,4 +124,7 @@ PromoSettingSchema.pre('deleteMany', { document: false, query: true }, async fun
   next();
 });
 
+// Record every change in AuditLog
+PromoSettingSchema.plugin(auditPlugin);
+
 export default model('PromoSetting', PromoSettingSchema);
@@ -0,0 +1,162 @@
+import { Schema, model } from 'mongoose';
+import Counter from './Counter.js';
+import { PurchaseStatuses } from '../constants/purchaseStatuses.js';
+
+// Local ingredient purchases made by an outlet (e.g. at a market when HQ orders run late)
+const PurchaseSchema = new Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    index: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(PurchaseStatuses),
+    default: PurchaseStatuses.PENDING,
+    index: true,
+  },
+  outlet: { // Snapshot of the outlet that made the purchase
+    outletId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Outlet',
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    address: {
+      province: { type: String, trim: true },
+      regency: { type: String, trim: true },
+      district: { type: String, trim: true },
+      village: { type: String, trim: true },
+      street: { type: String, trim: true },
+      _id: false
+    },
+    _id: false
+  },
+  supplier: {
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, trim: true, default: null },
+    address: { type: String, trim: true, default: null },
+    _id: false
+  },
+  purchasedAt: { // When the goods were bought (determines the report day)
+    type: Date,
+    default: Date.now,
+  },
+  items: [
+    {
+      ingredientId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ingredient',
+        required: true,
+      },
+      name: { type: String, required: true, trim: true },
+      unit: { type: String, required: true, trim: true },
+      qty: { type: Number, required: true, min: 0 },
+      price: { type: Number, required: true, min: 0 }, // Unit price actually paid
+      subtotal: { type: Number, required: true, min: 0 }, // qty * price
+      outletInventoryTransactionId: { // Set when the purchase is accepted
+        type: Schema.Types.ObjectId,
+        ref: 'OutletInventoryTransaction',
+        default: null,
+      },
+      _id: false
+    }
+  ],
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0,
+  },
+  receiptUrl: { // Photo of the receipt / nota
+    type: String,
+    trim: true,
+    default: null,
+  },
+  notes: { type: String, trim: true, default: null },
+  createdBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    _id: false
+  },
+  resolvedBy: { // Who accepted or rejected the purchase
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    _id: false
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReason: { type: String, trim: true, default: null },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Virtual for id
+PurchaseSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// --- Pre-save hook to generate automatic 'code' (PURCHASE + YYMMDD + 3 digit counter) ---
+PurchaseSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const today = new Date();
+    const formattedDate = `${String(today.getFullYear()).slice(-2)}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `purchase_${formattedDate}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      this.code = `PURCHASE${formattedDate}${String(counter.seq).padStart(3, '0')}`;
+    } catch (error) {
+      console.error('Kesalahan saat membuat kode pembelian:', error);
+      return next(new Error('Gagal membuat kode pembelian. Silakan coba lagi.'));
+    }
+  }
+  next();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+PurchaseSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('Purchase', PurchaseSchema);
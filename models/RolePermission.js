@@ -0,0 +1,46 @@
+import { Schema, model } from 'mongoose';
+import { Roles } from '../constants/roles.js';
+import { Permissions } from '../constants/permissions.js';
+
+// Permissions granted to every user holding a role (one document per role)
+const RolePermissionSchema = new Schema({
+  role: {
+    type: String,
+    enum: Object.values(Roles),
+    required: true,
+    unique: true,
+  },
+  permissions: [
+    {
+      type: String,
+      enum: Object.values(Permissions),
+    }
+  ],
+  updatedBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true, default: null },
+    _id: false
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Virtual for id
+RolePermissionSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+export default model('RolePermission', RolePermissionSchema);
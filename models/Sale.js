@@ -1,6 +1,8 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { PaymentMethods } from '../constants/paymentMethods.js'; // Import PaymentMethods enum
-import { updateDailySaleReport } from '../services/dailySaleReportService.js';
+import { RefundStockActions } from '../constants/refundStockActions.js';
+import { formatBusinessDate } from '../services/dailySaleReportService.js';
+import auditPlugin from './plugins/auditPlugin.js';
 
 // --- Counter Schema for Sale Codes with Daily & Outlet-Specific Reset ---
 // This counter needs to track sequence per day AND per outlet.
@@ -48,6 +50,17 @@ const SaleSchema = new Schema({
     name: { type: String, required: true, trim: true },
     _id: false
   },
+  idempotencyKey: { // Client-generated key of the POST that created this sale; retries with the same key return this sale
+    type: String,
+    trim: true,
+    default: null,
+  },
+  shift: { // Cash drawer shift that was open for this operator/outlet when the sale was made
+    type: Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+    index: true,
+  },
   itemSingle: [ // Array of single menu items sold
     {
       menuId: {
@@ -116,6 +129,17 @@ const SaleSchema = new Schema({
       _id: false
     }
   ],
+  appliedPromo: { // Snapshot of the PromoSetting that entitled this sale to its itemPromo (null if none)
+    type: {
+      code: { type: String, required: true }, // PromoCodes value
+      title: { type: String, trim: true },
+      nominal: { type: Number, min: 0 },
+      bonusMaxPrice: { type: Number, min: 0 },
+      freeQty: { type: Number, min: 0 }, // Number of free items the cart was entitled to
+      _id: false
+    },
+    default: null,
+  },
   itemAddon: [ // [BARU] Array untuk Addon yang dijual terpisah (Standalone)
     {
       addonId: {
@@ -198,6 +222,68 @@ const SaleSchema = new Schema({
       _id: false
     }
   ],
+  // Partial returns. Each refund references the returned lines by their index in itemSingle / itemBundle / itemAddon.
+  refunds: [
+    {
+      code: { type: String, required: true, trim: true, uppercase: true }, // <SALE CODE>-R<n>
+      itemSingle: [
+        {
+          index: { type: Number, required: true, min: 0 },
+          menuId: { type: Schema.Types.ObjectId, ref: 'Menu', required: true },
+          name: { type: String, required: true, trim: true },
+          qty: { type: Number, required: true, min: 1 },
+          amount: { type: Number, required: true, min: 0 }, // Menu price after discount + addons, for the returned qty
+          _id: false
+        }
+      ],
+      itemBundle: [
+        {
+          index: { type: Number, required: true, min: 0 },
+          menuBundleId: { type: Schema.Types.ObjectId, ref: 'Bundle', required: true },
+          name: { type: String, required: true, trim: true },
+          qty: { type: Number, required: true, min: 1 },
+          amount: { type: Number, required: true, min: 0 },
+          _id: false
+        }
+      ],
+      itemAddon: [
+        {
+          index: { type: Number, required: true, min: 0 },
+          addonId: { type: Schema.Types.ObjectId, ref: 'Addon', required: true },
+          name: { type: String, required: true, trim: true },
+          qty: { type: Number, required: true, min: 1 },
+          amount: { type: Number, required: true, min: 0 },
+          _id: false
+        }
+      ],
+      amount: { type: Number, required: true, min: 0 }, // Total money returned to the customer
+      method: { type: String, enum: Object.values(PaymentMethods), required: true },
+      reason: { type: String, trim: true, default: null },
+      stockAction: { type: String, enum: Object.values(RefundStockActions), default: RefundStockActions.NONE },
+      ingredientReturned: [ // Ingredients of the returned lines (same shape as ingredientUsed)
+        {
+          ingredientId: { type: Schema.Types.ObjectId, ref: 'Ingredient', required: true },
+          name: { type: String, default: null, trim: true },
+          qty: { type: Number, required: true, min: 0 },
+          expense: { type: Number, required: true, min: 0 },
+          unit: { type: String, default: null, trim: true },
+          _id: false
+        }
+      ],
+      createdBy: {
+        userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        name: { type: String, required: true, trim: true },
+        _id: false
+      },
+      createdAt: { type: Date, default: Date.now },
+      _id: false
+    }
+  ],
+  totalRefunded: { // Sum of refunds[].amount
+    type: Number,
+    min: 0,
+    default: 0,
+  },
   isDeleted: {
     type: Boolean,
     default: false,
@@ -229,6 +315,12 @@ const SaleSchema = new Schema({
   }
 });
 
+// One sale per idempotency key and outlet; sales created without a key are not constrained
+SaleSchema.index(
+  { 'outlet.outletId': 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 // Virtual for id
 SaleSchema.virtual('id').get(function () {
   return this._id.toHexString();
@@ -249,9 +341,9 @@ SaleSchema.pre('save', async function(next) {
     // Assuming outlet.code is always at least 3 characters or can be used as is.
     const outletCodeSuffix = outletDoc.code.length <= 3 ? outletDoc.code.toUpperCase() : outletDoc.code.slice(-3).toUpperCase();
 
-    const today = new Date();
-    // Format date for counter ID: YYMMDD (e.g., 240623)
-    const formattedDate = `${String(today.getFullYear()).slice(-2)}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+    // Format date for counter ID: YYMMDD (e.g., 240623). Use the business date of the transaction time,
+    // which for sales synced from an offline tablet is the original createdAt rather than today.
+    const formattedDate = formatBusinessDate(this.createdAt || new Date());
 
     // Counter ID combines date and outlet code suffix
     const counterId = `sale_${formattedDate}_${outletCodeSuffix}`;
@@ -288,17 +380,7 @@ SaleSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
-// NEW: Post-save hook to update the daily sales report
-SaleSchema.post('save', async function(doc, next) {
-  // 'doc' is the sale document that was just saved
-  try {
-    await updateDailySaleReport(doc);
-  } catch (error) {
-    console.error(`Error in Sale post-save hook updating daily report for sale ${doc.code}:`, error);
-    // Decide if you want to block the sale save if daily report update fails.
-    // For now, it just logs and continues.
-  }
-  next();
-});
+// Record every change in AuditLog
+SaleSchema.plugin(auditPlugin);
 
 export default model('Sale', SaleSchema);
@@ -0,0 +1,87 @@
+import { Schema, model } from 'mongoose';
+
+// A login of one user on one device. Access tokens carry the session id (`sid`) so `protect`
+// can reject them once the session is revoked; the refresh token is rotated on every use.
+const SessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: { // sha256 of the current refresh token, the token itself is never stored
+    type: String,
+    required: true,
+  },
+  previousRefreshTokenHash: { // sha256 of the token rotated at `rotatedAt`, accepted again for a short grace window
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: { // Expiry of the refresh token, extended on every rotation
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  rotationCount: {
+    type: Number,
+    default: 0,
+  },
+  device: { // Set for sessions opened on a shared outlet tablet by PIN
+    type: Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null,
+    index: true,
+  },
+  userAgent: { type: String, trim: true, default: null },
+  ipAddress: { type: String, trim: true, default: null },
+  revokedAt: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  revokedReason: { type: String, trim: true, default: null },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      delete ret.refreshTokenHash;
+      delete ret.previousRefreshTokenHash;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Expired sessions are of no use after a while, let MongoDB clean them up
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for id
+SessionSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual telling whether the session can still be used
+SessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+export default model('Session', SessionSchema);
@@ -0,0 +1,152 @@
+import { Schema, model } from 'mongoose';
+import Counter from './Counter.js';
+import { ShiftStatuses } from '../constants/shiftStatuses.js';
+
+// Amounts split per payment method (keys follow PaymentMethods)
+const PaymentBreakdownSchema = new Schema({
+  cash: { type: Number, default: 0 },
+  transfer: { type: Number, default: 0 },
+  qris: { type: Number, default: 0 },
+}, { _id: false });
+
+// Same shape, but every method is optional (null = not counted)
+const CountedBreakdownSchema = new Schema({
+  cash: { type: Number, min: 0, default: null },
+  transfer: { type: Number, min: 0, default: null },
+  qris: { type: Number, min: 0, default: null },
+}, { _id: false });
+
+const ShiftSchema = new Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    index: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(ShiftStatuses),
+    default: ShiftStatuses.OPEN,
+    index: true,
+  },
+  outlet: { // Snapshot of the outlet the cash drawer belongs to
+    outletId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Outlet',
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    _id: false
+  },
+  operator: { // Operator responsible for the drawer
+    operatorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    _id: false
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  openingCash: { // Starting cash float
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  openingNotes: { type: String, trim: true, default: null },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  closedBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    _id: false
+  },
+  closingNotes: { type: String, trim: true, default: null },
+  // --- Reconciliation (filled when the shift is closed) ---
+  saleCount: { type: Number, default: 0 },
+  sales: { type: PaymentBreakdownSchema, default: () => ({}) }, // Sales total per payment method
+  refunds: { type: PaymentBreakdownSchema, default: () => ({}) }, // Refunds paid out per payment method
+  expected: { type: PaymentBreakdownSchema, default: () => ({}) }, // cash = openingCash + cash sales - cash refunds
+  counted: { type: CountedBreakdownSchema, default: () => ({}) },
+  difference: { type: CountedBreakdownSchema, default: () => ({}) }, // counted - expected (positive = over, negative = short)
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Only one open shift per operator per outlet
+ShiftSchema.index(
+  { 'outlet.outletId': 1, 'operator.operatorId': 1 },
+  { unique: true, partialFilterExpression: { status: ShiftStatuses.OPEN, isDeleted: false } }
+);
+
+// Virtual for id
+ShiftSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// --- Pre-save hook to generate automatic 'code' (SHIFT + YYMMDD + 3 digit counter) ---
+ShiftSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const today = new Date();
+    const formattedDate = `${String(today.getFullYear()).slice(-2)}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `shift_${formattedDate}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      this.code = `SHIFT${formattedDate}${String(counter.seq).padStart(3, '0')}`;
+    } catch (error) {
+      console.error('Kesalahan saat membuat kode shift:', error);
+      return next(new Error('Gagal membuat kode shift. Silakan coba lagi.'));
+    }
+  }
+  next();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+ShiftSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('Shift', ShiftSchema);
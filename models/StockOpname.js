@@ -0,0 +1,176 @@
+import { Schema, model } from 'mongoose';
+import Counter from './Counter.js';
+import { StockOpnameStatuses } from '../constants/stockOpnameStatuses.js';
+
+// Physical stock count (stock opname) of an outlet. Expected quantities are snapshotted when the
+// session starts and refreshed when a line is counted; on approval the variances are posted as
+// ADJUSTMENT transactions.
+const StockOpnameSchema = new Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    index: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(StockOpnameStatuses),
+    default: StockOpnameStatuses.COUNTING,
+    index: true,
+  },
+  outlet: { // Snapshot of the counted outlet
+    outletId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Outlet',
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    address: {
+      province: { type: String, trim: true },
+      regency: { type: String, trim: true },
+      district: { type: String, trim: true },
+      village: { type: String, trim: true },
+      street: { type: String, trim: true },
+      _id: false
+    },
+    _id: false
+  },
+  items: [
+    {
+      ingredientId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ingredient',
+        required: true,
+      },
+      name: { type: String, required: true, trim: true },
+      unit: { type: String, required: true, trim: true },
+      price: { type: Number, min: 0, default: 0 }, // Ingredient price at snapshot time, used to value the variance
+      expectedQty: { type: Number, required: true }, // OutletInventory.currentQty when the line was counted (session start until then)
+      countedQty: { type: Number, min: 0, default: null }, // null = not counted yet
+      variance: { type: Number, default: null }, // countedQty - expectedQty
+      varianceValue: { type: Number, default: null }, // variance * price
+      notes: { type: String, trim: true, default: null },
+      countedBy: {
+        userId: { type: Schema.Types.ObjectId, ref: 'User' },
+        name: { type: String, trim: true },
+        _id: false
+      },
+      countedAt: { type: Date, default: null },
+      outletInventoryTransactionId: { // ADJUSTMENT posted on approval (only for non-zero variances)
+        type: Schema.Types.ObjectId,
+        ref: 'OutletInventoryTransaction',
+        default: null,
+      },
+      _id: false
+    }
+  ],
+  summary: { // Recalculated whenever counts change
+    countedItems: { type: Number, default: 0 },
+    totalItems: { type: Number, default: 0 },
+    shortageValue: { type: Number, default: 0 }, // Sum of negative variance values (as a positive number)
+    surplusValue: { type: Number, default: 0 },
+    netVarianceValue: { type: Number, default: 0 },
+    _id: false
+  },
+  notes: { type: String, trim: true, default: null },
+  startedAt: { type: Date, default: Date.now },
+  startedBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    _id: false
+  },
+  submittedAt: { type: Date, default: null },
+  submittedBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    _id: false
+  },
+  resolvedAt: { type: Date, default: null }, // Approval or cancellation
+  resolvedBy: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    _id: false
+  },
+  cancellationReason: { type: String, trim: true, default: null },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+// Only one active (counting or submitted) session per outlet
+StockOpnameSchema.index(
+  { 'outlet.outletId': 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: [StockOpnameStatuses.COUNTING, StockOpnameStatuses.SUBMITTED] },
+      isDeleted: false,
+    },
+  }
+);
+
+// Virtual for id
+StockOpnameSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// --- Pre-save hook to generate automatic 'code' (OPNAME + YYMMDD + 3 digit counter) ---
+StockOpnameSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const today = new Date();
+    const formattedDate = `${String(today.getFullYear()).slice(-2)}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `opname_${formattedDate}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      this.code = `OPNAME${formattedDate}${String(counter.seq).padStart(3, '0')}`;
+    } catch (error) {
+      console.error('Kesalahan saat membuat kode stok opname:', error);
+      return next(new Error('Gagal membuat kode stok opname. Silakan coba lagi.'));
+    }
+  }
+  next();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+StockOpnameSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('StockOpname', StockOpnameSchema);
@@ -0,0 +1,165 @@
+import { Schema, model } from 'mongoose';
+import Counter from './Counter.js';
+import { TransferStatuses, TransferDiscrepancyTypes } from '../constants/transferStatuses.js';
+
+const OutletSnapshotSchema = {
+  outletId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Outlet',
+    required: true,
+  },
+  name: { type: String, required: true, trim: true },
+  address: {
+    province: { type: String, trim: true },
+    regency: { type: String, trim: true },
+    district: { type: String, trim: true },
+    village: { type: String, trim: true },
+    street: { type: String, trim: true },
+    _id: false
+  },
+  _id: false
+};
+
+const UserSnapshotSchema = {
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  name: { type: String, trim: true },
+  _id: false
+};
+
+// Ingredient hand-over between two outlets (request -> dispatch -> receive)
+const TransferSchema = new Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    index: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(TransferStatuses),
+    default: TransferStatuses.REQUESTED,
+    index: true,
+  },
+  sourceOutlet: OutletSnapshotSchema, // Outlet handing over the ingredients
+  destinationOutlet: OutletSnapshotSchema, // Outlet receiving them
+  items: [
+    {
+      ingredientId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ingredient',
+        required: true,
+      },
+      name: { type: String, required: true, trim: true },
+      unit: { type: String, required: true, trim: true },
+      price: { type: Number, min: 0, default: 0 }, // Ingredient price when requested
+      requestedQty: { type: Number, required: true, min: 0 },
+      dispatchedQty: { type: Number, min: 0, default: null },
+      receivedQty: { type: Number, min: 0, default: null },
+      discrepancyQty: { type: Number, min: 0, default: 0 }, // dispatchedQty - receivedQty
+      discrepancyType: {
+        type: String,
+        enum: [...Object.values(TransferDiscrepancyTypes), null],
+        default: null,
+      },
+      notes: { type: String, trim: true, default: null },
+      dispatchTransactionId: { // OUT at the source
+        type: Schema.Types.ObjectId,
+        ref: 'OutletInventoryTransaction',
+        default: null,
+      },
+      receiveTransactionId: { // IN at the destination
+        type: Schema.Types.ObjectId,
+        ref: 'OutletInventoryTransaction',
+        default: null,
+      },
+      spoilageTransactionId: { // SPOILAGE at the destination (discrepancyType 'spoilage' only)
+        type: Schema.Types.ObjectId,
+        ref: 'OutletInventoryTransaction',
+        default: null,
+      },
+      _id: false
+    }
+  ],
+  notes: { type: String, trim: true, default: null },
+  requestedBy: UserSnapshotSchema,
+  requestedAt: { type: Date, default: Date.now },
+  dispatchedBy: UserSnapshotSchema,
+  dispatchedAt: { type: Date, default: null },
+  receivedBy: UserSnapshotSchema,
+  receivedAt: { type: Date, default: null },
+  cancelledBy: UserSnapshotSchema,
+  cancelledAt: { type: Date, default: null },
+  cancellationReason: { type: String, trim: true, default: null },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true,
+  }
+});
+
+TransferSchema.index({ 'sourceOutlet.outletId': 1, status: 1 });
+TransferSchema.index({ 'destinationOutlet.outletId': 1, status: 1 });
+
+// Virtual for id
+TransferSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// --- Pre-save hook to generate automatic 'code' (TRANSFER + YYMMDD + 3 digit counter) ---
+TransferSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const today = new Date();
+    const formattedDate = `${String(today.getFullYear()).slice(-2)}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `transfer_${formattedDate}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      this.code = `TRANSFER${formattedDate}${String(counter.seq).padStart(3, '0')}`;
+    } catch (error) {
+      console.error('Kesalahan saat membuat kode transfer:', error);
+      return next(new Error('Gagal membuat kode transfer. Silakan coba lagi.'));
+    }
+  }
+  next();
+});
+
+// Pre-findOneAndUpdate hook for soft delete logic
+TransferSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && update.isDeleted === true) {
+    if (!update.deletedAt) {
+      update.deletedAt = new Date();
+    }
+  }
+  next();
+});
+
+export default model('Transfer', TransferSchema);
@@ -1,7 +1,8 @@
 import { Schema, model } from 'mongoose';
 import { Roles } from '../constants/roles.js';
-import jwt from 'jsonwebtoken'; // For JWT generation
+import { Permissions } from '../constants/permissions.js';
 import bcrypt from 'bcrypt';
+import auditPlugin from './plugins/auditPlugin.js';
 
 const hashPasword = async (password) => {
     const salt = await bcrypt.genSalt(10);
@@ -35,6 +36,27 @@ const UserSchema = new Schema({
         required: true,
         minLength: 4,
     },
+    grantedPermissions: [ // Extra permissions on top of the user's roles (see RolePermission)
+        {
+            type: String,
+            enum: Object.values(Permissions),
+        }
+    ],
+    deniedPermissions: [ // Permissions taken away even if one of the user's roles grants them
+        {
+            type: String,
+            enum: Object.values(Permissions),
+        }
+    ],
+    pin: { // Hashed numeric PIN for switching operators on a shared outlet tablet
+        type: String,
+        default: null,
+        select: false,
+    },
+    pinUpdatedAt: {
+        type: Date,
+        default: null,
+    },
     imgUrl: {
         type: String,
         default: null,
@@ -84,6 +106,10 @@ UserSchema.pre('findOneAndUpdate', async function(next) {
   if (update.password) {
     update.password = await hashPasword(update.password);
   }
+  if (update.pin) {
+    update.pin = await hashPasword(update.pin);
+    update.pinUpdatedAt = new Date();
+  }
   // Handle soft delete logic during update
   if (update && update.isDeleted === true) {
     if (!update.deletedAt) {
@@ -98,11 +124,15 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// --- Method to generate and return JWT token ---
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, roles: this.roles }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+// Method to compare PINs (the document must be loaded with `.select('+pin')`)
+UserSchema.methods.matchPin = async function(enteredPin) {
+  if (!this.pin || !enteredPin) return false;
+  return await bcrypt.compare(String(enteredPin), this.pin);
 };
 
+// Access tokens are issued per session, see services/sessionService.js
+
+// Record every change in AuditLog
+UserSchema.plugin(auditPlugin);
+
 export default model('User', UserSchema);
\ No newline at end of file
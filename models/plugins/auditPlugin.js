@@ -0,0 +1,152 @@
+import AuditLog from '../AuditLog.js';
+import { AuditActions } from '../../constants/auditActions.js';
+import { getCurrentRequest } from '../../middleware/requestContext.js';
+
+// Never part of a diff
+const IGNORED_PATHS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+// Recorded as changed, but without their values
+const REDACTED_FIELDS = new Set(['password', 'pin', 'tokenHash', 'refreshTokenHash']);
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Flattens a document into { 'dot.path': value }; arrays, dates and ObjectIds are leaves
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, fieldValue]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_PATHS.has(path)) return;
+    if (isPlainObject(fieldValue) && Object.keys(fieldValue).length > 0) {
+      flatten(fieldValue, path, out);
+    } else {
+      out[path] = fieldValue;
+    }
+  });
+  return out;
+};
+
+// Plain JSON form of a value (ObjectId -> string, Date -> ISO string)
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isRedacted = (path) => path.split('.').some(segment => REDACTED_FIELDS.has(segment));
+
+/**
+ * Field-level diff between two plain documents.
+ * @param {object|null} before - Document before the change (null for creates).
+ * @param {object|null} after - Document after the change (null for hard deletes).
+ * @returns {Array<{ path: string, before: any, after: any }>}
+ */
+export const diffDocuments = (before, after) => {
+  const beforeFields = flatten(before);
+  const afterFields = flatten(after);
+  const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  const changes = [];
+  paths.forEach(path => {
+    const beforeValue = normalize(beforeFields[path]);
+    const afterValue = normalize(afterFields[path]);
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+    changes.push(isRedacted(path)
+      ? { path, before: before ? REDACTED : null, after: after ? REDACTED : null }
+      : { path, before: beforeValue, after: afterValue });
+  });
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+const resolveAction = (before, after) => {
+  if (!before) return AuditActions.CREATE;
+  if (!after) return AuditActions.DELETE;
+  if (!before.isDeleted && after.isDeleted) return AuditActions.SOFT_DELETE;
+  if (before.isDeleted && !after.isDeleted) return AuditActions.RESTORE;
+  return AuditActions.UPDATE;
+};
+
+// Acting user and request details, from the current request or a query's `context.user` (as Ingredient's history hook does)
+const resolveActor = (queryOptions) => {
+  const req = getCurrentRequest();
+  const contextUser = queryOptions?.context?.user;
+  const user = req?.user || contextUser;
+  return {
+    actor: user ? { userId: user._id || user.id || null, name: user.name || 'System' } : { userId: null, name: 'System' },
+    ipAddress: req?.ip || null,
+    userAgent: req?.get('user-agent') || null,
+    request: req ? { method: req.method, path: req.originalUrl } : { method: null, path: null },
+  };
+};
+
+// Writes the log entry, in the mutation's transaction when it has one. Never throws: an audit failure
+// must not fail the mutation itself.
+const writeAuditLog = async (entity, before, after, queryOptions, session = null) => {
+  try {
+    const changes = diffDocuments(before, after);
+    if (changes.length === 0) return;
+    await AuditLog.create([{
+      entity,
+      entityId: (after || before)._id,
+      action: resolveAction(before, after),
+      changes,
+      ...resolveActor(queryOptions),
+    }], { session });
+  } catch (error) {
+    console.error(`Gagal mencatat audit log ${entity}:`, error.message);
+  }
+};
+
+/**
+ * Mongoose plugin recording every create, update, soft delete, restore and hard delete of a model
+ * in AuditLog with a field-level diff. Covers save(), insertMany, findOneAndUpdate / findByIdAndUpdate,
+ * updateOne, findOneAndDelete and deleteOne. Bulk updateMany / deleteMany are not tracked.
+ * @param {import('mongoose').Schema} schema
+ */
+const auditPlugin = (schema) => {
+  // Hidden fields (e.g. User.password) are loaded too, so changes to them still show up (redacted)
+  const hiddenPaths = [];
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options?.select === false) hiddenPaths.push(path);
+  });
+  const withHidden = (query) => (hiddenPaths.length > 0 ? query.select(hiddenPaths.map(path => `+${path}`).join(' ')) : query);
+
+  schema.pre('save', async function () {
+    this.$locals.auditWasNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = await withHidden(this.constructor.findById(this._id)).session(this.$session()).lean();
+    }
+  });
+
+  schema.post('save', async function (doc) {
+    const before = doc.$locals.auditWasNew ? null : doc.$locals.auditBefore;
+    const after = doc.toObject({ virtuals: false, getters: false });
+    // A hidden field the document was loaded without has not changed
+    hiddenPaths.forEach(path => {
+      if (before && !doc.isSelected(path)) after[path] = before[path];
+    });
+    await writeAuditLog(doc.constructor.modelName, before, after, undefined, doc.$session());
+  });
+
+  schema.post('insertMany', async function (docs) {
+    await Promise.all(docs.map(doc => writeAuditLog(this.modelName, null, doc.toObject({ virtuals: false, getters: false }))));
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne'], async function () {
+    this._auditBefore = await withHidden(this.model.findOne(this.getQuery())).session(this.getOptions().session || null).lean();
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], async function (result) {
+    const before = this._auditBefore;
+    const afterId = before?._id || result?._id || result?.upsertedId;
+    if (!afterId) return;
+    const session = this.getOptions().session || null;
+    const after = await withHidden(this.model.findById(afterId)).session(session).lean();
+    await writeAuditLog(this.model.modelName, before, after, this.getOptions(), session);
+  });
+
+  schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+    this._auditBefore = await withHidden(this.model.findOne(this.getQuery())).session(this.getOptions().session || null).lean();
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+    if (!this._auditBefore) return;
+    await writeAuditLog(this.model.modelName, this._auditBefore, null, this.getOptions(), this.getOptions().session || null);
+  });
+};
+
+export default auditPlugin;
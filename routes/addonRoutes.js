@@ -6,12 +6,17 @@ import {
     updateAddon,
     deleteAddon
 } from '../controllers/addonController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
+// POST /api/v1/addons/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('addons'));
+
 router.route('/')
     .get(getAddons)
     .post(protect, authorizeRoles(Roles.admin), createAddon);
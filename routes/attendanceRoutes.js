@@ -4,6 +4,9 @@ import multer from 'multer'; // NEW: Import multer
 import path from 'path';    // NEW: Import path for file extension
 import sharp from 'sharp';  // NEW: Import sharp
 import fs from 'fs/promises'; // NEW: Import fs/promises for directory creation
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
@@ -91,25 +94,25 @@ const resizeAndSaveImage = async (req, res, next) => {
 router.route('/clockin')
   // Operator Clock-in
   // POST /api/attendance/clockin (Expects 'evidenceImage' as the field name for the file)
-  .post(upload.single('evidenceImage'), resizeAndSaveImage, attendanceController.clockIn);
+  .post(protect, authorizeRoles(Roles.operator), upload.single('evidenceImage'), resizeAndSaveImage, attendanceController.clockIn);
 
 router.route('/clockout/:id')
   // Operator Clock-out (PATCH for partial update of an existing record)
   // PATCH /api/attendance/clockout/:id (Expects 'evidenceImage' as the field name for the file)
-  .patch(upload.single('evidenceImage'), resizeAndSaveImage, attendanceController.clockOut);
+  .patch(protect, authorizeRoles(Roles.operator), upload.single('evidenceImage'), resizeAndSaveImage, attendanceController.clockOut);
 
 router.route('/')
-  // Get all attendance records (e.g., for Admin/SPV Area dashboard)
+  // Get attendance records, limited to the caller's outlets for non-admins
   // GET /api/attendance?operatorId=...&outletId=...&dateFrom=...&dateTo=...
-  .get(attendanceController.getAttendanceRecords);
+  .get(protect, attendanceController.getAttendanceRecords);
 
 router.route('/:id')
   // Get a specific attendance record by ID
   // GET /api/attendance/:id
-  .get(attendanceController.getAttendanceRecordById)
-  // Soft delete an attendance record (typically Admin only)
+  .get(protect, attendanceController.getAttendanceRecordById)
+  // Soft delete an attendance record (Admin, SPV Area for their outlets)
   // DELETE /api/attendance/:id
-  .delete(attendanceController.deleteAttendance);
+  .delete(protect, authorizeRoles(Roles.admin, Roles.spvarea), attendanceController.deleteAttendance);
 
 
 export default router;
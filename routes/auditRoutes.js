@@ -0,0 +1,15 @@
+import express from 'express';
+import * as controller from '../controllers/auditController.js';
+import protect from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
+
+const router = express.Router();
+
+// --- Audit Routes ---
+// Base URL for these routes will be /api/v1/audit
+
+router.get('/', protect, requirePermission(Permissions.AUDIT_VIEW), controller.getAuditLogs);
+router.get('/:id', protect, requirePermission(Permissions.AUDIT_VIEW), controller.getAuditLogById);
+
+export default router;
@@ -1,12 +1,41 @@
 import { Router } from 'express';
-import { registerAdmin, authUser, getUserProfile } from '../controllers/authController.js';
+import {
+    registerAdmin,
+    authUser,
+    getUserProfile,
+    refreshAccessToken,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSessionById,
+    getAdminRegistrationLogs,
+    getLoginHistory,
+    getLoginThrottles,
+    unlockLogin,
+} from '../controllers/authController.js';
 import protect from '../middleware/auth.js'; // Authentication middleware
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
 
 const router = Router();
 
 // Public routes for authentication
 router.post('/register-admin', registerAdmin);
 router.post('/login', authUser);
+router.post('/refresh', refreshAccessToken);
 router.get('/profile', protect, getUserProfile);
 
+// Session management
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll); // body: { userId } (admin only, defaults to self)
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSessionById);
+
+router.get('/admin-registration-logs', protect, authorizeRoles(Roles.admin), getAdminRegistrationLogs);
+
+// Login attempts and brute-force lockouts
+router.get('/login-history', protect, authorizeRoles(Roles.admin), getLoginHistory);
+router.get('/login-throttles', protect, authorizeRoles(Roles.admin), getLoginThrottles);
+router.post('/login-throttles/unlock', protect, authorizeRoles(Roles.admin), unlockLogin);
+
 export default router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 import express from 'express';
 import * as controller from '../controllers/bundleController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
+// POST /api/v1/bundles/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('bundles'));
+
 router.route('/')
     .get(controller.getBundles)
     .post(protect, authorizeRoles(Roles.admin), controller.createBundle);
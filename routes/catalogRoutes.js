@@ -0,0 +1,13 @@
+import express from 'express';
+import * as controller from '../controllers/catalogSyncController.js';
+import protect from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- Catalog Routes ---
+// Base URL for these routes will be /api/v1/catalog
+
+// POST /api/v1/catalog/sync  body: { syncToken?, idLists? }
+router.post('/sync', protect, controller.syncCatalog);
+
+export default router;
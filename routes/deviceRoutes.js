@@ -0,0 +1,25 @@
+import express from 'express';
+import * as controller from '../controllers/deviceController.js';
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
+
+const router = express.Router();
+
+// --- Shared Outlet Device Routes ---
+// Base URL for these routes will be /api/v1/devices
+
+router.route('/')
+  // POST /api/v1/devices  body: { outletId, name }
+  .post(protect, authorizeRoles(Roles.admin, Roles.spvarea), controller.registerDevice)
+  // GET /api/v1/devices?outletId=...&isActive=...
+  .get(protect, authorizeRoles(Roles.admin, Roles.spvarea, Roles.franchisee), controller.getDevices);
+
+// POST /api/v1/devices/switch-operator  header: X-Device-Token  body: { userId, pin }
+// No `protect`: the tablet authenticates with its device token and the operator with the PIN
+router.post('/switch-operator', controller.switchOperator);
+
+router.route('/:id/deactivate')
+  .patch(protect, authorizeRoles(Roles.admin, Roles.spvarea), controller.deactivateDevice);
+
+export default router;
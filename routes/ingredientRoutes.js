@@ -7,12 +7,17 @@ import {
     deleteIngredient,
     getIngredientHistory
 } from '../controllers/ingredientController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
+// POST /api/v1/ingredients/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('ingredients'));
+
 router.route('/')
     .get(getIngredients)
     .post(protect, authorizeRoles(Roles.admin), createIngredient);
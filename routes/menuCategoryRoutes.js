@@ -6,12 +6,17 @@ import {
     updateMenuCategory, 
     deleteMenuCategory
 } from '../controllers/menuCategoryController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
+// POST /api/v1/menucategories/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('menuCategories'));
+
 router.route('/')
     .get(getMenuCategories)
     .post(protect, authorizeRoles(Roles.admin), createMenuCategory);
@@ -7,6 +7,7 @@ import {
     deleteMenu,
     updateMenuImage
 } from '../controllers/menuController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
@@ -82,6 +83,10 @@ const processAndSaveMenuImage = async (req, res, next) => {
   next();
 };
 
+// POST /api/v1/menus/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('menus'));
+
 router.route('/')
     .get(getMenus)
     .post(protect, authorizeRoles(Roles.admin), createMenu);
@@ -4,6 +4,8 @@ import * as controller from '../controllers/orderController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 
 const router = express.Router();
 
@@ -13,9 +15,14 @@ router.route('/')
   .post(protect, controller.createOrder)
   .get(protect, controller.getOrders);
 
+// Replenishment suggestions from sale consumption; POST creates a draft order from them
+router.route('/replenishment')
+  .get(protect, authorizeRoles(Roles.admin, Roles.spvarea, Roles.operator), controller.getReplenishmentSuggestions)
+  .post(protect, authorizeRoles(Roles.admin, Roles.spvarea, Roles.operator), controller.createReplenishmentOrder);
+
 router.route('/:id')
   .get(protect, controller.getOrderById)
-  .patch(protect, authorizeRoles(Roles.admin, Roles.operator, Roles.spvarea, ), controller.updateOrder) // Using PATCH for partial updates like status and isAccepted
-  .delete(protect, authorizeRoles(Roles.admin), controller.deleteOrder); // Soft delete
+  .patch(protect, requirePermission(Permissions.ORDER_UPDATE), controller.updateOrder) // Using PATCH for partial updates like status and isAccepted (isAccepted also needs order.accept)
+  .delete(protect, requirePermission(Permissions.ORDER_DELETE), controller.deleteOrder); // Soft delete
 
 export default router;
\ No newline at end of file
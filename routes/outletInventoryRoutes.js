@@ -3,6 +3,8 @@ import * as controller from '../controllers/outletInventoryController.js'; // Th
 import protect from '../middleware/auth.js'; // Authentication middleware
 import authorizeRoles from '../middleware/rbac.js'; // RBAC middleware
 import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 
 const router = express.Router();
 
@@ -19,9 +21,12 @@ router.route('/:id')
   .get(protect, controller.getOutletInventoryById)
   // Update an outlet inventory (e.g., reorder levels, specific ingredient adjustments - NOT quantity changes)
   // Quantity changes should primarily come from OutletInventoryTransactions
-  .patch(protect, authorizeRoles(Roles.admin, Roles.spvarea), controller.updateOutletInventory)
+  .patch(protect, requirePermission(Permissions.INVENTORY_ADJUST), controller.updateOutletInventory)
   // Soft delete an outlet inventory (only if the associated outlet is deleted)
-  .delete(protect, authorizeRoles(Roles.admin), controller.deleteOutletInventory);
+  .delete(protect, requirePermission(Permissions.INVENTORY_DELETE), controller.deleteOutletInventory);
+
+// Set minimum stock (reorder points) per ingredient; crossing them raises STOCK admin notifications
+router.put('/:id/reorder-levels', protect, requirePermission(Permissions.INVENTORY_REORDER_LEVEL), controller.updateReorderLevels);
 
 // Route for getting inventory for a specific outlet (useful for operators/franchisees)
 router.get('/byoutlet/:outletId', protect, controller.getOutletInventoryByOutletId);
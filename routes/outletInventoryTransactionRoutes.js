@@ -3,8 +3,8 @@
 import express from 'express';
 import * as outletInventoryTransactionController from '../controllers/outletInventoryTransactionController.js';
 import protect from '../middleware/auth.js'; // Assuming you have an authentication middleware
-// import authorizeRoles from '../middleware/rbac.js'; // Uncomment if you have RBAC middleware
-// import { Roles } from '../constants/roles.js'; // Uncomment if using Roles for authorization
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 import multer from 'multer'; // Import multer for file uploads
 import path from 'path'; // For path.extname
 
@@ -43,17 +43,16 @@ const upload = multer({
 // Base URL for these routes will be /api/v1/outletinventorytransactions
 
 router.route('/')
-  .post(protect, upload.single('evidenceFile'), outletInventoryTransactionController.createOutletInventoryTransaction)
+  .post(protect, requirePermission(Permissions.INVENTORY_ADJUST), upload.single('evidenceFile'), outletInventoryTransactionController.createOutletInventoryTransaction)
   .get(protect, outletInventoryTransactionController.getOutletInventoryTransactions);
 
 // NEW ROUTE FOR BULK CREATION
 router.route('/bulk')
-  .post(protect, upload.single('evidenceFile'), outletInventoryTransactionController.createMultipleOutletInventoryTransactions); // Use upload.none() if no files for bulk or adjust for array of files
+  .post(protect, requirePermission(Permissions.INVENTORY_ADJUST), upload.single('evidenceFile'), outletInventoryTransactionController.createMultipleOutletInventoryTransactions); // Use upload.none() if no files for bulk or adjust for array of files
 
 router.route('/:id')
   .get(protect, outletInventoryTransactionController.getOutletInventoryTransactionById)
-  .patch(protect, upload.single('evidenceFile'), outletInventoryTransactionController.updateOutletInventoryTransaction)
-  // Ensure only Admins can soft-delete
-  .delete(protect, /* authorizeRoles(Roles.ADMIN), */ outletInventoryTransactionController.deleteOutletInventoryTransaction);
+  .patch(protect, requirePermission(Permissions.INVENTORY_ADJUST), upload.single('evidenceFile'), outletInventoryTransactionController.updateOutletInventoryTransaction)
+  .delete(protect, requirePermission(Permissions.INVENTORY_ADJUST), outletInventoryTransactionController.deleteOutletInventoryTransaction);
 
 export default router;
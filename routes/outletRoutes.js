@@ -7,25 +7,45 @@ import {
     deleteOutlet,
     getOutletsByFranchisee,
     getOutletsBySpvArea,
-    getOutletsByOperator
+    getOutletsByOperator,
+    createOutletGroup,
+    getOutletGroups,
+    getOutletGroupById,
+    updateOutletGroup,
+    deleteOutletGroup
 } from '../controllers/outletController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js';
 import authorizeRoles from '../middleware/rbac.js';
 import { Roles } from '../constants/roles.js';
 
 const router = express.Router();
 
+// POST /api/v1/outlets/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+    .post(protect, syncCatalogEntity('outlets'));
+
 router.route('/')
     .get(getOutlets)
     .post(protect, authorizeRoles(Roles.admin), createOutlet);
 
+// Outlet groups: role assignments shared by several outlets (declared before '/:id')
+router.route('/groups')
+    .get(protect, authorizeRoles(Roles.admin), getOutletGroups)
+    .post(protect, authorizeRoles(Roles.admin), createOutletGroup);
+
+router.route('/groups/:id')
+    .get(protect, authorizeRoles(Roles.admin), getOutletGroupById)
+    .put(protect, authorizeRoles(Roles.admin), updateOutletGroup)
+    .delete(protect, authorizeRoles(Roles.admin), deleteOutletGroup);
+
 router.route('/:id')
-    .get(getOutletById)
+    .get(protect, getOutletById)
     .put(protect, authorizeRoles(Roles.admin), updateOutlet)
     .delete(protect, authorizeRoles(Roles.admin), deleteOutlet);
 
-router.get('/operator/:operatorId', getOutletsByOperator);
-router.get('/franchisee/:franchiseeId', getOutletsByFranchisee);
-router.get('/spvarea/:spvAreaId', getOutletsBySpvArea);
+router.get('/operator/:operatorId', protect, getOutletsByOperator);
+router.get('/franchisee/:franchiseeId', protect, getOutletsByFranchisee);
+router.get('/spvarea/:spvAreaId', protect, getOutletsBySpvArea);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import express from 'express';
+import * as controller from '../controllers/permissionController.js';
+import protect from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
+
+const router = express.Router();
+
+// --- Permission Routes ---
+// Base URL for these routes will be /api/v1/permissions
+
+router.get('/', protect, controller.getPermissionCatalogue);
+router.get('/me', protect, controller.getMyPermissions);
+
+router.get('/roles', protect, requirePermission(Permissions.PERMISSION_MANAGE), controller.getRolePermissions);
+// PUT /api/v1/permissions/roles/:role  body: { permissions: [...] }
+router.put('/roles/:role', protect, requirePermission(Permissions.PERMISSION_MANAGE), controller.updateRolePermissions);
+
+// PUT /api/v1/permissions/users/:id  body: { grantedPermissions?, deniedPermissions? }
+router.put('/users/:id', protect, requirePermission(Permissions.PERMISSION_MANAGE), controller.updateUserPermissions);
+
+export default router;
@@ -1,23 +1,27 @@
 import express from 'express';
 import * as controller from '../controllers/promoSettingController.js';
+import { syncCatalogEntity } from '../controllers/catalogSyncController.js';
 import protect from '../middleware/auth.js'; // Uncomment if you have authentication middleware
-import authorizeRoles from '../middleware/rbac.js';
-import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 const router = express.Router();
 
 // --- Promo Setting Routes ---
 // Base URL for these routes will be /api/v1/promosettings
 
+// POST /api/v1/promosettings/sync  body: { latest, idList } -> { toAdd, toUpdate, toDelete } (same contract as /users/sync)
+router.route('/sync')
+  .post(protect, syncCatalogEntity('promoSettings'));
+
 // Get all promo settings (read-only)
 router.route('/')
   .get(controller.getPromoSettings);
 
 // Get a single promo setting by code (read-only)
-// Update a promo setting by code (requires authentication and admin role)
+// Update a promo setting by code (requires the promo.edit permission)
 router.route('/:code')
   .get(controller.getPromoSettingByCode)
-  // Apply protect and authorizeRoles middleware if you have them
-  .patch(protect, authorizeRoles(Roles.admin), controller.updatePromoSetting);
+  .patch(protect, requirePermission(Permissions.PROMO_EDIT), controller.updatePromoSetting);
 
 
 export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import * as controller from '../controllers/purchaseController.js';
+import multer from 'multer';
+import path from 'path';
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
+
+const router = express.Router();
+
+// --- Multer Configuration for Receipt Image Uploads ---
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // Max 10MB for original file
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    const extname = /jpeg|jpg|png/.test(path.extname(file.originalname).toLowerCase());
+    if (allowedMimeTypes.includes(file.mimetype) && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Hanya file gambar (JPEG, JPG, PNG) yang diizinkan untuk nota pembelian.'));
+  }
+});
+
+// Middleware to resize/optimize the receipt image and save it as WebP
+const processAndSaveReceipt = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  const receiptDir = path.join('uploads', 'purchase', 'receipt');
+  try {
+    await fs.mkdir(receiptDir, { recursive: true });
+    const outputFileName = `${req.file.fieldname}-${Date.now()}-${Math.round(Math.random() * 1E9)}.webp`;
+    const buffer = await sharp(req.file.buffer)
+      .resize({ width: 1200, withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+    await fs.writeFile(path.join(receiptDir, outputFileName), buffer);
+
+    req.file.filename = outputFileName;
+    req.file.path = path.join(receiptDir, outputFileName);
+    req.file.size = buffer.length;
+    next();
+  } catch (error) {
+    console.error('Kesalahan saat memproses nota pembelian:', error);
+    return res.status(500).json({ message: 'Kesalahan server saat memproses nota pembelian.' });
+  }
+};
+
+// --- Purchase Routes ---
+// Base URL for these routes will be /api/v1/purchases
+
+router.route('/')
+  // POST /api/v1/purchases (multipart; 'receiptImage' file, 'supplier' and 'items' may be JSON strings)
+  .post(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), upload.single('receiptImage'), processAndSaveReceipt, controller.createPurchase)
+  // GET /api/v1/purchases?outletId=...&status=...&dateFrom=...&dateTo=...
+  .get(protect, controller.getPurchases);
+
+router.route('/:id')
+  .get(protect, controller.getPurchaseById)
+  .delete(protect, requirePermission(Permissions.PURCHASE_DELETE), controller.deletePurchase);
+
+router.route('/:id/accept')
+  .patch(protect, requirePermission(Permissions.PURCHASE_APPROVE), controller.acceptPurchase);
+
+router.route('/:id/reject')
+  .patch(protect, requirePermission(Permissions.PURCHASE_APPROVE), controller.rejectPurchase);
+
+export default router;
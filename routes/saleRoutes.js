@@ -5,8 +5,8 @@ import path from 'path';
 import sharp from 'sharp';
 import fs from 'fs/promises';
 import protect from '../middleware/auth.js';
-import authorizeRoles from '../middleware/rbac.js';
-import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 
 const router = express.Router();
 
@@ -109,6 +109,9 @@ const processAndSavePaymentEvidence = async (req, res, next) => {
 
 
 // --- Sale Routes ---
+// POST /api/sales/sync  body: { sales: [...] } (batch upload of sales made offline)
+router.post('/sync', protect, controller.syncSales);
+
 router.route('/')
   // POST /api/sales (Expects 'paymentEvidence' as the field name for the file if payment method requires it)
   .post(protect, upload.single('paymentEvidence'), processAndSavePaymentEvidence, controller.createSale)
@@ -121,9 +124,14 @@ router.route('/:id')
   .get(protect, controller.getSaleById)
   // Update a sale (e.g., isValid, add invoicePrintHistory)
   // PATCH /api/sales/:id
-  .patch(protect, authorizeRoles(Roles.admin, Roles.operator), controller.updateSale)
-  // Soft delete a sale (Admin only)
+  .patch(protect, requirePermission(Permissions.SALE_UPDATE), controller.updateSale)
+  // Soft delete a sale
   // DELETE /api/sales/:id
-  .delete(protect, authorizeRoles(Roles.admin), controller.deleteSale);
+  .delete(protect, requirePermission(Permissions.SALE_DELETE), controller.deleteSale);
+
+// Refund specific lines of a sale
+// POST /api/sales/:id/refunds  body: { itemSingle|itemBundle|itemAddon: [{ index, qty }], method, reason, stockAction }
+router.route('/:id/refunds')
+  .post(protect, requirePermission(Permissions.SALE_REFUND), controller.refundSale);
 
 export default router;
@@ -1,19 +1,19 @@
 import express from 'express';
 import { createRequest, processRequest, getAllRequests, deleteRequest } from '../controllers/serviceRequestController.js';
 import protect from '../middleware/auth.js';
-import authorizeRoles from '../middleware/rbac.js';
-import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 
 const router = express.Router();
 
 router.route('/')
-    .post(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.franchisee), createRequest)
-    .get(protect, authorizeRoles(Roles.admin, Roles.spvarea, Roles.franchisee), getAllRequests);
+    .post(protect, requirePermission(Permissions.SERVICE_REQUEST_CREATE), createRequest)
+    .get(protect, requirePermission(Permissions.SERVICE_REQUEST_VIEW), getAllRequests);
 
 router.route('/:id')
-    .delete(protect, authorizeRoles(Roles.operator, Roles.admin, Roles.spvarea), deleteRequest);
+    .delete(protect, requirePermission(Permissions.SERVICE_REQUEST_DELETE), deleteRequest);
 
 router.route('/:id/process')
-    .patch(protect, authorizeRoles(Roles.admin, Roles.spvarea), processRequest);
+    .patch(protect, requirePermission(Permissions.SERVICE_REQUEST_PROCESS), processRequest);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import express from 'express';
+import * as controller from '../controllers/shiftController.js';
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
+
+const router = express.Router();
+
+// --- Shift Routes ---
+// Base URL for these routes will be /api/v1/shifts
+
+router.route('/')
+  // GET /api/v1/shifts?outletId=...&operatorId=...&status=...&dateFrom=...&dateTo=...
+  .get(protect, controller.getShifts);
+
+// POST /api/v1/shifts/open  body: { outletId, openingCash, notes }
+router.route('/open')
+  .post(protect, authorizeRoles(Roles.operator), controller.openShift);
+
+// GET /api/v1/shifts/current?outletId=...
+router.route('/current')
+  .get(protect, authorizeRoles(Roles.operator), controller.getCurrentShift);
+
+router.route('/:id')
+  .get(protect, controller.getShiftById);
+
+// PATCH /api/v1/shifts/:id/close  body: { countedCash, countedTransfer, countedQris, notes }
+router.route('/:id/close')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.admin, Roles.spvarea), controller.closeShift);
+
+export default router;
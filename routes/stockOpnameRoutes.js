@@ -0,0 +1,41 @@
+import express from 'express';
+import * as controller from '../controllers/stockOpnameController.js';
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
+
+const router = express.Router();
+
+// --- Stock Opname Routes ---
+// Base URL for these routes will be /api/v1/stockopnames
+
+router.route('/')
+  // POST /api/v1/stockopnames  body: { outletId, ingredientIds?, notes }
+  .post(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.startStockOpname)
+  // GET /api/v1/stockopnames?outletId=...&status=...&dateFrom=...&dateTo=...
+  .get(protect, controller.getStockOpnames);
+
+// GET /api/v1/stockopnames/variance-report?outletId=...&dateFrom=...&dateTo=...
+router.route('/variance-report')
+  .get(protect, authorizeRoles(Roles.admin, Roles.spvarea, Roles.franchisee), controller.getVarianceReport);
+
+router.route('/:id')
+  .get(protect, controller.getStockOpnameById);
+
+// PATCH /api/v1/stockopnames/:id/counts  body: { counts: [{ ingredientId, countedQty, notes }] }
+router.route('/:id/counts')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.recordCounts);
+
+router.route('/:id/submit')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.submitStockOpname);
+
+router.route('/:id/approve')
+  .patch(protect, requirePermission(Permissions.INVENTORY_ADJUST), controller.approveStockOpname);
+
+// PATCH /api/v1/stockopnames/:id/cancel  body: { reason }
+router.route('/:id/cancel')
+  .patch(protect, requirePermission(Permissions.INVENTORY_ADJUST), controller.cancelStockOpname);
+
+export default router;
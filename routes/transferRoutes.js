@@ -0,0 +1,33 @@
+import express from 'express';
+import * as controller from '../controllers/transferController.js';
+import protect from '../middleware/auth.js';
+import authorizeRoles from '../middleware/rbac.js';
+import { Roles } from '../constants/roles.js';
+
+const router = express.Router();
+
+// --- Inter-outlet Transfer Routes ---
+// Base URL for these routes will be /api/v1/transfers
+
+router.route('/')
+  // POST /api/v1/transfers  body: { sourceOutletId, destinationOutletId, items: [{ ingredientId, qty, notes }], notes }
+  .post(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.requestTransfer)
+  // GET /api/v1/transfers?outletId=...&status=...&dateFrom=...&dateTo=...
+  .get(protect, controller.getTransfers);
+
+router.route('/:id')
+  .get(protect, controller.getTransferById);
+
+// PATCH /api/v1/transfers/:id/dispatch  body: { items?: [{ ingredientId, dispatchedQty }] }
+router.route('/:id/dispatch')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.dispatchTransfer);
+
+// PATCH /api/v1/transfers/:id/receive  body: { items?: [{ ingredientId, receivedQty, discrepancyType, notes }] }
+router.route('/:id/receive')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.receiveTransfer);
+
+// PATCH /api/v1/transfers/:id/cancel  body: { reason }
+router.route('/:id/cancel')
+  .patch(protect, authorizeRoles(Roles.operator, Roles.spvarea, Roles.admin), controller.cancelTransfer);
+
+export default router;
@@ -4,8 +4,8 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import protect from '../middleware/auth.js'; // Authentication middleware
-import authorizeRoles from '../middleware/rbac.js';
-import { Roles } from '../constants/roles.js';
+import requirePermission from '../middleware/permission.js';
+import { Permissions } from '../constants/permissions.js';
 
 const router = express.Router();
 const storage = multer.memoryStorage();
@@ -77,15 +77,19 @@ const processAndSaveUserProfile = async (req, res, next) => {
 
 router.route('/')
   .get(protect, controller.getUsers)
-  .post(protect, authorizeRoles(Roles.admin), controller.createUser);
+  .post(protect, requirePermission(Permissions.USER_MANAGE), controller.createUser);
 
 router.route('/sync')
   .post(protect, controller.syncUsers);
 
 router.route('/:id')
   .get(protect, controller.getUserById)
-  .put(protect, authorizeRoles(Roles.admin), controller.updateUserById)
-  .delete(protect, authorizeRoles(Roles.admin), controller.softDeleteUserById);
+  .put(protect, requirePermission(Permissions.USER_MANAGE), controller.updateUserById)
+  .delete(protect, requirePermission(Permissions.USER_MANAGE), controller.softDeleteUserById);
+
+// PUT /api/v1/users/:id/pin  body: { pin } (own PIN, or any user's for admins)
+router.route('/:id/pin')
+  .put(protect, controller.updateUserPin);
 
 router.route('/:id/profile')
   .put(protect, upload.single('profileImage'), processAndSaveUserProfile, controller.updateUserProfileById);
@@ -0,0 +1,165 @@
+// scripts/benchmarkSaleProcessing.js
+//
+// Measures processNewSaleData on carts of growing size against the database in DATABASE_URL, next to the
+// version it replaced (one findById per menu, addon, bundle and recipe ingredient), loaded from git at
+// --baseline (required: a commit or tag whose services/saleProcessingService.js still looks the catalog up
+// line by line, e.g. the parent of the commit that introduced loadSaleCatalog). Both run on the same carts
+// of single items with addons and bundles.
+// Read-only: it uses the first active outlet, operator, menus, addons and bundles it finds and saves nothing.
+//
+//   npm run bench:sales -- --baseline=<ref> --runs=20 --sizes=1,10,50,100 [--format=markdown]
+//
+// Latency depends on the round trip to the database, so run it against a copy of production data from a
+// host close to the production database, and paste the --format=markdown table into the pull request
+// together with the database host and the baseline ref used.
+
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import mongoose from 'mongoose';
+import Outlet from '../models/Outlet.js';
+import User from '../models/User.js';
+import Menu from '../models/Menu.js';
+import Addon from '../models/Addon.js';
+import Bundle from '../models/Bundle.js';
+import { PaymentMethods } from '../constants/paymentMethods.js';
+import { Roles } from '../constants/roles.js';
+import { processNewSaleData } from '../services/saleProcessingService.js';
+
+const readArg = (name, fallback) => {
+    const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const RUNS = parseInt(readArg('runs', '20'), 10);
+const CART_SIZES = readArg('sizes', '1,10,50,100').split(',').map(size => parseInt(size, 10));
+const BASELINE_REF = readArg('baseline', null);
+const FORMAT = readArg('format', 'table');
+
+const SERVICE_PATH = 'services/saleProcessingService.js';
+const REPO_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let queryCount = 0;
+mongoose.set('debug', () => { queryCount += 1; });
+
+// Imports processNewSaleData as it was at `ref`. The old file is copied out of the tree with its imports
+// pointed back at the current models, services and packages, so both versions share the same Mongoose models.
+const loadBaselineProcessNewSaleData = async (ref) => {
+    const source = execFileSync('git', ['show', `${ref}:${SERVICE_PATH}`], { cwd: REPO_ROOT, encoding: 'utf8' });
+    const serviceDirUrl = pathToFileURL(path.join(REPO_ROOT, path.dirname(SERVICE_PATH), '/'));
+    const rewritten = source.replace(/from '([^']+)'/g, (match, specifier) => {
+        const resolved = specifier.startsWith('.') ? new URL(specifier, serviceDirUrl).href : import.meta.resolve(specifier);
+        return `from '${resolved}'`;
+    });
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sale-bench-'));
+    try {
+        const file = path.join(dir, 'saleProcessingService.baseline.mjs');
+        await fs.writeFile(file, rewritten);
+        const baselineModule = await import(pathToFileURL(file).href);
+        return baselineModule.processNewSaleData;
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+};
+
+// A cart of `size` single items cycling through the menus, each with one addon when there are any,
+// plus one bundle of two menus for every five items when there are bundles
+const buildCart = (outlet, catalog, size) => {
+    const { menus, addons, bundles } = catalog;
+    const menuAt = (index) => menus[index % menus.length]._id.toString();
+    return {
+        outletId: outlet._id.toString(),
+        itemSingle: Array.from({ length: size }, (_, index) => ({
+            menuId: menuAt(index),
+            qty: 1 + (index % 3),
+            addons: addons.length > 0 ? [{ addonId: addons[index % addons.length]._id.toString(), qty: 1 }] : [],
+        })),
+        itemBundle: bundles.length === 0 ? [] : Array.from({ length: Math.ceil(size / 5) }, (_, index) => ({
+            menuBundleId: bundles[index % bundles.length]._id.toString(),
+            qty: 1,
+            items: [{ menuId: menuAt(index * 2), qty: 1 }, { menuId: menuAt(index * 2 + 1), qty: 1 }],
+        })),
+        totalPaid: Number.MAX_SAFE_INTEGER,
+        payment: { method: PaymentMethods.CASH },
+    };
+};
+
+const measure = async (run) => {
+    const durations = [];
+    const queriesBefore = queryCount;
+    for (let i = 0; i < RUNS; i += 1) {
+        const start = process.hrtime.bigint();
+        await run();
+        durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    durations.sort((a, b) => a - b);
+    return {
+        avgMs: (durations.reduce((sum, ms) => sum + ms, 0) / durations.length).toFixed(1),
+        p95Ms: durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))].toFixed(1),
+        queries: Math.round((queryCount - queriesBefore) / RUNS),
+    };
+};
+
+// Prints the rows as a Markdown table, ready to paste into a pull request
+const printMarkdown = (rows) => {
+    const columns = Object.keys(rows[0]);
+    console.log(`| ${columns.join(' | ')} |`);
+    console.log(`| ${columns.map(() => '---:').join(' | ')} |`);
+    rows.forEach(row => console.log(`| ${columns.map(column => row[column]).join(' | ')} |`));
+};
+
+// Runs one version of processNewSaleData on a fresh copy of the cart (it normalises payment in place)
+const measurePipeline = (processSale, cart, operator) => measure(async () => {
+    const { errors } = await processSale({ ...cart, payment: { ...cart.payment } }, operator, null);
+    if (errors.length > 0) throw new Error(errors.join(' '));
+});
+
+const main = async () => {
+    if (!BASELINE_REF) {
+        throw new Error('Tentukan revisi pembanding dengan --baseline=<commit atau tag>.');
+    }
+    const baselineProcessNewSaleData = await loadBaselineProcessNewSaleData(BASELINE_REF);
+    await mongoose.connect(process.env.DATABASE_URL);
+
+    const outlet = await Outlet.findOne({ isDeleted: false, isActive: true });
+    const operator = await User.findOne({ roles: Roles.operator, isDeleted: false, isActive: true });
+    const menus = await Menu.find({ isDeleted: false, isActive: true }).limit(50);
+    const addons = await Addon.find({ isDeleted: false, isActive: true }).limit(20);
+    const bundles = await Bundle.find({ isDeleted: false, isActive: true }).limit(10);
+    if (!outlet || !operator || menus.length === 0) {
+        throw new Error('Butuh minimal satu outlet aktif, satu operator aktif dan satu menu aktif untuk benchmark.');
+    }
+
+    console.log(`Outlet: ${outlet.name}, operator: ${operator.name}, ${menus.length} menu, ${addons.length} addon, ${bundles.length} paket, ${RUNS} kali per ukuran, pembanding: ${BASELINE_REF}.`);
+    const rows = [];
+    for (const size of CART_SIZES) {
+        const cart = buildCart(outlet, { menus, addons, bundles }, size);
+        const baseline = await measurePipeline(baselineProcessNewSaleData, cart, operator);
+        const current = await measurePipeline(processNewSaleData, cart, operator);
+        rows.push({
+            'cart items': size,
+            'bundles': cart.itemBundle.length,
+            [`${BASELINE_REF} avg ms`]: baseline.avgMs,
+            [`${BASELINE_REF} p95 ms`]: baseline.p95Ms,
+            [`${BASELINE_REF} queries`]: baseline.queries,
+            'current avg ms': current.avgMs,
+            'current p95 ms': current.p95Ms,
+            'current queries': current.queries,
+        });
+    }
+    if (FORMAT === 'markdown') {
+        printMarkdown(rows);
+    } else {
+        console.table(rows);
+    }
+};
+
+main()
+    .catch(error => {
+        console.error('Benchmark gagal:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
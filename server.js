@@ -1,9 +1,11 @@
 import express, { json } from 'express';
 import logger from './middleware/logger.js';
+import requestContext from './middleware/requestContext.js';
 import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import connectDB from './config/db.js';
+import setupSocket from './socket/index.js';
 import path from 'path';
 
 // import custom modules
@@ -29,6 +31,14 @@ import userOutletRoutes from './routes/userOutletRoutes.js';
 import serviceRequestRoutes from './routes/serviceRequestRoutes.js';
 import adminNotificationRoutes from './routes/adminNotificationRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
+import shiftRoutes from './routes/shiftRoutes.js';
+import purchaseRoutes from './routes/purchaseRoutes.js';
+import stockOpnameRoutes from './routes/stockOpnameRoutes.js';
+import transferRoutes from './routes/transferRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import permissionRoutes from './routes/permissionRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
 
 const app = express();
 const server = http.createServer(app);
@@ -43,14 +53,15 @@ const io = new Server(server, {
 connectDB();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Retry-After'] })); // Paging and login backoff headers readable by browser clients
 app.use(express.json());
 app.use(express.urlencoded({extended: true }));
 app.use(logger);
+app.use(requestContext); // Lets the audit trail see the acting user and IP
 
 
 // Setup Socket.IO
-// setupSocket(io);
+setupSocket(io);
 
 // Serve static files from the 'uploads' directory
 app.use('/uploads/attendance/evidence', express.static(path.join('uploads', 'attendance', 'evidence'))); // Updated to specifically point to the correct sub-directory
@@ -60,6 +71,7 @@ app.use('/uploads/payment/evidence', express.static(path.join('uploads', 'paymen
 app.use('/uploads/inventory_evidence', express.static(path.join('uploads', 'inventory_evidence')));
 app.use('/uploads/user', express.static(path.join('uploads', 'user')));
 app.use('/uploads/menu', express.static(path.join('uploads', 'menu')));
+app.use('/uploads/purchase/receipt', express.static(path.join('uploads', 'purchase', 'receipt')));
 
 // Routes
 app.use('/api/v1/address', addressRoutes);
@@ -83,6 +95,14 @@ app.use('/api/v1/useroutlets', userOutletRoutes);
 app.use('/api/v1/servicerequests', serviceRequestRoutes);
 app.use('/api/v1/admin-notifications', adminNotificationRoutes);
 app.use('/api/v1/dashboard', dashboardRoutes);
+app.use('/api/v1/shifts', shiftRoutes);
+app.use('/api/v1/purchases', purchaseRoutes);
+app.use('/api/v1/stockopnames', stockOpnameRoutes);
+app.use('/api/v1/transfers', transferRoutes);
+app.use('/api/v1/devices', deviceRoutes);
+app.use('/api/v1/permissions', permissionRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/catalog', catalogRoutes);
 
 // Basic route for testing server status
 app.get('/api/v1', (req, res) => {
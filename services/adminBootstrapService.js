@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import User from '../models/User.js';
+import AdminRegistrationLog from '../models/AdminRegistrationLog.js';
+import { Roles } from '../constants/roles.js';
+
+// Hash of the one-time setup token, only set while the server has no admin
+let bootstrapTokenHash = null;
+
+// Where a generated setup token is written (readable by the server's OS user only), never to the log
+const BOOTSTRAP_TOKEN_FILE = process.env.ADMIN_BOOTSTRAP_TOKEN_FILE || 'admin-bootstrap-token';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest();
+
+/**
+ * Checks whether an active admin account exists.
+ * @returns {Promise<boolean>}
+ */
+export const hasActiveAdmin = async () => {
+    const admin = await User.exists({ roles: Roles.admin, isActive: true, isDeleted: false });
+    return !!admin;
+};
+
+/**
+ * Prepares the one-time setup token at startup when no admin exists yet.
+ * The token comes from ADMIN_BOOTSTRAP_TOKEN, or is generated and written to ADMIN_BOOTSTRAP_TOKEN_FILE
+ * with owner-only permissions. The file is removed once an admin exists.
+ */
+export const initializeAdminBootstrap = async () => {
+    try {
+        if (await hasActiveAdmin()) {
+            bootstrapTokenHash = null;
+            await fs.rm(BOOTSTRAP_TOKEN_FILE, { force: true });
+            return;
+        }
+
+        const configuredToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+        if (configuredToken) {
+            bootstrapTokenHash = hashToken(configuredToken);
+            console.log('Belum ada admin. Gunakan ADMIN_BOOTSTRAP_TOKEN untuk POST /api/v1/auth/register-admin.');
+            return;
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        await fs.writeFile(BOOTSTRAP_TOKEN_FILE, `${token}\n`, { mode: 0o600 });
+        // The mode above only applies when the file is created
+        await fs.chmod(BOOTSTRAP_TOKEN_FILE, 0o600);
+        bootstrapTokenHash = hashToken(token);
+        console.log(`Belum ada admin. Token setup sekali pakai untuk POST /api/v1/auth/register-admin ditulis ke ${BOOTSTRAP_TOKEN_FILE}.`);
+    } catch (error) {
+        console.error('Gagal menyiapkan token setup admin:', error.message);
+    }
+};
+
+/**
+ * Claims the setup token. It can be claimed only once; call `releaseBootstrapToken` if the
+ * admin could not be created so the setup can be retried.
+ * @param {string} token - Token presented by the client.
+ * @returns {boolean} True when the token matched and has now been consumed.
+ */
+export const consumeBootstrapToken = (token) => {
+    if (!bootstrapTokenHash || !token) return false;
+    const matches = crypto.timingSafeEqual(hashToken(token), bootstrapTokenHash);
+    if (!matches) return false;
+    bootstrapTokenHash = null;
+    return true;
+};
+
+/**
+ * Puts a consumed setup token back (the admin creation that claimed it failed).
+ * @param {string} token - The token that was consumed.
+ */
+export const releaseBootstrapToken = (token) => {
+    bootstrapTokenHash = hashToken(token);
+};
+
+/**
+ * Records an admin registration attempt. Never throws, logging must not break the request.
+ * @param {object} req - Express request (for IP, user agent and the acting user).
+ * @param {object} entry - { channel, outcome, reason, requestedUserId, createdUser }.
+ */
+export const logAdminRegistration = async (req, entry) => {
+    try {
+        await AdminRegistrationLog.create({
+            ...entry,
+            performedBy: req.user ? { userId: req.user._id, name: req.user.name } : undefined,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+        });
+    } catch (error) {
+        console.error('Gagal mencatat percobaan pendaftaran admin:', error.message);
+    }
+};
@@ -1,5 +1,9 @@
 import AdminNotification from '../models/AdminNotification.js';
 import mongoose from 'mongoose';
+import { emitToRoles } from '../socket/index.js';
+import { Roles } from '../constants/roles.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import * as listQueryService from './listQueryService.js';
 
 /**
  * Membuat Notifikasi Baru untuk Admin
@@ -45,6 +49,8 @@ export const createAdminNotification = async (data) => {
             isDeleted: false
         });
 
+        emitToRoles(Roles.admin, SocketEvents.ADMIN_NOTIFICATION_CREATED, newNotification.toJSON());
+
         return { success: true, data: newNotification };
 
     } catch (error) {
@@ -53,27 +59,39 @@ export const createAdminNotification = async (data) => {
     }
 };
 
+// Non-admin hanya melihat notifikasi milik outlet yang ditugaskan kepadanya (null = semua outlet)
+const scopeToOutlets = (query, accessibleOutletIds) => (
+    accessibleOutletIds ? { ...query, outlet: { $in: accessibleOutletIds } } : query
+);
+
 /**
  * Mengambil daftar notifikasi
+ * @param {object} filters - Query string (isOpened, limit, cursor, sort).
+ * @param {string[]|null} [accessibleOutletIds] - Outlet yang boleh dilihat pemanggil; null untuk admin.
  */
-export const getAdminNotifications = async (filters = {}) => {
+export const getAdminNotifications = async (filters = {}, accessibleOutletIds = null) => {
     try {
-        const query = { isDeleted: false };
+        const query = scopeToOutlets({ isDeleted: false }, accessibleOutletIds);
         
         if (filters.isOpened !== undefined) {
             query.isOpened = filters.isOpened === 'true';
         }
         
-        // Pagination: Ambil 50 terakhir
-        const notifications = await AdminNotification.find(query)
-            .populate('outlet', 'name code')
-            .sort({ createdAt: -1 }) // Terbaru di atas
-            .limit(50);
+        // Pagination: 50 terbaru per halaman, halaman berikutnya lewat `cursor`
+        const page = await listQueryService.findPage(AdminNotification, query, filters, {
+            sortFields: ['createdAt'],
+            defaultSort: '-createdAt', // Terbaru di atas
+            populate: [['outlet', 'name code']],
+        });
+        if (!page.success) {
+            return page;
+        }
+        const { items: notifications, totalCount, nextCursor } = page.data;
 
         // Hitung unread count
-        const unreadCount = await AdminNotification.countDocuments({ isDeleted: false, isOpened: false });
+        const unreadCount = await AdminNotification.countDocuments(scopeToOutlets({ isDeleted: false, isOpened: false }, accessibleOutletIds));
 
-        return { success: true, data: { notifications, unreadCount } };
+        return { success: true, data: { notifications, unreadCount, totalCount, nextCursor } };
     } catch (error) {
         return { success: false, message: error.message };
     }
@@ -82,10 +100,10 @@ export const getAdminNotifications = async (filters = {}) => {
 /**
  * Menandai notifikasi sudah dibaca (Opened)
  */
-export const openAdminNotification = async (id) => {
+export const openAdminNotification = async (id, accessibleOutletIds = null) => {
     try {
-        const notification = await AdminNotification.findByIdAndUpdate(
-            id,
+        const notification = await AdminNotification.findOneAndUpdate(
+            scopeToOutlets({ _id: id }, accessibleOutletIds),
             { isOpened: true },
             { new: true }
         );
@@ -101,10 +119,10 @@ export const openAdminNotification = async (id) => {
 /**
  * Menghapus notifikasi (Soft Delete)
  */
-export const deleteAdminNotification = async (id) => {
+export const deleteAdminNotification = async (id, accessibleOutletIds = null) => {
     try {
-        const notification = await AdminNotification.findByIdAndUpdate(
-            id,
+        const notification = await AdminNotification.findOneAndUpdate(
+            scopeToOutlets({ _id: id }, accessibleOutletIds),
             { isDeleted: true },
             { new: true }
         );
@@ -0,0 +1,160 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Menu from '../models/Menu.js';
+import MenuCategory from '../models/MenuCategory.js';
+import Addon from '../models/Addon.js';
+import Bundle from '../models/Bundle.js';
+import Ingredient from '../models/Ingredient.js';
+import PromoSetting from '../models/PromoSetting.js';
+import Outlet from '../models/Outlet.js';
+import { getAccessibleOutletIds } from './outletAccessService.js';
+
+const SYNC_TOKEN_PURPOSE = 'catalog-sync';
+
+// Returns the _id filter limiting an entity to what the user may see, or null when unrestricted
+const outletScope = async (user) => {
+    const accessibleOutletIds = await getAccessibleOutletIds(user);
+    return accessibleOutletIds === null ? null : { $in: accessibleOutletIds };
+};
+
+/**
+ * Entities a tablet keeps offline, keyed by their name in the combined catalog sync.
+ * `scope` restricts the documents to the requesting user (operators only get their own outlets).
+ */
+export const CatalogSyncEntities = Object.freeze({
+    menus: { model: Menu },
+    menuCategories: { model: MenuCategory },
+    addons: { model: Addon },
+    bundles: { model: Bundle },
+    ingredients: { model: Ingredient },
+    promoSettings: { model: PromoSetting },
+    outlets: { model: Outlet, scope: outletScope },
+});
+
+/**
+ * Computes what a client has to change in its local copy of an entity, with the same contract as
+ * POST /api/v1/users/sync: documents created, updated or soft-deleted after `latest`, split into
+ * toAdd (not on the client yet), toUpdate (in `idList`) and toDelete (soft-deleted). Documents the
+ * client holds but may no longer see (e.g. an outlet it was unassigned from) are also in toDelete, and
+ * visible documents missing from `idList` (e.g. an outlet newly assigned through a group) are in toAdd.
+ * @param {string} entity - Key of CatalogSyncEntities.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {object} params - { latest: Date|null, idList: string[] }. Without `latest` every live document is returned.
+ * @returns {Promise<{ toAdd: object[], toUpdate: object[], toDelete: object[] }>}
+ */
+export const getEntityDelta = async (entity, user, { latest, idList }) => {
+    const { model, scope } = CatalogSyncEntities[entity];
+    const clientIdSet = new Set(idList.map(id => id.toString()));
+
+    const filter = latest
+        ? { $or: [{ createdAt: { $gt: latest } }, { updatedAt: { $gt: latest } }, { deletedAt: { $gt: latest } }] }
+        : { isDeleted: { $ne: true } };
+    const scopeCondition = scope ? await scope(user) : null;
+    if (scopeCondition) filter._id = scopeCondition;
+
+    const documents = await model.find(filter);
+
+    const toAdd = [];
+    const toUpdate = [];
+    const toDelete = [];
+    documents.forEach(doc => {
+        if (doc.isDeleted) {
+            toDelete.push(doc.toObject());
+        } else if (clientIdSet.has(doc._id.toString())) {
+            toUpdate.push(doc.toObject());
+        } else {
+            toAdd.push(doc.toObject());
+        }
+    });
+
+    if (scopeCondition) {
+        const visibleIds = new Set(scopeCondition.$in.map(id => id.toString()));
+        const hiddenIds = [...clientIdSet].filter(id => !visibleIds.has(id) && mongoose.Types.ObjectId.isValid(id));
+        if (hiddenIds.length > 0) {
+            const hiddenDocuments = await model.find({ _id: { $in: hiddenIds }, isDeleted: { $ne: true } });
+            hiddenDocuments.forEach(doc => toDelete.push(doc.toObject()));
+        }
+
+        // Becoming visible (e.g. an OutletGroup assignment) does not touch the document's updatedAt, so documents
+        // the client lacks are compared by id rather than found by the time filter
+        const sentIds = new Set(documents.map(doc => doc._id.toString()));
+        const newlyVisibleIds = [...visibleIds].filter(id => !clientIdSet.has(id) && !sentIds.has(id));
+        if (latest && newlyVisibleIds.length > 0) {
+            const newlyVisibleDocuments = await model.find({ _id: { $in: newlyVisibleIds }, isDeleted: { $ne: true } });
+            newlyVisibleDocuments.forEach(doc => toAdd.push(doc.toObject()));
+        }
+    }
+
+    return { toAdd, toUpdate, toDelete };
+};
+
+/**
+ * Issues a sync token recording when a catalog sync was computed, for the next incremental sync.
+ * @param {object} user - The user the token is issued to.
+ * @param {Date} syncedAt - Server time taken before the sync queries ran.
+ * @returns {string} Signed token.
+ */
+export const createSyncToken = (user, syncedAt) => jwt.sign(
+    { purpose: SYNC_TOKEN_PURPOSE, sub: user._id.toString(), syncedAt: syncedAt.toISOString() },
+    process.env.JWT_SECRET
+);
+
+/**
+ * Reads the time out of a sync token issued to this user.
+ * @param {string} syncToken - Token from a previous catalog sync.
+ * @param {object} user - The authenticated user.
+ * @returns {Date|null} The sync time, or null when the token is invalid or belongs to someone else.
+ */
+export const parseSyncToken = (syncToken, user) => {
+    try {
+        const decoded = jwt.verify(syncToken, process.env.JWT_SECRET);
+        if (decoded.purpose !== SYNC_TOKEN_PURPOSE || decoded.sub !== user._id.toString()) return null;
+        const syncedAt = new Date(decoded.syncedAt);
+        return isNaN(syncedAt.getTime()) ? null : syncedAt;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Computes the delta of every catalog entity in one go. Without a sync token the whole catalog is
+ * returned (all in toAdd); with one, only what changed since that sync.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {object} params - { syncToken?, idLists?: { [entity]: string[] } }.
+ * @returns {Promise<object>} { success, message, errors?, data: { syncToken, syncedAt, fullSync, [entity]: { toAdd, toUpdate, toDelete } } }
+ */
+export const getCatalogDelta = async (user, { syncToken, idLists = {} }) => {
+    const errors = [];
+    let latest = null;
+    if (syncToken) {
+        latest = parseSyncToken(syncToken, user);
+        if (!latest) {
+            return { success: false, message: 'Sync token tidak valid. Lakukan sinkronisasi penuh tanpa syncToken.', invalidSyncToken: true };
+        }
+    }
+    if (idLists === null || typeof idLists !== 'object' || Array.isArray(idLists)) {
+        errors.push('"idLists" harus berupa objek { entitas: [id, ...] }.');
+    } else {
+        Object.entries(idLists).forEach(([entity, idList]) => {
+            if (!CatalogSyncEntities[entity]) {
+                errors.push(`Entitas '${entity}' tidak dikenal. Pilihan: ${Object.keys(CatalogSyncEntities).join(', ')}.`);
+            } else if (!Array.isArray(idList)) {
+                errors.push(`idLists.${entity} harus berupa array ID.`);
+            }
+        });
+    }
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+
+    // Taken before querying, so a change made while the sync runs is picked up again next time rather than lost
+    const syncedAt = new Date();
+    const entities = Object.keys(CatalogSyncEntities);
+    const deltas = await Promise.all(entities.map(entity => getEntityDelta(entity, user, { latest, idList: idLists[entity] || [] })));
+
+    const data = { syncToken: createSyncToken(user, syncedAt), syncedAt, fullSync: !latest };
+    entities.forEach((entity, index) => {
+        data[entity] = deltas[index];
+    });
+    return { success: true, message: 'Sinkronisasi katalog berhasil.', data };
+};
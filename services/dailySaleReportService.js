@@ -1,17 +1,109 @@
 import DailyOutletSaleReport from '../models/DailyOutletSaleReport.js';
 import Outlet from '../models/Outlet.js';
 import Sale from '../models/Sale.js'; // Diperlukan untuk fitur Regenerate
+import Purchase from '../models/Purchase.js';
+import { PurchaseStatuses } from '../constants/purchaseStatuses.js';
 import mongoose from 'mongoose';
+import { RefundStockActions } from '../constants/refundStockActions.js';
 
 // --- KONFIGURASI TIMEZONE ---
 // Ganti dengan 'Asia/Jakarta' (WIB), 'Asia/Makassar' (WITA), atau 'Asia/Jayapura' (WIT)
 // Sesuai dengan lokasi operasional outlet Anda.
 const TIMEZONE = 'Asia/Makassar'; 
 
+/**
+ * Tanggal bisnis (YYMMDD) dari sebuah waktu transaksi menurut TIMEZONE outlet.
+ * Dipakai juga untuk kode penjualan agar kode dan laporan harian selalu jatuh di hari yang sama.
+ */
+export const formatBusinessDate = (date) => {
+  const localDate = new Date(new Date(date).toLocaleString("en-US", { timeZone: TIMEZONE }));
+  return `${String(localDate.getFullYear()).slice(-2)}${String(localDate.getMonth() + 1).padStart(2, '0')}${String(localDate.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Menyusun ID laporan (OUTLETID_YYMMDD) dari outlet dan waktu transaksi, menggunakan TIMEZONE outlet.
+ */
+const buildReportId = (outletId, date) => {
+  return `${outletId.toString()}_${formatBusinessDate(date)}`;
+};
+
+/**
+ * Menambah/mengurangi satu baris itemSold di map agregasi. Nilai tidak pernah turun di bawah 0.
+ */
+const adjustAggregatedItem = (aggregatedItemsMap, { itemId, name, type }, qtyDelta, revenueDelta) => {
+  const key = `${itemId.toString()}_${type}`;
+  const current = aggregatedItemsMap.get(key) || { itemId, name, qtySold: 0, totalRevenue: 0, type };
+  current.qtySold = Math.max(0, current.qtySold + qtyDelta);
+  current.totalRevenue = Math.max(0, current.totalRevenue + revenueDelta);
+  aggregatedItemsMap.set(key, current);
+};
+
+/**
+ * Menerapkan baris refund ke map agregasi itemSold.
+ * sign = -1 mengurangi (refund baru), sign = 1 menambahkan kembali (dipakai saat revert sale yang pernah di-refund).
+ * Addon pada menu dihitung proporsional terhadap qty menu yang dikembalikan, sama seperti saat dicatat di laporan.
+ */
+const applyRefundToItemsMap = (aggregatedItemsMap, saleDocument, refund, sign) => {
+  (refund.itemSingle || []).forEach(line => {
+    const saleLine = saleDocument.itemSingle[line.index];
+    if (!saleLine) return;
+    const ratio = Number(line.qty) / Number(saleLine.qty);
+
+    adjustAggregatedItem(
+      aggregatedItemsMap,
+      { itemId: saleLine.menuId, name: saleLine.name, type: 'menu_single' },
+      sign * Number(line.qty),
+      sign * Number(line.qty) * Number(saleLine.price) * (1 - Number(saleLine.discount) / 100)
+    );
+
+    (saleLine.addons || []).forEach(addon => {
+      adjustAggregatedItem(
+        aggregatedItemsMap,
+        { itemId: addon.addonId, name: addon.name, type: 'addon' },
+        sign * Number(addon.qty) * ratio,
+        sign * Number(addon.qty) * Number(addon.price) * ratio
+      );
+    });
+  });
+
+  (refund.itemBundle || []).forEach(line => {
+    const saleLine = saleDocument.itemBundle[line.index];
+    if (!saleLine) return;
+    adjustAggregatedItem(
+      aggregatedItemsMap,
+      { itemId: saleLine.menuBundleId, name: saleLine.name, type: 'bundle' },
+      sign * Number(line.qty),
+      sign * Number(line.qty) * Number(saleLine.price)
+    );
+  });
+
+  (refund.itemAddon || []).forEach(line => {
+    const saleLine = saleDocument.itemAddon[line.index];
+    if (!saleLine) return;
+    adjustAggregatedItem(
+      aggregatedItemsMap,
+      { itemId: saleLine.addonId, name: saleLine.name, type: 'addon' },
+      sign * Number(line.qty),
+      sign * Number(line.qty) * Number(saleLine.price)
+    );
+  });
+};
+
+/**
+ * Expense (HPP) yang batal terjadi karena refund. Hanya refund dengan restock yang mengembalikan bahan ke stok;
+ * refund tanpa restock atau dengan spoilage tetap dihitung sebagai biaya.
+ */
+const getRefundExpenseReduction = (refund) => {
+  if (refund.stockAction !== RefundStockActions.RESTOCK) return 0;
+  return (refund.ingredientReturned || []).reduce((sum, ing) => sum + Number(ing.expense), 0);
+};
+
 /**
  * Updates or creates a DailyOutletSaleReport based on a new Sale document.
+ * With `options.session` the report is written in that transaction and errors are thrown so it aborts.
  */
-export const updateDailySaleReport = async (saleDocument) => {
+export const updateDailySaleReport = async (saleDocument, options = {}) => {
+  const session = options.session || null;
   // 1. CEK STATUS DELETE: Jika sale sudah dihapus, jangan lakukan update (penambahan).
   if (saleDocument.isDeleted) {
     console.log(`[SKIP UPDATE] Sale ${saleDocument.code} berstatus deleted. Skip penambahan laporan.`);
@@ -29,11 +121,14 @@ export const updateDailySaleReport = async (saleDocument) => {
     const formattedDate = `${String(localDate.getFullYear()).slice(-2)}${String(localDate.getMonth() + 1).padStart(2, '0')}${String(localDate.getDate()).padStart(2, '0')}`;
     const startOfDay = new Date(localDate.setHours(0, 0, 0, 0)); // Start of day lokal
 
-    const outlet = await Outlet.findById(outletId).select('code name');
-    if (!outlet || !outlet.code) return false;
+    const outlet = await Outlet.findById(outletId).select('code name').session(session);
+    if (!outlet || !outlet.code) {
+      if (session) throw new Error(`Outlet ${outletId} tidak ditemukan atau tidak memiliki kode untuk laporan harian.`);
+      return false;
+    }
 
     const reportId = `${outletId.toString()}_${formattedDate}`;
-    let dailyReport = await DailyOutletSaleReport.findById(reportId);
+    let dailyReport = await DailyOutletSaleReport.findById(reportId).session(session);
 
     const aggregatedItemsMap = new Map();
 
@@ -138,12 +233,13 @@ export const updateDailySaleReport = async (saleDocument) => {
     // WAJIB: Mark Modified agar Mongoose mendeteksi perubahan
     dailyReport.markModified('itemSold');
     
-    await dailyReport.save();
+    await dailyReport.save({ session });
     console.log(`[UPDATE REPORT] Sukses update ID: ${reportId}. Total Sale sekarang: ${dailyReport.totalSale}`);
     return true;
 
   } catch (error) {
     console.error(`Error updating DailyOutletSaleReport:`, error);
+    if (session) throw error;
     return false;
   }
 };
@@ -269,10 +365,16 @@ export const revertDailySaleReport = async (saleDocument) => {
         currentSaleExpense = saleDocument.ingredientUsed.reduce((sum, ing) => sum + Number(ing.expense), 0);
     }
 
+    // E. Refund yang sudah pernah dikurangi dari laporan ditambahkan kembali agar tidak terhitung dua kali
+    const refunds = saleDocument.refunds || [];
+    refunds.forEach(refund => applyRefundToItemsMap(aggregatedItemsMap, saleDocument, refund, 1));
+    const refundedAmount = refunds.reduce((sum, refund) => sum + Number(refund.amount), 0);
+    const refundedExpense = refunds.reduce((sum, refund) => sum + getRefundExpenseReduction(refund), 0);
+
     // Apply Changes ke Dokumen
     dailyReport.itemSold = Array.from(aggregatedItemsMap.values());
-    dailyReport.totalSale = Number(dailyReport.totalSale) - Number(saleDocument.totalPrice);
-    dailyReport.totalExpense = Number(dailyReport.totalExpense) - Number(currentSaleExpense);
+    dailyReport.totalSale = Number(dailyReport.totalSale) - (Number(saleDocument.totalPrice) - refundedAmount);
+    dailyReport.totalExpense = Number(dailyReport.totalExpense) - (Number(currentSaleExpense) - refundedExpense);
     dailyReport.saleComplete = Number(dailyReport.saleComplete) - 1;
 
     // Safety Checks Global
@@ -330,7 +432,18 @@ export const regenerateDailySaleReport = async (reportId) => {
       }
     });
 
-    if (!sales || sales.length === 0) {
+    // Pembelian lokal yang sudah diterima ikut disusun ulang (totalPurchase)
+    const purchases = await Purchase.find({
+      'outlet.outletId': outletId,
+      status: PurchaseStatuses.ACCEPTED,
+      isDeleted: false,
+      purchasedAt: {
+        $gte: searchStartDate,
+        $lte: searchEndDate
+      }
+    });
+
+    if ((!sales || sales.length === 0) && purchases.length === 0) {
       return { success: false, message: 'Tidak ditemukan data penjualan aktif untuk periode ini.' };
     }
 
@@ -350,6 +463,16 @@ export const regenerateDailySaleReport = async (reportId) => {
       // HANYA proses jika ID laporannya COCOK dengan yang sedang kita cari
       if (calculatedReportId === reportId) {
         await updateDailySaleReport(sale);
+        for (const refund of sale.refunds || []) {
+          await applyRefundToDailySaleReport(sale, refund);
+        }
+        processedCount++;
+      }
+    }
+
+    for (const purchase of purchases) {
+      if (buildReportId(purchase.outlet.outletId, purchase.purchasedAt) === reportId) {
+        await updateDailyPurchaseReport(purchase, 1);
         processedCount++;
       }
     }
@@ -371,4 +494,103 @@ export const regenerateDailySaleReport = async (reportId) => {
     console.error('[REGENERATE ERROR]', error);
     return { success: false, message: error.message };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Mengurangi laporan harian sebesar nilai refund saja (bukan seluruh penjualan).
+ * Laporan yang disesuaikan adalah laporan pada tanggal penjualan asli.
+ * @param {object} saleDocument - Sale yang di-refund.
+ * @param {object} refund - Entri refund (lihat Sale.refunds).
+ * @param {object} [options] - { session }: ditulis dalam transaksi tersebut, dan error dilempar agar transaksi batal.
+ * @returns {Promise<boolean>} true jika laporan berhasil diperbarui.
+ */
+export const applyRefundToDailySaleReport = async (saleDocument, refund, options = {}) => {
+  const session = options.session || null;
+  try {
+    const reportId = buildReportId(saleDocument.outlet.outletId, saleDocument.createdAt);
+    const dailyReport = await DailyOutletSaleReport.findById(reportId).session(session);
+
+    if (!dailyReport) {
+      console.warn(`[REFUND REPORT] Laporan dengan ID ${reportId} tidak ditemukan untuk refund ${refund.code}.`);
+      if (session) throw new Error(`Laporan harian ${reportId} tidak ditemukan. Regenerasi laporan tersebut lalu ulangi refund.`);
+      return false;
+    }
+
+    const aggregatedItemsMap = new Map();
+    dailyReport.itemSold.forEach(item => {
+      aggregatedItemsMap.set(`${item.itemId.toString()}_${item.type}`, {
+        itemId: item.itemId,
+        name: item.name,
+        qtySold: Number(item.qtySold),
+        totalRevenue: Number(item.totalRevenue),
+        type: item.type,
+      });
+    });
+
+    applyRefundToItemsMap(aggregatedItemsMap, saleDocument, refund, -1);
+
+    dailyReport.itemSold = Array.from(aggregatedItemsMap.values());
+    dailyReport.totalSale = Math.max(0, Number(dailyReport.totalSale) - Number(refund.amount));
+    dailyReport.totalExpense = Math.max(0, Number(dailyReport.totalExpense) - getRefundExpenseReduction(refund));
+
+    dailyReport.markModified('itemSold');
+
+    await dailyReport.save({ session });
+    console.log(`[REFUND REPORT] Sukses update ID: ${reportId}. Refund ${refund.code} (Rp ${refund.amount}).`);
+    return true;
+
+  } catch (error) {
+    console.error(`[REFUND REPORT ERROR] Refund ${refund.code}:`, error);
+    if (session) throw error;
+    return false;
+  }
+};
+
+/**
+ * Menambah (sign = 1) atau mengurangi (sign = -1) biaya pembelian lokal pada laporan harian
+ * di tanggal pembelian (purchasedAt). Laporan dibuat jika belum ada.
+ * @param {object} purchaseDocument - Purchase yang diterima / dihapus.
+ * @param {number} sign - 1 untuk menambah, -1 untuk membatalkan.
+ * @param {object} [options] - { session }: ditulis dalam transaksi tersebut, dan error dilempar agar transaksi batal.
+ * @returns {Promise<boolean>} true jika laporan berhasil diperbarui.
+ */
+export const updateDailyPurchaseReport = async (purchaseDocument, sign = 1, options = {}) => {
+  const session = options.session || null;
+  try {
+    const outletId = purchaseDocument.outlet.outletId;
+    const reportId = buildReportId(outletId, purchaseDocument.purchasedAt);
+    let dailyReport = await DailyOutletSaleReport.findById(reportId).session(session);
+
+    if (!dailyReport) {
+      if (sign < 0) {
+        console.warn(`[PURCHASE REPORT] Laporan ${reportId} tidak ditemukan untuk pembatalan ${purchaseDocument.code}.`);
+        return false;
+      }
+      const outlet = await Outlet.findById(outletId).select('code name').session(session);
+      if (!outlet || !outlet.code) return false;
+
+      const localDate = new Date(new Date(purchaseDocument.purchasedAt).toLocaleString("en-US", { timeZone: TIMEZONE }));
+      dailyReport = new DailyOutletSaleReport({
+        _id: reportId,
+        outlet: { outletId: outlet._id, name: outlet.name, code: outlet.code },
+        date: new Date(localDate.setHours(0, 0, 0, 0)),
+        itemSold: [],
+        totalSale: 0,
+        totalExpense: 0,
+        totalPurchase: 0,
+        saleComplete: 0,
+      });
+    }
+
+    dailyReport.totalPurchase = Math.max(0, Number(dailyReport.totalPurchase || 0) + sign * Number(purchaseDocument.totalPrice));
+
+    await dailyReport.save({ session });
+    console.log(`[PURCHASE REPORT] Sukses update ID: ${reportId}. Total Purchase sekarang: ${dailyReport.totalPurchase}`);
+    return true;
+
+  } catch (error) {
+    console.error(`[PURCHASE REPORT ERROR] Purchase ${purchaseDocument.code}:`, error);
+    if (session) throw error;
+    return false;
+  }
+};
@@ -10,8 +10,10 @@ import mongoose from 'mongoose';
 
 /**
  * UTAMA: Mengambil Data Dashboard (Dual View: Hari Ini & Bulan Ini)
+ * @param {string} [outletIdParam] - Outlet yang dipilih (opsional).
+ * @param {string[]|null} [accessibleOutletIds] - Outlet yang boleh dilihat pengguna (null = semua, untuk admin).
  */
-export const getDashboardStats = async (outletIdParam) => {
+export const getDashboardStats = async (outletIdParam, accessibleOutletIds = null) => {
     // 1. Validasi & Konversi Outlet ID
     let outletObjectId = null;
     if (outletIdParam) {
@@ -22,6 +24,12 @@ export const getDashboardStats = async (outletIdParam) => {
         }
     }
 
+    // Scope: satu outlet (ObjectId) atau, untuk non-admin tanpa filter, semua outlet miliknya ({ $in })
+    let outletScope = outletObjectId;
+    if (!outletScope && accessibleOutletIds) {
+        outletScope = { $in: accessibleOutletIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
     // 2. Tentukan Rentang Waktu
     const now = new Date();
     
@@ -39,9 +47,9 @@ export const getDashboardStats = async (outletIdParam) => {
         // 3. JALANKAN QUERY PARALEL (4 Thread Sekaligus)
         // Kita meminta DB mengerjakan data Hari Ini, Bulan Ini, dan Stok Alert bersamaan.
         const [todayStats, monthStats, inventoryAlerts] = await Promise.all([
-            getStatsForPeriod(startToday, endToday, outletObjectId),
-            getStatsForPeriod(startMonth, endMonth, outletObjectId),
-            getInventoryAlerts(outletObjectId) // Stok tidak butuh range waktu (Snapshot Realtime)
+            getStatsForPeriod(startToday, endToday, outletScope),
+            getStatsForPeriod(startMonth, endMonth, outletScope),
+            getInventoryAlerts(outletScope) // Stok tidak butuh range waktu (Snapshot Realtime)
         ]);
 
         return {
@@ -99,15 +107,19 @@ const getFinancialSummary = async (filter) => {
                 _id: null,
                 totalRevenue: { $sum: "$totalSale" },
                 totalExpense: { $sum: "$totalExpense" }, // HPP Otomatis
+                totalPurchase: { $sum: "$totalPurchase" }, // Pembelian lokal (Purchase)
                 totalTransactions: { $sum: "$saleComplete" }
             }
         }
     ]);
 
-    const data = result[0] || { totalRevenue: 0, totalExpense: 0, totalTransactions: 0 };
+    const data = result[0] || { totalRevenue: 0, totalExpense: 0, totalPurchase: 0, totalTransactions: 0 };
     return {
         revenue: data.totalRevenue,
         expense: data.totalExpense,
+        purchase: data.totalPurchase || 0, // Uang keluar untuk belanja bahan lokal
+        // Pembelian tidak dikurangkan: bahan yang dibeli masuk stok, dan biayanya sudah masuk expense (HPP)
+        // saat bahan itu terpakai di penjualan. Mengurangkannya lagi berarti menghitung biaya yang sama dua kali.
         netProfit: data.totalRevenue - data.totalExpense,
         transactions: data.totalTransactions,
         // Margin Laba Kotor (%)
@@ -136,10 +148,15 @@ const getOperationalSummary = async (commonFilter, attendanceFilter, outletObjec
     let totalOutlets = 0;
     let totalOperators = 0;
 
-    if (outletObjectId) {
+    if (outletObjectId instanceof mongoose.Types.ObjectId) {
         totalOutlets = 1;
         const outletDoc = await Outlet.findById(outletObjectId);
         totalOperators = outletDoc?.operators?.length || 0;
+    } else if (outletObjectId) {
+        // Daftar outlet milik pengguna non-admin
+        totalOutlets = await Outlet.countDocuments({ _id: outletObjectId, isDeleted: false, isActive: true });
+        const operatorIds = await Outlet.distinct('operators', { _id: outletObjectId, isDeleted: false, isActive: true });
+        totalOperators = operatorIds.length;
     } else {
         totalOutlets = await Outlet.countDocuments({ isDeleted: false, isActive: true });
         totalOperators = await User.countDocuments({ roles: Roles.operator, isDeleted: false, isActive: true });
@@ -154,24 +171,63 @@ const getOperationalSummary = async (commonFilter, attendanceFilter, outletObjec
     };
 };
 
+const INVENTORY_ALERT_LIMIT = 10;
+
+// Stok habis (<= 0) dan stok menipis (di bawah batas minimum per outlet) dipisah
 const getInventoryAlerts = async (outletObjectId) => {
-    const matchStage = { 'ingredients.currentQty': { $lte: 0 } };
-    if (outletObjectId) matchStage._id = outletObjectId; 
+    const matchStage = {};
+    if (outletObjectId) matchStage._id = outletObjectId;
 
-    const alerts = await OutletInventory.aggregate([
+    const [result] = await OutletInventory.aggregate([
         { $match: matchStage },
         { $unwind: "$ingredients" },
-        { $match: { "ingredients.currentQty": { $lte: 0 } } }, 
+        { $addFields: {
+            minQty: {
+                $ifNull: [
+                    { $arrayElemAt: [
+                        { $map: {
+                            input: { $filter: {
+                                input: { $ifNull: ["$reorderLevels", []] },
+                                as: "level",
+                                cond: { $eq: ["$$level.ingredientId", "$ingredients.ingredientId"] }
+                            }},
+                            as: "level",
+                            in: "$$level.minQty"
+                        }},
+                        0
+                    ]},
+                    0
+                ]
+            }
+        }},
+        { $match: { $expr: { $lte: ["$ingredients.currentQty", "$minQty"] } } },
         { $project: {
             _id: 0,
             outletId: "$_id",
+            ingredientId: "$ingredients.ingredientId",
             ingredientName: "$ingredients.name",
             currentQty: "$ingredients.currentQty",
+            minQty: 1,
             unit: "$ingredients.unit"
         }},
-        { $limit: 10 }
+        { $facet: {
+            outOfStock: [
+                { $match: { currentQty: { $lte: 0 } } },
+                { $sort: { currentQty: 1 } },
+                { $limit: INVENTORY_ALERT_LIMIT }
+            ],
+            lowStock: [
+                { $match: { currentQty: { $gt: 0 } } },
+                { $sort: { currentQty: 1 } },
+                { $limit: INVENTORY_ALERT_LIMIT }
+            ]
+        }}
     ]);
-    return alerts;
+
+    return {
+        outOfStock: result ? result.outOfStock : [],
+        lowStock: result ? result.lowStock : []
+    };
 };
 
 const getTopProducts = async (filter) => {
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Outlet from '../models/Outlet.js';
+import User from '../models/User.js';
+import { Roles } from '../constants/roles.js';
+import { LoginFailureReasons, LoginMethods } from '../constants/loginAttempts.js';
+import * as sessionService from './sessionService.js';
+import * as loginThrottleService from './loginThrottleService.js';
+import { hasOutletRole } from './outletAccessService.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Device tokens are `<deviceId>.<random>` so the device can be found without scanning hashes
+const generateDeviceToken = (deviceId) => `${deviceId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const notFoundResult = () => ({ success: false, message: 'Perangkat tidak ditemukan atau sudah dihapus.', notFound: true });
+
+/**
+ * Registers a shared tablet for an outlet. The device token is returned only here; the tablet
+ * stores it and sends it as `X-Device-Token` when switching operators.
+ * @param {object} data - { outletId, name }.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<object>} { success, message, errors?, data: { device, deviceToken } }
+ */
+export const registerDevice = async (data, userContext) => {
+    const { outletId, name } = data;
+    const errors = [];
+
+    if (!name || String(name).trim() === '') {
+        errors.push('Nama perangkat diperlukan.');
+    }
+    let outlet = null;
+    if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+        errors.push('ID Outlet tidak valid.');
+    } else {
+        outlet = await Outlet.findOne({ _id: outletId, isDeleted: false });
+        if (!outlet) {
+            errors.push('Outlet tidak ditemukan atau sudah dihapus.');
+        }
+    }
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+
+    const deviceId = new mongoose.Types.ObjectId();
+    const deviceToken = generateDeviceToken(deviceId);
+    const device = await Device.create({
+        _id: deviceId,
+        name: String(name).trim(),
+        outlet: { outletId: outlet._id, name: outlet.name },
+        tokenHash: hashToken(deviceToken),
+        registeredBy: { userId: userContext.userId, name: userContext.userName },
+    });
+
+    return { success: true, message: 'Perangkat berhasil didaftarkan.', data: { device, deviceToken } };
+};
+
+/**
+ * Resolves the active device a device token belongs to.
+ * @param {string} deviceToken - Token from the `X-Device-Token` header.
+ * @returns {Promise<object|null>} The Device document, or null when the token is unknown or the device is inactive.
+ */
+export const authenticateDevice = async (deviceToken) => {
+    if (typeof deviceToken !== 'string') return null;
+    const [deviceId, secret] = deviceToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(deviceId)) return null;
+
+    return await Device.findOneAndUpdate(
+        { _id: deviceId, tokenHash: hashToken(deviceToken), isActive: true, isDeleted: false },
+        { lastSeenAt: new Date() },
+        { new: true }
+    );
+};
+
+/**
+ * Switches the operator acting on a shared tablet. Checks the PIN (throttled like /auth/login),
+ * opens a device-bound session for the new operator, revokes the previous operator's session on
+ * that tablet and records the switch in LoginHistory.
+ * @param {string} deviceToken - Token from the `X-Device-Token` header.
+ * @param {object} credentials - { userId, pin } of the operator taking over.
+ * @param {object} clientInfo - { ipAddress, userAgent } of the request.
+ * @returns {Promise<object>} { success, message, data: { accessToken, refreshToken, session, user, device }, unauthorized?, forbidden?, locked?, retryAfterSeconds? }
+ */
+export const switchOperator = async (deviceToken, credentials, clientInfo) => {
+    const { userId, pin } = credentials;
+
+    const device = await authenticateDevice(deviceToken);
+    if (!device) {
+        await loginThrottleService.registerLoginFailure(null, clientInfo.ipAddress);
+        await loginThrottleService.recordLoginAttempt(clientInfo, {
+            userId, method: LoginMethods.PIN, success: false, failureReason: LoginFailureReasons.INVALID_DEVICE,
+        });
+        return { success: false, message: 'Perangkat tidak dikenal atau sudah dinonaktifkan.', unauthorized: true };
+    }
+
+    const historyEntry = { userId, method: LoginMethods.PIN, device: device._id, previousUser: device.currentOperator?.userId || null };
+
+    const throttle = await loginThrottleService.checkLoginAllowed(userId, clientInfo.ipAddress);
+    if (!throttle.allowed) {
+        await loginThrottleService.recordLoginAttempt(clientInfo, { ...historyEntry, success: false, failureReason: LoginFailureReasons.LOCKED_OUT });
+        return {
+            success: false,
+            message: `Terlalu banyak percobaan PIN gagal. Coba lagi dalam ${throttle.retryAfterSeconds} detik.`,
+            locked: true,
+            retryAfterSeconds: throttle.retryAfterSeconds,
+        };
+    }
+
+    const rejectSwitch = async (user, failureReason, message, flags) => {
+        await loginThrottleService.registerLoginFailure(userId, clientInfo.ipAddress);
+        await loginThrottleService.recordLoginAttempt(clientInfo, { ...historyEntry, user: user ? user._id : null, success: false, failureReason });
+        return { success: false, message, ...flags };
+    };
+
+    const user = userId ? await User.findOne({ userId }).select('+pin') : null;
+    if (!user || user.isDeleted || !user.isActive || !(await user.matchPin(pin))) {
+        const failureReason = !user ? LoginFailureReasons.INVALID_CREDENTIALS
+            : user.isDeleted ? LoginFailureReasons.USER_DELETED
+                : !user.isActive ? LoginFailureReasons.USER_INACTIVE
+                    : LoginFailureReasons.INVALID_CREDENTIALS;
+        return await rejectSwitch(user, failureReason, 'ID Pengguna atau PIN salah.', { unauthorized: true });
+    }
+
+    if (!(await hasOutletRole(user, device.outlet.outletId, Roles.operator))) {
+        return await rejectSwitch(user, LoginFailureReasons.NOT_OUTLET_OPERATOR, 'Pengguna bukan operator di outlet perangkat ini.', { forbidden: true });
+    }
+
+    const { session, accessToken, refreshToken } = await sessionService.createSession(user, {
+        userAgent: clientInfo.userAgent,
+        ipAddress: clientInfo.ipAddress,
+        deviceId: device._id,
+    });
+
+    // Only one operator acts on a tablet at a time
+    const previousSessionId = device.currentOperator?.sessionId;
+    if (previousSessionId) {
+        await sessionService.revokeSession(previousSessionId, {
+            revokedBy: user._id,
+            reason: sessionService.SessionRevokeReasons.OPERATOR_SWITCHED,
+        });
+    }
+
+    const updatedDevice = await Device.findByIdAndUpdate(
+        device._id,
+        { currentOperator: { userId: user._id, name: user.name, sessionId: session._id, switchedAt: new Date() } },
+        { new: true }
+    );
+
+    await loginThrottleService.registerLoginSuccess(userId);
+    await loginThrottleService.recordLoginAttempt(clientInfo, { ...historyEntry, user: user._id, success: true, session: session._id });
+
+    const userObject = user.toObject();
+    delete userObject.password;
+    delete userObject.pin;
+
+    return {
+        success: true,
+        message: `Operator berganti ke ${user.name}.`,
+        data: { accessToken, refreshToken, session, user: userObject, device: updatedDevice },
+    };
+};
+
+/**
+ * Deactivates a tablet and revokes every session opened on it.
+ * @param {string} deviceId - The device's _id.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<object>} { success, message, data, notFound?, conflict? }
+ */
+export const deactivateDevice = async (deviceId, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+        return { success: false, message: 'Format ID Perangkat tidak valid.' };
+    }
+
+    const device = await Device.findOneAndUpdate(
+        { _id: deviceId, isActive: true, isDeleted: false },
+        {
+            isActive: false,
+            deactivatedAt: new Date(),
+            deactivatedBy: { userId: userContext.userId, name: userContext.userName },
+            currentOperator: { userId: null, name: null, sessionId: null, switchedAt: null },
+        },
+        { new: true }
+    );
+    if (!device) {
+        const existing = await Device.findById(deviceId);
+        if (!existing || existing.isDeleted) {
+            return notFoundResult();
+        }
+        return { success: false, message: 'Perangkat sudah dinonaktifkan.', conflict: true };
+    }
+
+    await sessionService.revokeDeviceSessions(device._id, { revokedBy: userContext.userId });
+    return { success: true, message: 'Perangkat berhasil dinonaktifkan.', data: device };
+};
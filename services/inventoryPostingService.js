@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import Ingredient from '../models/Ingredient.js';
+import Outlet from '../models/Outlet.js';
+import OutletInventoryTransaction from '../models/OutletInventoryTransaction.js';
+import { checkStockThreshold, getReorderLevel } from './stockAlertService.js';
+import { applyIngredientQuantityChange } from './outletInventoryService.js';
+
+/**
+ * Runs `work(session)` in a MongoDB transaction and returns its result. Everything written with the
+ * session is committed together or not at all; transient errors (e.g. a write conflict with a concurrent
+ * posting on the same OutletInventory) make the driver run `work` again, so it must not have side effects
+ * outside the database. Requires MongoDB running as a replica set.
+ * @param {(session: import('mongoose').ClientSession) => Promise<any>} work
+ * @returns {Promise<any>} What `work` returned on the committed attempt.
+ */
+export const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Records stock movements of one outlet as OutletInventoryTransactions and applies them to its
+ * OutletInventory with atomic increments, within the caller's transaction. The transactions are created
+ * valid and already calculated. Throws when an ingredient or the outlet does not exist, which aborts the
+ * transaction. Low-stock alerts are not sent here: pass the returned stockChanges to notifyStockChanges
+ * after commit.
+ * @param {object} posting - { outletId, transactionType, sourceType, ref, notes, evidenceUrl?, user: { _id, name },
+ *   movements: [{ ingredientId, qty, price?, notes? }] }. Quantities are signed by the OutletInventoryTransaction
+ *   model (OUT and SPOILAGE become negative); price defaults to the ingredient's current price and a
+ *   movement's notes to the posting's.
+ * @param {import('mongoose').ClientSession} session - Session of the running transaction.
+ * @returns {Promise<{ transactions: object[], stockChanges: object[] }>} The created transaction documents
+ *   and, per ingredient, { outletId, ingredientId, ingredientName, unit, previousQty, newQty, minQty }.
+ */
+export const postInventoryMovements = async (posting, session) => {
+    const { outletId, transactionType, sourceType, ref, notes, evidenceUrl = null, user, movements } = posting;
+    if (movements.length === 0) {
+        return { transactions: [], stockChanges: [] };
+    }
+
+    const outlet = await Outlet.findById(outletId).session(session);
+    if (!outlet) {
+        throw new Error(`Outlet ${outletId} tidak ditemukan untuk mencatat transaksi inventori.`);
+    }
+
+    const ingredientIds = movements.map(movement => movement.ingredientId);
+    const ingredients = await Ingredient.find({ _id: { $in: ingredientIds }, isDeleted: false }).session(session);
+    const ingredientMap = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient]));
+    const missing = ingredientIds.filter(id => !ingredientMap.has(id.toString()));
+    if (missing.length > 0) {
+        throw new Error(`Bahan tidak ditemukan atau sudah dihapus: ${missing.join(', ')}.`);
+    }
+
+    const now = new Date();
+    // One by one rather than in a single create([...]) call: each pre-save hook takes the next code from the counter
+    const transactions = [];
+    for (const movement of movements) {
+        const ingredient = ingredientMap.get(movement.ingredientId.toString());
+        const [transaction] = await OutletInventoryTransaction.create([{
+            ingredient: { ingredientId: ingredient._id, name: ingredient.name, unit: ingredient.unit },
+            price: movement.price ?? ingredient.price,
+            outlet: { outletId: outlet._id, name: outlet.name, address: outlet.address },
+            source: { sourceType, ref },
+            transactionType,
+            qty: movement.qty,
+            notes: movement.notes ?? notes,
+            createdBy: { userId: user._id, name: user.name },
+            evidenceUrl,
+            isValid: true,
+            validatedAt: now,
+            isCalculated: true,
+            calculatedAt: now,
+        }], { session });
+        transactions.push(transaction);
+    }
+
+    const userContext = { userId: user._id || null, userName: user.name || 'System' };
+    const stockChanges = [];
+    for (const transaction of transactions) {
+        const ingredient = ingredientMap.get(transaction.ingredient.ingredientId.toString());
+        const { previousQty, newQty, outletInventory } = await applyIngredientQuantityChange(
+            outlet._id,
+            { ingredientId: ingredient._id, name: ingredient.name, unit: ingredient.unit, price: ingredient.price },
+            transaction.qty,
+            userContext,
+            { session }
+        );
+        stockChanges.push({
+            outletId: outlet._id,
+            ingredientId: ingredient._id,
+            ingredientName: ingredient.name,
+            unit: ingredient.unit,
+            previousQty,
+            newQty,
+            minQty: getReorderLevel(outletInventory, ingredient._id),
+        });
+    }
+
+    return { transactions, stockChanges };
+};
+
+/**
+ * Sends the low-stock / out-of-stock alerts of committed postings.
+ * @param {object[]} stockChanges - `stockChanges` returned by postInventoryMovements.
+ * @returns {Promise<void>}
+ */
+export const notifyStockChanges = async (stockChanges) => {
+    for (const change of stockChanges) {
+        await checkStockThreshold(change);
+    }
+};
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+// Response headers carrying the paging metadata, so list bodies stay plain arrays
+export const TOTAL_COUNT_HEADER = 'X-Total-Count';
+export const NEXT_CURSOR_HEADER = 'X-Next-Cursor';
+
+const invalidParams = (errors) => ({ success: false, message: 'Parameter daftar tidak valid.', errors });
+
+// "-createdAt" -> { field: 'createdAt', direction: -1 }
+const parseSort = (sortParam, sortFields, defaultSort) => {
+    const raw = String(sortParam || defaultSort).trim();
+    const direction = raw.startsWith('-') ? -1 : 1;
+    const field = raw.replace(/^[-+]/, '');
+    if (!sortFields.includes(field)) return null;
+    return { field, direction };
+};
+
+// "code,totalPrice" -> ['code', 'totalPrice'], limited to top-level schema fields that are not hidden
+const parseFields = (fieldsParam, model, hiddenFields, errors) => {
+    if (!fieldsParam) return null;
+    const fields = String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean);
+    fields.forEach(field => {
+        const known = field !== '__v' && !field.includes('.') && (model.schema.path(field) || model.schema.pathType(field) === 'nested');
+        if (!known || hiddenFields.includes(field)) {
+            errors.push(`Field '${field}' tidak dapat dipilih.`);
+        }
+    });
+    return fields;
+};
+
+const encodeCursorValue = (value) => {
+    if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { t: 'oid', v: value.toString() };
+    return { t: 'raw', v: value === undefined ? null : value };
+};
+
+const decodeCursorValue = ({ t, v }) => {
+    if (v === null) return null;
+    if (t === 'date') return new Date(v);
+    if (t === 'oid') return new mongoose.Types.ObjectId(v);
+    return v;
+};
+
+const encodeCursor = (doc, sort) => Buffer.from(JSON.stringify({
+    f: sort.field,
+    d: sort.direction,
+    id: doc._id.toString(),
+    ...encodeCursorValue(doc.get(sort.field)),
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (decoded.f !== sort.field || decoded.d !== sort.direction || !mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+        return { id: new mongoose.Types.ObjectId(decoded.id), value: decodeCursorValue(decoded) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Condition selecting the documents after the cursor in (sort field, _id) order. MongoDB sorts null
+// and missing values lowest, so they come last in a descending list and first in an ascending one.
+const cursorCondition = (sort, { id, value }) => {
+    const { field, direction } = sort;
+    const after = direction === -1 ? '$lt' : '$gt';
+    if (field === '_id') return { _id: { [after]: id } };
+
+    if (value === null) {
+        return direction === -1
+            ? { [field]: null, _id: { [after]: id } }
+            : { $or: [{ [field]: null, _id: { [after]: id } }, { [field]: { $ne: null } }] };
+    }
+    const conditions = [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }];
+    if (direction === -1) conditions.push({ [field]: null });
+    return { $or: conditions };
+};
+
+/**
+ * Runs a list query with cursor pagination, a whitelisted sort and optional field selection.
+ * Query parameters read from `params` (usually `req.query`):
+ *   limit  - page size, DEFAULT_LIMIT (or options.defaultLimit) up to MAX_LIMIT
+ *   sort   - one of options.sortFields, prefixed with '-' for descending (e.g. "-createdAt")
+ *   fields - comma separated top-level fields to return (id is always included)
+ *   cursor - X-Next-Cursor of the previous page
+ * @param {import('mongoose').Model} model - Model to query.
+ * @param {object} filter - Conditions built by the controller (outlet scope, filters...).
+ * @param {object} params - Request query parameters.
+ * @param {object} options - { sortFields: string[], defaultSort: string, defaultLimit?: number,
+ *   hiddenFields?: string[] (never selectable nor returned), populate?: Array (arguments of Query#populate) }
+ * @returns {Promise<object>} { success, message?, errors?, data: { items, totalCount, nextCursor, limit } }
+ */
+export const findPage = async (model, filter, params, options) => {
+    const { sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT, hiddenFields = [], populate = [] } = options;
+    const errors = [];
+
+    let limit = defaultLimit;
+    if (params.limit !== undefined) {
+        limit = parseInt(params.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            errors.push('"limit" harus berupa angka positif.');
+        }
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+
+    const sort = parseSort(params.sort, sortFields, defaultSort);
+    if (!sort) {
+        errors.push(`Urutan tidak valid. Pilihan: ${sortFields.join(', ')} (awali dengan '-' untuk menurun).`);
+    }
+    const fields = parseFields(params.fields, model, hiddenFields, errors);
+
+    let cursor = null;
+    if (params.cursor && sort) {
+        cursor = decodeCursor(params.cursor, sort);
+        if (!cursor) {
+            errors.push('Cursor tidak valid atau tidak cocok dengan urutan yang diminta.');
+        }
+    }
+    if (errors.length > 0) {
+        return invalidParams(errors);
+    }
+
+    const pageFilter = cursor ? { $and: [filter, cursorCondition(sort, cursor)] } : filter;
+    const query = model.find(pageFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1); // One extra tells whether there is a next page
+
+    if (fields) {
+        // The sort field is needed to build the next cursor
+        query.select([...new Set([...fields, sort.field.split('.')[0]])].join(' '));
+    } else if (hiddenFields.length > 0) {
+        query.select(hiddenFields.map(field => `-${field}`).join(' '));
+    }
+    populate.forEach(args => query.populate(...[].concat(args)));
+
+    const [documents, totalCount] = await Promise.all([query, model.countDocuments(filter)]);
+
+    const hasMore = documents.length > limit;
+    const items = hasMore ? documents.slice(0, limit) : documents;
+    const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sort) : null;
+
+    return { success: true, data: { items, totalCount, nextCursor, limit } };
+};
+
+/**
+ * Sets X-Total-Count and, when there are more pages, X-Next-Cursor.
+ * @param {object} res - Express response.
+ * @param {object} page - `data` of findPage.
+ */
+export const setPageHeaders = (res, page) => {
+    res.set(TOTAL_COUNT_HEADER, String(page.totalCount));
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+};
+
+/**
+ * Parses the `dateFrom` / `dateTo` query parameters (YYYY-MM-DD) into a date condition. `dateTo` is
+ * inclusive: it covers the whole day.
+ * @param {object} query - `req.query`.
+ * @returns {{ success: boolean, message?: string, data?: object|null }} `data` is a { $gte, $lte } condition,
+ *   or null when neither parameter is given.
+ */
+export const parseDateRange = (query) => {
+    const { dateFrom, dateTo } = query;
+    if (!dateFrom && !dateTo) {
+        return { success: true, data: null };
+    }
+    const condition = {};
+    if (dateFrom) {
+        const d = new Date(dateFrom);
+        if (isNaN(d.getTime())) return { success: false, message: 'Format tanggal "dateFrom" tidak valid.' };
+        condition.$gte = d;
+    }
+    if (dateTo) {
+        const d = new Date(dateTo);
+        if (isNaN(d.getTime())) return { success: false, message: 'Format tanggal "dateTo" tidak valid.' };
+        condition.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+    return { success: true, data: condition };
+};
@@ -0,0 +1,120 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+import LoginHistory from '../models/LoginHistory.js';
+import { LoginThrottleScopes } from '../constants/loginAttempts.js';
+
+// Failures allowed before a lockout. An IP gets more room since several operators may share one outlet network.
+const MAX_FAILED_ATTEMPTS = {
+    [LoginThrottleScopes.USER]: Number(process.env.LOGIN_MAX_FAILED_PER_USER) || 5,
+    [LoginThrottleScopes.IP]: Number(process.env.LOGIN_MAX_FAILED_PER_IP) || 20,
+};
+// The first lockout lasts BASE_LOCKOUT_SECONDS and doubles on each following one, up to MAX_LOCKOUT_SECONDS
+const BASE_LOCKOUT_SECONDS = Number(process.env.LOGIN_BASE_LOCKOUT_SECONDS) || 60;
+const MAX_LOCKOUT_SECONDS = Number(process.env.LOGIN_MAX_LOCKOUT_SECONDS) || 60 * 60;
+
+const normalizeUserId = (userId) => String(userId || '').trim().toLowerCase();
+
+const throttleKeys = (userId, ipAddress) => {
+    const keys = [];
+    const normalizedUserId = normalizeUserId(userId);
+    if (normalizedUserId) keys.push({ scope: LoginThrottleScopes.USER, key: normalizedUserId });
+    if (ipAddress) keys.push({ scope: LoginThrottleScopes.IP, key: ipAddress });
+    return keys;
+};
+
+/**
+ * Checks whether a login attempt may proceed for this login id and IP address.
+ * @param {string} userId - Login id sent by the client.
+ * @param {string} ipAddress - Client IP.
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number }>}
+ */
+export const checkLoginAllowed = async (userId, ipAddress) => {
+    const keys = throttleKeys(userId, ipAddress);
+    if (keys.length === 0) return { allowed: true, retryAfterSeconds: 0 };
+
+    const now = new Date();
+    const lockedThrottles = await LoginThrottle.find({ $or: keys, lockedUntil: { $gt: now } });
+    if (lockedThrottles.length === 0) return { allowed: true, retryAfterSeconds: 0 };
+
+    const lockedUntil = Math.max(...lockedThrottles.map(throttle => throttle.lockedUntil.getTime()));
+    return { allowed: false, retryAfterSeconds: Math.ceil((lockedUntil - now.getTime()) / 1000) };
+};
+
+// Counts one failure for a key and locks it once the limit is reached
+const incrementFailure = async ({ scope, key }, now) => {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { scope, key },
+        { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (throttle.failedCount < MAX_FAILED_ATTEMPTS[scope]) return;
+
+    const lockSeconds = Math.min(BASE_LOCKOUT_SECONDS * 2 ** throttle.lockoutCount, MAX_LOCKOUT_SECONDS);
+    // Matching on failedCount makes sure concurrent failures lock only once
+    await LoginThrottle.updateOne(
+        { _id: throttle._id, failedCount: throttle.failedCount },
+        {
+            $set: { failedCount: 0, lockedUntil: new Date(now.getTime() + lockSeconds * 1000) },
+            $inc: { lockoutCount: 1 },
+        }
+    );
+};
+
+/**
+ * Records a failed login for the login id and the IP address.
+ * @param {string} userId - Login id sent by the client.
+ * @param {string} ipAddress - Client IP.
+ */
+export const registerLoginFailure = async (userId, ipAddress) => {
+    const now = new Date();
+    await Promise.all(throttleKeys(userId, ipAddress).map(key => incrementFailure(key, now)));
+};
+
+/**
+ * Clears the counter of a login id after a successful login. The IP counter is left alone so that
+ * one valid account cannot be used to reset guessing from the same address.
+ * @param {string} userId - Login id.
+ */
+export const registerLoginSuccess = async (userId) => {
+    await LoginThrottle.deleteOne({ scope: LoginThrottleScopes.USER, key: normalizeUserId(userId) });
+};
+
+/**
+ * Lifts the lockout (and backoff history) of a login id and/or an IP address.
+ * @param {object} target - { userId, ipAddress }.
+ * @returns {Promise<number>} Number of counters removed.
+ */
+export const unlockLogin = async ({ userId, ipAddress }) => {
+    const keys = throttleKeys(userId, ipAddress);
+    if (keys.length === 0) return 0;
+    const result = await LoginThrottle.deleteMany({ $or: keys });
+    return result.deletedCount;
+};
+
+/**
+ * Lists counters, by default only those currently locked.
+ * @param {object} [options] - { includeUnlocked }.
+ * @returns {Promise<object[]>} LoginThrottle documents, latest failure first.
+ */
+export const getLoginThrottles = async ({ includeUnlocked = false } = {}) => {
+    const filter = includeUnlocked ? {} : { lockedUntil: { $gt: new Date() } };
+    return await LoginThrottle.find(filter).sort({ lastFailedAt: -1 });
+};
+
+/**
+ * Writes a LoginHistory record. Never throws, a logging failure must not block the login.
+ * @param {object} clientInfo - { ipAddress, userAgent } of the request.
+ * @param {object} entry - { userId, user, success, failureReason, session, method, device, previousUser }.
+ */
+export const recordLoginAttempt = async (clientInfo, entry) => {
+    try {
+        await LoginHistory.create({
+            ...entry,
+            userId: normalizeUserId(entry.userId),
+            ipAddress: clientInfo.ipAddress,
+            userAgent: clientInfo.userAgent,
+        });
+    } catch (error) {
+        console.error('Gagal mencatat riwayat login:', error.message);
+    }
+};
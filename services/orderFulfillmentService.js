@@ -6,6 +6,8 @@ import { TransactionTypes } from '../constants/transactionTypes.js';
 import { SourceTypes } from '../constants/sourceTypes.js';
 import { OrderStatuses } from '../constants/orderStatuses.js';
 import * as outletInventoryService from './outletInventoryService.js'; // Import the OIT service
+import { emitToOutlet } from '../socket/index.js';
+import { SocketEvents } from '../constants/socketEvents.js';
 
 /**
  * Accepts a specific item within an Order, creates an OutletInventoryTransaction (IN type),
@@ -169,10 +171,21 @@ export const updateOrderStatus = async (orderId, newStatus, userContext) => {
             return { success: false, message: 'Pesanan tidak ditemukan atau sudah dihapus.' };
         }
 
+        const previousStatus = order.status;
         order.status = newStatus;
         // Optionally, add a history log for status changes if needed, similar to Ingredient history
         await order.save();
 
+        if (previousStatus !== newStatus) {
+            emitToOutlet(order.outlet.outletId, SocketEvents.ORDER_STATUS_CHANGED, {
+                orderId: order._id,
+                code: order.code,
+                previousStatus,
+                status: newStatus,
+                changedBy: userContext ? { userId: userContext.userId, name: userContext.userName } : null,
+            });
+        }
+
         return { success: true, message: `Status pesanan berhasil diperbarui menjadi '${newStatus}'.`, order: order.toJSON() };
 
     } catch (error) {
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+import Outlet from '../models/Outlet.js';
+import OutletGroup from '../models/OutletGroup.js';
+import { Roles } from '../constants/roles.js';
+
+export const OUTLET_ACCESS_DENIED_MESSAGE = 'Anda tidak diizinkan untuk mengakses data outlet ini.';
+
+// Assignment list on Outlet / OutletGroup that gives a user each outlet-scoped role
+export const OutletRoleFields = {
+    [Roles.franchisee]: 'franchisees',
+    [Roles.operator]: 'operators',
+    [Roles.spvarea]: 'spvAreas',
+};
+
+/**
+ * Returns the outlets a user is assigned to through the franchisees / operators / spvAreas lists,
+ * either on the outlet itself or on an OutletGroup containing it.
+ * @param {string|object} userId - The user's _id.
+ * @param {string[]} [fields] - Assignment lists to look at (defaults to all three).
+ * @returns {Promise<string[]>} Outlet ids as strings.
+ */
+export const getAssignedOutletIds = async (userId, fields = Object.values(OutletRoleFields)) => {
+    const assignmentFilter = { isDeleted: false, $or: fields.map(field => ({ [field]: userId })) };
+    const [outlets, groupOutletIds] = await Promise.all([
+        Outlet.find(assignmentFilter).select('_id'),
+        OutletGroup.distinct('outlets', assignmentFilter),
+    ]);
+
+    const outletIds = new Set(outlets.map(outlet => outlet._id.toString()));
+    if (groupOutletIds.length > 0) {
+        // Group membership may still reference outlets that were deleted since
+        const groupOutlets = await Outlet.find({ _id: { $in: groupOutletIds }, isDeleted: false }).select('_id');
+        groupOutlets.forEach(outlet => outletIds.add(outlet._id.toString()));
+    }
+    return [...outletIds];
+};
+
+/**
+ * Returns the roles a user holds at one outlet. Outlet-scoped roles come from the outlet's (and its groups')
+ * assignment lists, and only count when the user also holds that role globally; admin is global.
+ * @param {object} user - The user (needs `_id` and `roles`).
+ * @param {string|object} outletId - The outlet's _id.
+ * @returns {Promise<string[]>} Role names.
+ */
+export const getOutletRoles = async (user, outletId) => {
+    const roles = user.roles.includes(Roles.admin) ? [Roles.admin] : [];
+    if (!outletId || !mongoose.Types.ObjectId.isValid(String(outletId))) return roles;
+
+    const fields = Object.values(OutletRoleFields);
+    const [outlet, groups] = await Promise.all([
+        Outlet.findOne({ _id: outletId, isDeleted: false }).select(fields.join(' ')),
+        OutletGroup.find({ outlets: outletId, isDeleted: false }).select(fields.join(' ')),
+    ]);
+    if (!outlet) return roles;
+
+    const isListed = (doc, field) => (doc[field] || []).some(id => id.equals(user._id));
+    Object.entries(OutletRoleFields).forEach(([role, field]) => {
+        if (!user.roles.includes(role)) return;
+        if (isListed(outlet, field) || groups.some(group => isListed(group, field))) {
+            roles.push(role);
+        }
+    });
+    return roles;
+};
+
+/**
+ * Checks whether a user holds a role at an outlet (see getOutletRoles).
+ * @param {object} user - The user (needs `_id` and `roles`).
+ * @param {string|object} outletId - The outlet's _id.
+ * @param {string} role - Value from constants/roles.js.
+ * @returns {Promise<boolean>}
+ */
+export const hasOutletRole = async (user, outletId, role) => {
+    const roles = await getOutletRoles(user, outletId);
+    return roles.includes(role);
+};
+
+/**
+ * Returns the outlets whose data a user may see. Admins are unrestricted.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @returns {Promise<string[]|null>} Outlet ids as strings, or null when the user may access every outlet.
+ */
+export const getAccessibleOutletIds = async (user) => {
+    if (user.roles.includes(Roles.admin)) return null;
+    return await getAssignedOutletIds(user._id);
+};
+
+/**
+ * Checks whether a user may access the data of an outlet.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {string|object} outletId - The outlet's _id.
+ * @returns {Promise<boolean>} True when allowed.
+ */
+export const canAccessOutlet = async (user, outletId) => {
+    if (user.roles.includes(Roles.admin)) return true;
+    if (!outletId || !mongoose.Types.ObjectId.isValid(String(outletId))) return false;
+    const accessibleOutletIds = await getAccessibleOutletIds(user);
+    return accessibleOutletIds.includes(String(outletId));
+};
+
+/**
+ * Resolves the outlet condition for a list query. Admins get the requested outlet (or no restriction);
+ * other users get the requested outlet only if they are assigned to it, otherwise all their assigned outlets.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {string} [requestedOutletId] - Outlet filter from the request, already validated as an ObjectId.
+ * @returns {Promise<{ forbidden: boolean, condition?: object }>} `condition` is an ObjectId or `{ $in: [...] }`
+ *   to put on the outlet field; undefined when the query is unrestricted.
+ */
+export const resolveOutletScope = async (user, requestedOutletId) => {
+    const accessibleOutletIds = await getAccessibleOutletIds(user);
+
+    if (requestedOutletId) {
+        if (accessibleOutletIds && !accessibleOutletIds.includes(String(requestedOutletId))) {
+            return { forbidden: true };
+        }
+        return { forbidden: false, condition: new mongoose.Types.ObjectId(String(requestedOutletId)) };
+    }
+
+    if (!accessibleOutletIds) return { forbidden: false };
+    return {
+        forbidden: false,
+        condition: { $in: accessibleOutletIds.map(id => new mongoose.Types.ObjectId(id)) },
+    };
+};
+
+/**
+ * Reads the outlet a document belongs to, so a mutation addressed by id can be authorized against the
+ * document's own outlet rather than one named by the client.
+ * @param {import('mongoose').Model} model - Outlet-scoped model.
+ * @param {string} id - The document's _id.
+ * @param {string} [path] - Path of the outlet id on the document.
+ * @returns {Promise<object|null>} The outlet id, or null when the id is invalid or the document does not exist.
+ */
+export const findDocumentOutletId = async (model, id, path = 'outlet.outletId') => {
+    if (!id || !mongoose.Types.ObjectId.isValid(String(id))) return null;
+    const doc = await model.findById(id).select(path).lean();
+    if (!doc) return null;
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc) || null;
+};
@@ -6,6 +6,63 @@ import Ingredient from '../models/Ingredient.js';
 import Outlet from '../models/Outlet.js'; // Import Outlet model for recalculation
 import { TransactionTypes } from '../constants/transactionTypes.js';
 import mongoose from 'mongoose';
+import { checkStockThreshold, getReorderLevel } from './stockAlertService.js';
+import { runInTransaction, notifyStockChanges } from './inventoryPostingService.js';
+
+/**
+ * Adds `quantityChange` to an ingredient's currentQty with an atomic $inc on the array element matched by
+ * ingredientId, so concurrent postings at the same outlet never overwrite each other. When the ingredient
+ * (or the outlet's OutletInventory) is not there yet it is added first with a quantity of 0; the conditional
+ * $push cannot add it twice.
+ * @param {string|object} outletId - The outlet, i.e. the OutletInventory _id.
+ * @param {object} ingredient - { ingredientId, name?, unit?, price? }; the given snapshot fields are stored on the element.
+ * @param {number} quantityChange - Signed change (negative for OUT / SPOILAGE).
+ * @param {object} userContext - { userId, userName } recorded as lastSyncedBy.
+ * @param {object} [options] - { session, createMissing = true }. Without createMissing a missing ingredient
+ *   is left alone and null is returned.
+ * @returns {Promise<{ previousQty: number, newQty: number, item: object, outletInventory: object }|null>}
+ *   Quantities around the change, the updated ingredient element and the updated OutletInventory document.
+ */
+export const applyIngredientQuantityChange = async (outletId, ingredient, quantityChange, userContext, options = {}) => {
+    const { session = null, createMissing = true } = options;
+    const now = new Date();
+
+    const snapshotUpdate = {};
+    ['name', 'unit', 'price'].forEach(field => {
+        if (ingredient[field] !== undefined) snapshotUpdate[`ingredients.$[item].${field}`] = ingredient[field];
+    });
+
+    const increment = () => OutletInventory.findOneAndUpdate(
+        { _id: outletId, 'ingredients.ingredientId': ingredient.ingredientId },
+        {
+            $inc: { 'ingredients.$[item].currentQty': quantityChange },
+            $set: {
+                ...snapshotUpdate,
+                'ingredients.$[item].lastQuantityUpdated': now,
+                lastSyncedAt: now,
+                'lastSyncedBy.userId': userContext.userId || null,
+                'lastSyncedBy.userName': userContext.userName || 'System',
+            },
+        },
+        { arrayFilters: [{ 'item.ingredientId': ingredient.ingredientId }], new: true, session }
+    );
+
+    let outletInventory = await increment();
+    if (!outletInventory) {
+        if (!createMissing) return null;
+
+        await OutletInventory.updateOne({ _id: outletId }, { $setOnInsert: { ingredients: [] } }, { upsert: true, session });
+        await OutletInventory.updateOne(
+            { _id: outletId, 'ingredients.ingredientId': { $ne: ingredient.ingredientId } },
+            { $push: { ingredients: { ingredientId: ingredient.ingredientId, currentQty: 0, name: ingredient.name ?? null, unit: ingredient.unit ?? null, price: ingredient.price ?? 0, lastQuantityUpdated: now } } },
+            { session }
+        );
+        outletInventory = await increment();
+    }
+
+    const item = outletInventory.ingredients.find(entry => entry.ingredientId.toString() === ingredient.ingredientId.toString());
+    return { previousQty: item.currentQty - quantityChange, newQty: item.currentQty, item, outletInventory };
+};
 
 /**
  * Syncs the OutletInventory based on a single OutletInventoryTransaction.
@@ -39,73 +96,17 @@ export const syncOutletInventory = async (transaction, userContext) => {
             quantityChange = -qty; // Reverse the original quantity
         }
 
-        // Find the OutletInventory document for this outlet
-        let outletInventory = await OutletInventory.findById(outlet.outletId);
-
-        const ingredientUpdate = {
-            ingredientId: ingredient.ingredientId,
-            name: currentIngredientDetails.name,
-            unit: currentIngredientDetails.unit,
-            price: currentIngredientDetails.price,
-            lastQuantityUpdated: new Date()
-        };
-
-        const syncMetadata = {
-            lastSyncedAt: new Date(),
-            'lastSyncedBy.userId': userContext.userId || null,
-            'lastSyncedBy.userName': userContext.userName || 'System',
-        };
-
-        if (outletInventory) {
-            // OutletInventory document exists. Now check if the ingredient exists in its array.
-            const existingIngredientIndex = outletInventory.ingredients.findIndex(
-                item => item.ingredientId.toString() === ingredient.ingredientId.toString()
-            );
-
-            if (existingIngredientIndex !== -1) {
-                // Ingredient found in the array, update its quantity and snapshots
-                ingredientUpdate.currentQty = outletInventory.ingredients[existingIngredientIndex].currentQty + quantityChange;
-
-                const updateOperation = {
-                    $set: {
-                        [`ingredients.${existingIngredientIndex}`]: ingredientUpdate,
-                        ...syncMetadata // Update last synced time for the document
-                    }
-                };
-
-                // Use findByIdAndUpdate on the main document
-                await OutletInventory.findByIdAndUpdate(
-                    outlet.outletId,
-                    updateOperation,
-                    { new: true, runValidators: true }
-                );
-            } else {
-                // Ingredient not found in the array, add it
-                ingredientUpdate.currentQty = quantityChange; // Initial quantity for new ingredient
-
-                const updateOperation = {
-                    $addToSet: {
-                        ingredients: ingredientUpdate
-                    },
-                    $set: syncMetadata // Update last synced time for the document
-                };
-
-                await OutletInventory.findByIdAndUpdate(
-                    outlet.outletId,
-                    updateOperation,
-                    { new: true, runValidators: true }
-                );
-            }
-        } else {
-            // OutletInventory document does not exist, create it with the first ingredient
-            ingredientUpdate.currentQty = quantityChange; // Initial quantity
-
-            await OutletInventory.create({
-                _id: outlet.outletId, // Set _id to outletId
-                ingredients: [ingredientUpdate],
-                ...syncMetadata
-            });
-        }
+        const { previousQty, newQty, outletInventory } = await applyIngredientQuantityChange(
+            outlet.outletId,
+            {
+                ingredientId: ingredient.ingredientId,
+                name: currentIngredientDetails.name,
+                unit: currentIngredientDetails.unit,
+                price: currentIngredientDetails.price,
+            },
+            quantityChange,
+            userContext
+        );
 
         // Mark the OutletInventoryTransaction as calculated
         await OutletInventoryTransaction.findByIdAndUpdate(
@@ -114,6 +115,16 @@ export const syncOutletInventory = async (transaction, userContext) => {
             { new: true }
         );
 
+        await checkStockThreshold({
+            outletId: outlet.outletId,
+            ingredientId: ingredient.ingredientId,
+            ingredientName: currentIngredientDetails.name,
+            unit: currentIngredientDetails.unit,
+            previousQty,
+            newQty,
+            minQty: getReorderLevel(outletInventory, ingredient.ingredientId),
+        });
+
         return true;
 
     } catch (error) {
@@ -138,44 +149,19 @@ export const reverseOutletInventorySync = async (transaction, userContext) => {
         // Revert the quantity change
         let quantityChangeToReverse = -qty; // Opposite of the original signed quantity
 
-        // Find the OutletInventory document
-        let outletInventory = await OutletInventory.findById(outlet.outletId);
-
-        if (!outletInventory) {
-            console.warn(`OutletInventory for outlet ${outlet.outletId} not found during reversal of OIT ${transactionId}.`);
-            return false; // Cannot reverse if the inventory record doesn't exist
-        }
-
-        const existingIngredientIndex = outletInventory.ingredients.findIndex(
-            item => item.ingredientId.toString() === ingredient.ingredientId.toString()
+        // Cannot reverse if the inventory record or the ingredient in it does not exist
+        const result = await applyIngredientQuantityChange(
+            outlet.outletId,
+            { ingredientId: ingredient.ingredientId },
+            quantityChangeToReverse,
+            { userId: userContext.userId, userName: userContext.userName || 'System (Reversal)' },
+            { createMissing: false }
         );
-
-        if (existingIngredientIndex === -1) {
+        if (!result) {
             console.warn(`Ingredient ${ingredient.ingredientId} not found in OutletInventory for outlet ${outlet.outletId} during reversal of OIT ${transactionId}.`);
-            return false; // Cannot reverse if the ingredient is not in the array
+            return false;
         }
 
-        const currentQty = outletInventory.ingredients[existingIngredientIndex].currentQty;
-        const newQty = currentQty + quantityChangeToReverse; // Apply the reversed change
-
-        // Construct the update object for the specific array element
-        const updateOperation = {
-            $set: {
-                [`ingredients.${existingIngredientIndex}.currentQty`]: newQty,
-                [`ingredients.${existingIngredientIndex}.lastQuantityUpdated`]: new Date(),
-                lastSyncedAt: new Date(),
-                'lastSyncedBy.userId': userContext.userId || null,
-                'lastSyncedBy.userName': userContext.userName || 'System (Reversal)',
-            }
-        };
-
-        // Perform the update
-        await OutletInventory.findByIdAndUpdate(
-            outlet.outletId,
-            updateOperation,
-            { new: true, runValidators: true }
-        );
-
         // Mark the OutletInventoryTransaction as NOT calculated if being invalidated or deleted
         await OutletInventoryTransaction.findByIdAndUpdate(
             transactionId,
@@ -183,6 +169,16 @@ export const reverseOutletInventorySync = async (transaction, userContext) => {
             { new: true }
         );
 
+        await checkStockThreshold({
+            outletId: outlet.outletId,
+            ingredientId: ingredient.ingredientId,
+            ingredientName: result.item.name || ingredient.name,
+            unit: result.item.unit || ingredient.unit,
+            previousQty: result.previousQty,
+            newQty: result.newQty,
+            minQty: getReorderLevel(result.outletInventory, ingredient.ingredientId),
+        });
+
         return true;
 
     } catch (error) {
@@ -195,6 +191,9 @@ export const reverseOutletInventorySync = async (transaction, userContext) => {
  * Recalculates all OutletInventory documents based on all valid, undeleted
  * OutletInventoryTransactions. This provides a "source of truth" rebuild
  * and marks all processed transactions as calculated.
+ * Each outlet is rebuilt in one transaction: the totals are read and the differences to the stored
+ * quantities applied with atomic increments, so a posting that lands in between makes the transaction
+ * retry instead of being overwritten. Ingredients without any transaction are set to 0.
  */
 export const recalculateAllOutletInventories = async () => {
     console.log('Starting full recalculation of all Outlet Inventories...');
@@ -211,56 +210,76 @@ export const recalculateAllOutletInventories = async () => {
         for (const outlet of allOutlets) {
             console.log(`Recalculating inventory for Outlet: ${outlet.name} (ID: ${outlet._id})...`);
 
-            // Find all valid, non-deleted transactions for this outlet
-            const outletTransactions = await OutletInventoryTransaction.find({
-                'outlet.outletId': outlet._id,
-                isValid: true,
-                isDeleted: false
-            }).sort({ createdAt: 1 }); // Process in chronological order
-
-            const ingredientAggregates = new Map(); // Map: ingredientId -> { currentQty, name, unit, price }
-
-            for (const trx of outletTransactions) {
-                const ingredientIdStr = trx.ingredient.ingredientId.toString();
-                const currentQty = ingredientAggregates.get(ingredientIdStr)?.currentQty || 0;
-                const newQty = currentQty + trx.qty; // trx.qty is already signed
-
-                // Fetch latest ingredient details for snapshot consistency
-                const latestIngredient = await Ingredient.findById(trx.ingredient.ingredientId);
-
-                ingredientAggregates.set(ingredientIdStr, {
-                    ingredientId: trx.ingredient.ingredientId,
-                    currentQty: newQty,
-                    name: latestIngredient ? latestIngredient.name : trx.ingredient.name, // Use latest name or transaction snapshot
-                    unit: latestIngredient ? latestIngredient.unit : trx.ingredient.unit, // Use latest unit or transaction snapshot
-                    price: latestIngredient ? latestIngredient.price : trx.price, // Use latest price or transaction snapshot
-                    lastQuantityUpdated: new Date()
-                });
-
-                // Mark this transaction as calculated
-                await OutletInventoryTransaction.findByIdAndUpdate(
-                    trx._id,
-                    { isCalculated: true, calculatedAt: new Date(), isValid: true },
-                    { new: true }
+            const stockChanges = await runInTransaction(async (session) => {
+                // Find all valid, non-deleted transactions for this outlet
+                const outletTransactions = await OutletInventoryTransaction.find({
+                    'outlet.outletId': outlet._id,
+                    isValid: true,
+                    isDeleted: false
+                }).sort({ createdAt: 1 }).session(session); // Process in chronological order
+
+                const totalsById = new Map(); // Map: ingredientId -> { ingredientId, qty, name, unit, price }
+                for (const trx of outletTransactions) {
+                    const ingredientIdStr = trx.ingredient.ingredientId.toString();
+                    const total = totalsById.get(ingredientIdStr) || { ingredientId: trx.ingredient.ingredientId, qty: 0 };
+                    total.qty += trx.qty; // trx.qty is already signed
+                    // Transaction snapshot, replaced below by the latest ingredient details when available
+                    total.name = trx.ingredient.name;
+                    total.unit = trx.ingredient.unit;
+                    total.price = trx.price;
+                    totalsById.set(ingredientIdStr, total);
+                }
+
+                const latestIngredients = await Ingredient.find({ _id: { $in: Array.from(totalsById.values(), total => total.ingredientId) } }).session(session);
+                for (const ingredient of latestIngredients) {
+                    Object.assign(totalsById.get(ingredient._id.toString()), { name: ingredient.name, unit: ingredient.unit, price: ingredient.price });
+                }
+
+                // Ingredients in the inventory without any transaction are rebuilt to 0
+                const previousInventory = await OutletInventory.findById(outlet._id).session(session);
+                const storedQtyById = new Map();
+                for (const item of previousInventory?.ingredients || []) {
+                    storedQtyById.set(item.ingredientId.toString(), item.currentQty);
+                    if (!totalsById.has(item.ingredientId.toString())) {
+                        totalsById.set(item.ingredientId.toString(), { ingredientId: item.ingredientId, qty: 0 });
+                    }
+                }
+
+                const changes = [];
+                for (const [ingredientIdStr, { qty, ...ingredient }] of totalsById) {
+                    const storedQty = storedQtyById.get(ingredientIdStr);
+                    const { previousQty, newQty, outletInventory } = await applyIngredientQuantityChange(
+                        outlet._id,
+                        ingredient,
+                        qty - (storedQty ?? 0),
+                        userContext,
+                        { session }
+                    );
+                    // Low-stock crossings caused by the rebuild; new entries have no previous quantity to compare
+                    if (storedQty !== undefined && previousQty !== newQty) {
+                        changes.push({
+                            outletId: outlet._id,
+                            ingredientId: ingredient.ingredientId,
+                            ingredientName: ingredient.name,
+                            unit: ingredient.unit,
+                            previousQty,
+                            newQty,
+                            minQty: getReorderLevel(outletInventory, ingredient.ingredientId),
+                        });
+                    }
+                }
+
+                // Mark the processed transactions as calculated
+                await OutletInventoryTransaction.updateMany(
+                    { _id: { $in: outletTransactions.map(trx => trx._id) } },
+                    { isCalculated: true, calculatedAt: new Date() },
+                    { session }
                 );
-            }
 
-            // Convert map to array for Mongoose document
-            const newIngredientsArray = Array.from(ingredientAggregates.values());
-
-            // Update or create the OutletInventory document for this outlet
-            await OutletInventory.findOneAndUpdate(
-                { _id: outlet._id },
-                {
-                    $set: {
-                        ingredients: newIngredientsArray,
-                        lastSyncedAt: new Date(),
-                        'lastSyncedBy.userId': userContext.userId,
-                        'lastSyncedBy.userName': userContext.userName,
-                    },
-                },
-                { upsert: true, new: true, runValidators: true }
-            );
+                return changes;
+            });
+
+            await notifyStockChanges(stockChanges);
 
             console.log(`Recalculation complete for Outlet: ${outlet.name}.`);
         }
@@ -402,4 +421,89 @@ const RECALCULATION_INTERVAL_MS = 10 * 1000; // 10 seconds for testing
 // setInterval(processUncalculatedTransactions, INCREMENTAL_SYNC_INTERVAL_MS);
 // processUncalculatedTransactions(); // Run once immediately for incremental sync
 
+/**
+ * Sets (upserts) reorder points for ingredients of an outlet. A minQty of 0 or null removes the
+ * reorder point. Changing a threshold can itself put an ingredient below it, so alerts are
+ * evaluated against the current stock with the old and new thresholds.
+ * @param {string} outletId - The outlet's _id (= OutletInventory _id).
+ * @param {Array<{ ingredientId: string, minQty: number|null }>} levels - Reorder points to set.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The updated OutletInventory.
+ */
+export const setReorderLevels = async (outletId, levels, userContext) => {
+    const errors = [];
+
+    if (!mongoose.Types.ObjectId.isValid(outletId)) {
+        return { success: false, message: 'Format ID Inventori Outlet tidak valid.' };
+    }
+    if (!Array.isArray(levels) || levels.length === 0) {
+        return { success: false, message: 'Validasi gagal.', errors: ['"reorderLevels" harus berupa array dan tidak boleh kosong.'] };
+    }
+
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet || outlet.isDeleted) {
+        return { success: false, message: 'Outlet tidak ditemukan atau sudah dihapus.', notFound: true };
+    }
+
+    const ingredientIds = levels.map(level => level && level.ingredientId).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    const ingredients = await Ingredient.find({ _id: { $in: ingredientIds }, isDeleted: false });
+    const validIngredientIds = new Set(ingredients.map(ingredient => ingredient._id.toString()));
+
+    levels.forEach((level, index) => {
+        if (!level || !level.ingredientId || !mongoose.Types.ObjectId.isValid(level.ingredientId)) {
+            errors.push(`Item ke-${index + 1}: ID bahan tidak valid.`);
+        } else if (!validIngredientIds.has(level.ingredientId.toString())) {
+            errors.push(`Item ke-${index + 1}: Bahan dengan ID '${level.ingredientId}' tidak ditemukan atau sudah dihapus.`);
+        } else if (level.minQty !== null && (typeof level.minQty !== 'number' || level.minQty < 0)) {
+            errors.push(`Item ke-${index + 1}: minQty harus berupa angka non-negatif atau null.`);
+        }
+    });
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const outletInventory = await OutletInventory.findById(outletId) || new OutletInventory({ _id: outletId, ingredients: [] });
+    const previousInventory = outletInventory.toObject();
+
+    for (const level of levels) {
+        const existingIndex = outletInventory.reorderLevels.findIndex(
+            item => item.ingredientId.toString() === level.ingredientId.toString()
+        );
+        if (!level.minQty) {
+            if (existingIndex !== -1) outletInventory.reorderLevels.splice(existingIndex, 1);
+            continue;
+        }
+        const entry = {
+            ingredientId: level.ingredientId,
+            minQty: level.minQty,
+            updatedAt: new Date(),
+            updatedBy: { userId: userContext.userId || null, userName: userContext.userName || null },
+        };
+        if (existingIndex !== -1) {
+            outletInventory.reorderLevels.set(existingIndex, entry);
+        } else {
+            outletInventory.reorderLevels.push(entry);
+        }
+    }
+
+    await outletInventory.save();
+
+    for (const level of levels) {
+        const stockItem = outletInventory.ingredients.find(
+            item => item.ingredientId.toString() === level.ingredientId.toString()
+        );
+        if (!stockItem) continue;
+        await checkStockThreshold({
+            outletId: outletInventory._id,
+            ingredientId: stockItem.ingredientId,
+            ingredientName: stockItem.name,
+            unit: stockItem.unit,
+            previousQty: stockItem.currentQty,
+            newQty: stockItem.currentQty,
+            minQty: getReorderLevel(outletInventory, stockItem.ingredientId),
+            previousMinQty: getReorderLevel(previousInventory, stockItem.ingredientId),
+        });
+    }
+
+    return { success: true, message: 'Batas minimum stok berhasil diperbarui.', data: outletInventory };
+};
+
 // Add other OutletInventoryTransaction-related service functions here as needed
@@ -0,0 +1,209 @@
+import RolePermission from '../models/RolePermission.js';
+import User from '../models/User.js';
+import { Roles } from '../constants/roles.js';
+import { Permissions, DefaultRolePermissions } from '../constants/permissions.js';
+import { canAccessOutlet, getOutletRoles } from './outletAccessService.js';
+
+// Role mappings are read on every permission check, so they are cached for a short while
+const CACHE_TTL_MS = 60 * 1000;
+let rolePermissionCache = null;
+let rolePermissionCacheLoadedAt = 0;
+
+const ALL_PERMISSIONS = Object.values(Permissions);
+
+// Permissions that let their holder hand out more access, so only admins may grant them
+const PRIVILEGED_PERMISSIONS = [Permissions.USER_MANAGE, Permissions.PERMISSION_MANAGE];
+
+export const PRIVILEGED_GRANT_DENIED_MESSAGE = `Hanya admin yang dapat memberikan peran admin, ${PRIVILEGED_PERMISSIONS.join(' atau ')}.`;
+
+const invalidateCache = () => {
+    rolePermissionCache = null;
+    rolePermissionCacheLoadedAt = 0;
+};
+
+/**
+ * Seeds the default mapping for every role that has none yet. Existing mappings are never overwritten.
+ */
+export const initializeRolePermissions = async () => {
+    try {
+        await Promise.all(Object.entries(DefaultRolePermissions).map(([role, permissions]) =>
+            RolePermission.updateOne(
+                { role },
+                { $setOnInsert: { role, permissions } },
+                { upsert: true }
+            )
+        ));
+        invalidateCache();
+    } catch (error) {
+        console.error('Gagal menyiapkan hak akses peran default:', error.message);
+    }
+};
+
+/**
+ * Returns the role-to-permission mapping, from cache when fresh.
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+export const getRolePermissionMap = async () => {
+    if (rolePermissionCache && Date.now() - rolePermissionCacheLoadedAt < CACHE_TTL_MS) {
+        return rolePermissionCache;
+    }
+    const rolePermissions = await RolePermission.find({});
+    rolePermissionCache = new Map(rolePermissions.map(rolePermission => [rolePermission.role, new Set(rolePermission.permissions)]));
+    rolePermissionCacheLoadedAt = Date.now();
+    return rolePermissionCache;
+};
+
+/**
+ * Resolves the effective permissions of a user: the union of their roles' permissions plus
+ * `grantedPermissions`, minus `deniedPermissions`. Admins always hold every permission.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {string|object} [outletId] - When given, only the roles the user holds at that outlet count.
+ * @returns {Promise<Set<string>>}
+ */
+export const getUserPermissions = async (user, outletId) => {
+    if (user.roles.includes(Roles.admin)) {
+        return new Set(ALL_PERMISSIONS);
+    }
+
+    const roles = outletId ? await getOutletRoles(user, outletId) : user.roles;
+    const rolePermissionMap = await getRolePermissionMap();
+    const permissions = new Set();
+    roles.forEach(role => (rolePermissionMap.get(role) || []).forEach(permission => permissions.add(permission)));
+    (user.grantedPermissions || []).forEach(permission => permissions.add(permission));
+    (user.deniedPermissions || []).forEach(permission => permissions.delete(permission));
+    return permissions;
+};
+
+/**
+ * Checks whether a user holds every one of the given permissions.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {string[]} permissions - Values from constants/permissions.js.
+ * @param {string|object} [outletId] - Evaluate at this outlet (see getUserPermissions).
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (user, permissions, outletId) => {
+    const userPermissions = await getUserPermissions(user, outletId);
+    return permissions.every(permission => userPermissions.has(permission));
+};
+
+/**
+ * Checks whether holding the given roles would give access only admins may grant: the admin role, or a
+ * role mapped to user.manage or permission.manage.
+ * @param {string[]} roles - Values from constants/roles.js.
+ * @returns {Promise<boolean>}
+ */
+export const grantsPrivilegedAccess = async (roles) => {
+    if (roles.includes(Roles.admin)) {
+        return true;
+    }
+    const rolePermissionMap = await getRolePermissionMap();
+    return roles.some(role => PRIVILEGED_PERMISSIONS.some(permission => (rolePermissionMap.get(role) || new Set()).has(permission)));
+};
+
+// Privileged permissions in `permissions` that are not in `current` yet
+const addedPrivilegedPermissions = (permissions, current) =>
+    PRIVILEGED_PERMISSIONS.filter(permission => permissions.includes(permission) && !current.includes(permission));
+
+/**
+ * Checks whether a user may act at an outlet, judged only by what they hold there: access to the outlet,
+ * one of `roles` among their roles at the outlet and every one of `permissions` (see getUserPermissions).
+ * Controllers call it with the outlet of the document being changed, never one named by the client.
+ * @param {object} user - The authenticated user (`req.user`).
+ * @param {string|object} outletId - The outlet's _id.
+ * @param {object} [required] - { roles, permissions }; an empty or missing list is not checked.
+ * @returns {Promise<boolean>}
+ */
+export const canActAtOutlet = async (user, outletId, { roles = [], permissions = [] } = {}) => {
+    if (user.roles.includes(Roles.admin)) return true;
+    if (!(await canAccessOutlet(user, outletId))) return false;
+    if (roles.length > 0) {
+        const outletRoles = await getOutletRoles(user, outletId);
+        if (!outletRoles.some(role => roles.includes(role))) return false;
+    }
+    return permissions.length === 0 || await hasPermission(user, permissions, outletId);
+};
+
+const validatePermissionList = (permissions, label, errors) => {
+    if (!Array.isArray(permissions)) {
+        errors.push(`${label} harus berupa array.`);
+        return;
+    }
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        errors.push(`Hak akses tidak dikenal pada ${label}: ${unknown.join(', ')}`);
+    }
+};
+
+/**
+ * Replaces the permissions of a role. Only admins may change the admin role or add user.manage or
+ * permission.manage to a role.
+ * @param {string} role - Value from constants/roles.js.
+ * @param {string[]} permissions - Values from constants/permissions.js.
+ * @param {object} userContext - { userId, userName, isAdmin }.
+ * @returns {Promise<object>} { success, message, errors?, data, forbidden? }
+ */
+export const updateRolePermissions = async (role, permissions, userContext) => {
+    const errors = [];
+    if (!Object.values(Roles).includes(role)) {
+        errors.push(`Peran '${role}' tidak valid.`);
+    }
+    validatePermissionList(permissions, 'permissions', errors);
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+    if (!userContext.isAdmin) {
+        const currentPermissions = [...((await getRolePermissionMap()).get(role) || [])];
+        if (role === Roles.admin || addedPrivilegedPermissions(permissions, currentPermissions).length > 0) {
+            return { success: false, message: PRIVILEGED_GRANT_DENIED_MESSAGE, forbidden: true };
+        }
+    }
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+        { role },
+        { permissions: [...new Set(permissions)], updatedBy: { userId: userContext.userId, name: userContext.userName } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    invalidateCache();
+    return { success: true, message: `Hak akses peran ${role} berhasil diperbarui.`, data: rolePermission };
+};
+
+/**
+ * Sets the per-user exceptions on top of the role mapping. Only admins may grant user.manage or
+ * permission.manage.
+ * @param {string} userId - The user's _id.
+ * @param {object} overrides - { grantedPermissions, deniedPermissions } (either may be omitted).
+ * @param {object} userContext - { isAdmin } of the caller.
+ * @returns {Promise<object>} { success, message, errors?, data, notFound?, forbidden? }
+ */
+export const updateUserPermissions = async (userId, overrides, userContext) => {
+    const { grantedPermissions, deniedPermissions } = overrides;
+    const errors = [];
+    const update = {};
+    if (grantedPermissions !== undefined) {
+        validatePermissionList(grantedPermissions, 'grantedPermissions', errors);
+        update.grantedPermissions = grantedPermissions;
+    }
+    if (deniedPermissions !== undefined) {
+        validatePermissionList(deniedPermissions, 'deniedPermissions', errors);
+        update.deniedPermissions = deniedPermissions;
+    }
+    if (Object.keys(update).length === 0) {
+        errors.push('grantedPermissions atau deniedPermissions diperlukan.');
+    }
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+    Object.keys(update).forEach(key => { update[key] = [...new Set(update[key])]; });
+    if (!userContext.isAdmin && update.grantedPermissions) {
+        const targetUser = await User.findOne({ _id: userId, isDeleted: false }).select('grantedPermissions');
+        if (targetUser && addedPrivilegedPermissions(update.grantedPermissions, targetUser.grantedPermissions || []).length > 0) {
+            return { success: false, message: PRIVILEGED_GRANT_DENIED_MESSAGE, forbidden: true };
+        }
+    }
+
+    const user = await User.findOneAndUpdate({ _id: userId, isDeleted: false }, update, { new: true }).select('-password');
+    if (!user) {
+        return { success: false, message: 'Pengguna tidak ditemukan', notFound: true };
+    }
+    return { success: true, message: 'Hak akses pengguna berhasil diperbarui.', data: user };
+};
@@ -0,0 +1,124 @@
+import PromoSetting, { PromoCodes } from '../models/PromoSetting.js';
+
+/**
+ * Counts the purchased units that qualify for 'Beli X Gratis Y'.
+ * Each single menu and each bundle counts as one unit; addons and promo items do not count.
+ * @param {Array} itemSingle - Processed itemSingle lines.
+ * @param {Array} itemBundle - Processed itemBundle lines.
+ * @returns {number} Number of qualifying units in the cart.
+ */
+const countQualifyingUnits = (itemSingle = [], itemBundle = []) => {
+    const singleUnits = itemSingle.reduce((sum, item) => sum + item.qty, 0);
+    const bundleUnits = itemBundle.reduce((sum, item) => sum + item.qty, 0);
+    return singleUnits + bundleUnits;
+};
+
+/**
+ * Calculates how many free items a single promo setting grants for the given cart.
+ * - promo_buy_get: one free item for every `nominal` qualifying units (kelipatan).
+ * - promo_spend_get: one free item once the cart total reaches `nominal`.
+ * A setting with nominal 0 is treated as not configured and grants nothing.
+ * @param {object} setting - PromoSetting document.
+ * @param {{ qualifyingUnits: number, totalPrice: number }} cart - Cart summary.
+ * @returns {number} Number of free items.
+ */
+const calculateFreeQty = (setting, cart) => {
+    if (!setting.isActive || !setting.nominal || setting.nominal <= 0) return 0;
+
+    switch (setting._id) {
+        case PromoCodes.PROMO_BUY_GET:
+            return Math.floor(cart.qualifyingUnits / setting.nominal);
+        case PromoCodes.PROMO_SPEND_GET:
+            return cart.totalPrice >= setting.nominal ? 1 : 0;
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Works out which promos a cart is entitled to. Promos do not stack: a sale's promo items are covered by
+ * one promo. The qualifying promos are ranked by the free items they grant (ties go to the higher bonusMaxPrice).
+ * @param {object} cart - Processed cart.
+ * @param {Array} cart.itemSingle - Processed itemSingle lines.
+ * @param {Array} cart.itemBundle - Processed itemBundle lines.
+ * @param {number} cart.totalPrice - Cart total after discounts, including addons.
+ * @returns {Promise<{ promos: object[], candidates: object[] }>} Snapshots of the qualifying promos, best first,
+ *   and every evaluated promo.
+ */
+export const evaluatePromoEntitlement = async ({ itemSingle, itemBundle, totalPrice }) => {
+    const cart = {
+        qualifyingUnits: countQualifyingUnits(itemSingle, itemBundle),
+        totalPrice: totalPrice || 0,
+    };
+
+    const settings = await PromoSetting.find({ isActive: true });
+
+    const candidates = settings.map(setting => ({
+        code: setting._id,
+        title: setting.title,
+        nominal: setting.nominal,
+        bonusMaxPrice: setting.bonusMaxPrice,
+        freeQty: calculateFreeQty(setting, cart),
+    }));
+
+    const promos = candidates
+        .filter(candidate => candidate.freeQty > 0)
+        .sort((a, b) => (b.freeQty - a.freeQty) || (b.bonusMaxPrice - a.bonusMaxPrice));
+
+    return { promos, candidates };
+};
+
+/**
+ * Checks requested promo items against one promo's free quantity and bonus price cap.
+ * @param {Array<{ name: string, qty: number, price: number }>} promoItems - Requested free items.
+ * @param {object} promo - Promo snapshot from evaluatePromoEntitlement.
+ * @returns {string[]} Validation errors (empty when the promo covers the items).
+ */
+const checkPromoItems = (promoItems, promo) => {
+    const errors = [];
+    for (const item of promoItems) {
+        if (item.price > promo.bonusMaxPrice) {
+            errors.push(`Menu '${item.name}' (harga ${item.price}) melebihi harga maksimal bonus promo '${promo.title}' (${promo.bonusMaxPrice}).`);
+        }
+    }
+
+    const requestedQty = promoItems.reduce((sum, item) => sum + item.qty, 0);
+    if (requestedQty > promo.freeQty) {
+        errors.push(`Jumlah item promo (${requestedQty}) melebihi hak promo '${promo.title}' (${promo.freeQty}).`);
+    }
+    return errors;
+};
+
+/**
+ * Validates requested promo items against a cart's entitlement and picks the promo that covers them.
+ * When the client names a promo only that one is checked; otherwise the first qualifying promo (in the
+ * order of evaluatePromoEntitlement) that covers the items is used.
+ * @param {Array<{ name: string, qty: number, price: number }>} promoItems - Requested free items with their current menu price.
+ * @param {{ promos: object[] }} entitlement - Result of evaluatePromoEntitlement.
+ * @param {string} [promoCode] - PromoCodes value chosen by the client.
+ * @returns {{ promo: object|null, errors: string[] }} The promo to store as appliedPromo and any validation errors.
+ */
+export const validatePromoItems = (promoItems, entitlement, promoCode) => {
+    if (!promoItems || promoItems.length === 0) return { promo: null, errors: [] };
+
+    if (promoCode) {
+        const promo = entitlement.promos.find(candidate => candidate.code === promoCode);
+        if (!promo) {
+            return { promo: null, errors: [`Keranjang tidak memenuhi syarat promo '${promoCode}' atau promo tersebut tidak aktif.`] };
+        }
+        const errors = checkPromoItems(promoItems, promo);
+        return { promo: errors.length > 0 ? null : promo, errors };
+    }
+
+    if (entitlement.promos.length === 0) {
+        return { promo: null, errors: ['Keranjang tidak memenuhi syarat promo yang aktif, item promo tidak dapat diberikan.'] };
+    }
+
+    let bestErrors = null;
+    for (const promo of entitlement.promos) {
+        const errors = checkPromoItems(promoItems, promo);
+        if (errors.length === 0) return { promo, errors };
+        bestErrors = bestErrors || errors; // Report against the best-ranked promo when none fits
+    }
+    return { promo: null, errors: bestErrors };
+};
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import Outlet from '../models/Outlet.js';
+import Ingredient from '../models/Ingredient.js';
+import OutletInventoryTransaction from '../models/OutletInventoryTransaction.js';
+import { runInTransaction, postInventoryMovements, notifyStockChanges } from './inventoryPostingService.js';
+import { PurchaseStatuses } from '../constants/purchaseStatuses.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import * as outletInventoryService from './outletInventoryService.js';
+import { updateDailyPurchaseReport } from './dailySaleReportService.js';
+
+// Multipart requests send arrays/objects as JSON strings
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+/**
+ * Validates and records a local purchase. Stock is not touched until the purchase is accepted.
+ * @param {object} rawData - { outletId, supplier, items: [{ ingredientId, qty, price }], purchasedAt, notes }.
+ * @param {string|null} receiptUrl - URL of the uploaded receipt image.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The new purchase.
+ */
+export const createPurchase = async (rawData, receiptUrl, userContext) => {
+    const errors = [];
+    const supplier = parseJsonField(rawData.supplier) || {};
+    const items = parseJsonField(rawData.items);
+
+    // --- Validate Outlet ---
+    let outlet = null;
+    if (!rawData.outletId || !mongoose.Types.ObjectId.isValid(rawData.outletId)) {
+        errors.push('ID Outlet tidak valid.');
+    } else {
+        outlet = await Outlet.findById(rawData.outletId);
+        if (!outlet || outlet.isDeleted || !outlet.isActive) {
+            errors.push('Outlet tidak ditemukan, sudah dihapus, atau tidak aktif.');
+        }
+    }
+
+    // --- Validate Supplier ---
+    if (!supplier.name || typeof supplier.name !== 'string' || supplier.name.trim() === '') {
+        errors.push('Nama pemasok ("supplier.name") diperlukan.');
+    }
+
+    // --- Validate purchasedAt ---
+    let purchasedAt = new Date();
+    if (rawData.purchasedAt) {
+        purchasedAt = new Date(rawData.purchasedAt);
+        if (isNaN(purchasedAt.getTime())) {
+            errors.push('Format tanggal "purchasedAt" tidak valid.');
+        } else if (purchasedAt > new Date()) {
+            errors.push('Tanggal pembelian tidak boleh di masa depan.');
+        }
+    }
+
+    // --- Validate Items ---
+    const processedItems = [];
+    let totalPrice = 0;
+    if (!Array.isArray(items) || items.length === 0) {
+        errors.push('Item pembelian ("items") harus berupa array dan tidak boleh kosong.');
+    } else {
+        const ingredientIds = items
+            .map(item => item && item.ingredientId)
+            .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+        const ingredients = await Ingredient.find({ _id: { $in: ingredientIds } });
+        const ingredientById = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient]));
+
+        items.forEach((item, index) => {
+            if (!item || !item.ingredientId || !mongoose.Types.ObjectId.isValid(item.ingredientId)) {
+                errors.push(`Item ke-${index + 1}: ID bahan tidak valid.`);
+                return;
+            }
+            const ingredient = ingredientById.get(item.ingredientId.toString());
+            if (!ingredient || ingredient.isDeleted || !ingredient.isActive) {
+                errors.push(`Item ke-${index + 1}: Bahan dengan ID '${item.ingredientId}' tidak ditemukan, sudah dihapus, atau tidak aktif.`);
+                return;
+            }
+            const qty = Number(item.qty);
+            const price = Number(item.price);
+            if (isNaN(qty) || qty <= 0) {
+                errors.push(`Item ke-${index + 1} (${ingredient.name}): Jumlah harus berupa angka lebih dari 0.`);
+                return;
+            }
+            if (isNaN(price) || price < 0) {
+                errors.push(`Item ke-${index + 1} (${ingredient.name}): Harga harus berupa angka non-negatif.`);
+                return;
+            }
+
+            const subtotal = qty * price;
+            processedItems.push({
+                ingredientId: ingredient._id,
+                name: ingredient.name,
+                unit: ingredient.unit,
+                qty,
+                price,
+                subtotal,
+            });
+            totalPrice += subtotal;
+        });
+    }
+
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+
+    try {
+        const purchase = await Purchase.create({
+            outlet: { outletId: outlet._id, name: outlet.name, address: outlet.address },
+            supplier: {
+                name: supplier.name.trim(),
+                phone: supplier.phone || null,
+                address: supplier.address || null,
+            },
+            purchasedAt,
+            items: processedItems,
+            totalPrice,
+            receiptUrl,
+            notes: rawData.notes || null,
+            createdBy: { userId: userContext.userId, name: userContext.userName },
+        });
+        return { success: true, message: `Pembelian ${purchase.code} berhasil dicatat.`, data: purchase };
+    } catch (error) {
+        console.error('Error creating purchase:', error);
+        return { success: false, message: `Kesalahan server saat mencatat pembelian: ${error.message}` };
+    }
+};
+
+/**
+ * Accepts a pending purchase: posts one IN OutletInventoryTransaction per item
+ * (source PURCHASE, ref = purchase code, price = unit price paid) and adds the cost to the daily report.
+ * The status change, the postings and the report update are committed in one transaction.
+ * @param {string} purchaseId - The purchase's _id.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The accepted purchase.
+ */
+export const acceptPurchase = async (purchaseId, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(purchaseId)) {
+        return { success: false, message: 'Format ID Pembelian tidak valid.' };
+    }
+
+    try {
+        const result = await runInTransaction(async (session) => {
+            // Only a pending purchase can be claimed, so a double click cannot post the stock twice
+            const purchase = await Purchase.findOneAndUpdate(
+                { _id: purchaseId, status: PurchaseStatuses.PENDING, isDeleted: false },
+                {
+                    $set: {
+                        status: PurchaseStatuses.ACCEPTED,
+                        resolvedBy: { userId: userContext.userId, name: userContext.userName },
+                        resolvedAt: new Date(),
+                    }
+                },
+                { new: true, session }
+            );
+            if (!purchase) return null;
+
+            const { transactions, stockChanges } = await postInventoryMovements({
+                outletId: purchase.outlet.outletId,
+                transactionType: TransactionTypes.IN,
+                sourceType: SourceTypes.PURCHASE,
+                ref: purchase.code,
+                evidenceUrl: purchase.receiptUrl,
+                user: { _id: userContext.userId, name: userContext.userName },
+                movements: purchase.items.map(item => ({
+                    ingredientId: item.ingredientId,
+                    qty: item.qty,
+                    price: item.price, // Price actually paid, not the master price
+                    notes: `Pembelian lokal ${item.name} dari ${purchase.supplier.name} (${purchase.code}).`,
+                })),
+            }, session);
+            purchase.items.forEach((item, index) => {
+                item.outletInventoryTransactionId = transactions[index]._id;
+            });
+
+            await purchase.save({ session });
+            await updateDailyPurchaseReport(purchase, 1, { session });
+            return { purchase, stockChanges };
+        });
+
+        if (!result) {
+            const existing = await Purchase.findById(purchaseId);
+            if (!existing || existing.isDeleted) {
+                return { success: false, message: 'Pembelian tidak ditemukan atau sudah dihapus.', notFound: true };
+            }
+            return { success: false, message: `Pembelian ${existing.code} sudah berstatus '${existing.status}'.`, conflict: true };
+        }
+        await notifyStockChanges(result.stockChanges);
+
+        return { success: true, message: `Pembelian ${result.purchase.code} berhasil diterima.`, data: result.purchase };
+    } catch (error) {
+        console.error(`Error accepting purchase ${purchaseId}:`, error);
+        return { success: false, message: `Kesalahan server saat menerima pembelian: ${error.message}` };
+    }
+};
+
+/**
+ * Rejects a pending purchase. No stock or report changes.
+ * @param {string} purchaseId - The purchase's _id.
+ * @param {string} reason - Why the purchase was rejected.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The rejected purchase.
+ */
+export const rejectPurchase = async (purchaseId, reason, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(purchaseId)) {
+        return { success: false, message: 'Format ID Pembelian tidak valid.' };
+    }
+
+    const purchase = await Purchase.findOneAndUpdate(
+        { _id: purchaseId, status: PurchaseStatuses.PENDING, isDeleted: false },
+        {
+            $set: {
+                status: PurchaseStatuses.REJECTED,
+                rejectionReason: reason || null,
+                resolvedBy: { userId: userContext.userId, name: userContext.userName },
+                resolvedAt: new Date(),
+            }
+        },
+        { new: true }
+    );
+    if (!purchase) {
+        const existing = await Purchase.findById(purchaseId);
+        if (!existing || existing.isDeleted) {
+            return { success: false, message: 'Pembelian tidak ditemukan atau sudah dihapus.', notFound: true };
+        }
+        return { success: false, message: `Pembelian ${existing.code} sudah berstatus '${existing.status}'.`, conflict: true };
+    }
+
+    return { success: true, message: `Pembelian ${purchase.code} ditolak.`, data: purchase };
+};
+
+/**
+ * Soft deletes a purchase. For accepted purchases the IN transactions are soft deleted,
+ * the cost is removed from the daily report and inventories are recalculated in the background.
+ * @param {string} purchaseId - The purchase's _id.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The deleted purchase.
+ */
+export const deletePurchase = async (purchaseId, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(purchaseId)) {
+        return { success: false, message: 'Format ID Pembelian tidak valid.' };
+    }
+
+    const purchase = await Purchase.findById(purchaseId);
+    if (!purchase || purchase.isDeleted) {
+        return { success: false, message: 'Pembelian tidak ditemukan atau sudah dihapus.', notFound: true };
+    }
+
+    try {
+        purchase.isDeleted = true;
+        purchase.deletedAt = new Date();
+        purchase.deletedBy = userContext.userId;
+        await purchase.save();
+
+        if (purchase.status === PurchaseStatuses.ACCEPTED) {
+            await OutletInventoryTransaction.updateMany(
+                {
+                    'source.sourceType': SourceTypes.PURCHASE,
+                    'source.ref': purchase.code,
+                    isDeleted: false
+                },
+                {
+                    $set: {
+                        isDeleted: true,
+                        deletedAt: new Date(),
+                        deletedBy: userContext.userId
+                    }
+                }
+            );
+            await updateDailyPurchaseReport(purchase, -1);
+
+            outletInventoryService.recalculateAllOutletInventories()
+                .then(() => console.log("Recalculate selesai."))
+                .catch(err => console.error("Recalculate error:", err));
+        }
+
+        return { success: true, message: `Pembelian ${purchase.code} berhasil dihapus.`, data: purchase };
+    } catch (error) {
+        console.error(`Error deleting purchase ${purchaseId}:`, error);
+        return { success: false, message: `Kesalahan server saat menghapus pembelian: ${error.message}` };
+    }
+};
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Outlet from '../models/Outlet.js';
+import Ingredient from '../models/Ingredient.js';
+import OutletInventory from '../models/OutletInventory.js';
+import OutletInventoryTransaction from '../models/OutletInventoryTransaction.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import { OrderStatuses } from '../constants/orderStatuses.js';
+
+const DEFAULT_WINDOW_DAYS = 14;
+const DEFAULT_TARGET_DAYS = 7;
+const MAX_WINDOW_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders that are placed but not yet received still count towards the stock we will have
+const OPEN_ORDER_STATUSES = [OrderStatuses.ORDERED, OrderStatuses.PROCESSED, OrderStatuses.ON_THE_WAY];
+
+const parsePositiveInt = (value, defaultValue, fieldName, errors, max) => {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+        errors.push(`"${fieldName}" harus berupa bilangan bulat antara 1 dan ${max}.`);
+        return defaultValue;
+    }
+    return parsed;
+};
+
+/**
+ * Sums the ingredient consumption of an outlet from the OUT transactions written by sales.
+ * @param {object} outletId - The outlet's _id.
+ * @param {Date} since - Start of the window.
+ * @param {Date} until - End of the window.
+ * @returns {Promise<Map<string, number>>} Consumed quantity (positive) per ingredientId.
+ */
+const getConsumptionByIngredient = async (outletId, since, until) => {
+    const rows = await OutletInventoryTransaction.aggregate([
+        {
+            $match: {
+                'outlet.outletId': outletId,
+                'source.sourceType': SourceTypes.SALE,
+                transactionType: TransactionTypes.OUT,
+                isValid: true,
+                isDeleted: false,
+                createdAt: { $gte: since, $lte: until },
+            }
+        },
+        { $group: { _id: '$ingredient.ingredientId', consumed: { $sum: { $abs: '$qty' } } } },
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.consumed]));
+};
+
+/**
+ * Sums the not-yet-received quantities of open orders per ingredient for an outlet.
+ * @param {object} outletId - The outlet's _id.
+ * @returns {Promise<Map<string, number>>} Incoming quantity per ingredientId.
+ */
+const getIncomingByIngredient = async (outletId) => {
+    const rows = await Order.aggregate([
+        { $match: { 'outlet.outletId': outletId, status: { $in: OPEN_ORDER_STATUSES }, isDeleted: false } },
+        { $unwind: '$items' },
+        { $match: { 'items.isAccepted': false } },
+        { $group: { _id: '$items.ingredientId', incoming: { $sum: '$items.qty' } } },
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.incoming]));
+};
+
+/**
+ * Computes replenishment suggestions for an outlet. For every ingredient consumed by sales in the
+ * window: average daily consumption, days of cover from the current OutletInventory and the quantity
+ * needed to cover `targetDays` (minus current stock and quantities already ordered but not received).
+ * @param {string} outletId - The outlet's _id.
+ * @param {object} options - { windowDays, targetDays } (defaults 14 and 7).
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} Outlet info, parameters and suggestion lines.
+ */
+export const getReplenishmentSuggestions = async (outletId, options = {}) => {
+    const errors = [];
+    if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+        errors.push('ID Outlet tidak valid.');
+    }
+    const windowDays = parsePositiveInt(options.windowDays, DEFAULT_WINDOW_DAYS, 'windowDays', errors, MAX_WINDOW_DAYS);
+    const targetDays = parsePositiveInt(options.targetDays, DEFAULT_TARGET_DAYS, 'targetDays', errors, MAX_WINDOW_DAYS);
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet || outlet.isDeleted) {
+        return { success: false, message: 'Outlet tidak ditemukan atau sudah dihapus.', notFound: true };
+    }
+
+    const until = new Date();
+    const since = new Date(until.getTime() - windowDays * DAY_MS);
+
+    const [consumption, incoming, outletInventory] = await Promise.all([
+        getConsumptionByIngredient(outlet._id, since, until),
+        getIncomingByIngredient(outlet._id),
+        OutletInventory.findById(outlet._id),
+    ]);
+
+    const ingredients = await Ingredient.find({ _id: { $in: Array.from(consumption.keys()) } });
+    const stockById = new Map(
+        (outletInventory?.ingredients || []).map(item => [item.ingredientId.toString(), item.currentQty])
+    );
+
+    const items = [];
+    for (const ingredient of ingredients) {
+        const key = ingredient._id.toString();
+        const consumed = consumption.get(key) || 0;
+        const averageDailyConsumption = consumed / windowDays;
+        const currentQty = stockById.get(key) || 0;
+        const incomingQty = incoming.get(key) || 0;
+        const daysOfCover = averageDailyConsumption > 0
+            ? Math.max(currentQty, 0) / averageDailyConsumption
+            : null;
+        const neededQty = averageDailyConsumption * targetDays - Math.max(currentQty, 0) - incomingQty;
+
+        items.push({
+            ingredientId: ingredient._id,
+            name: ingredient.name,
+            unit: ingredient.unit,
+            price: ingredient.price,
+            isOrderable: !ingredient.isDeleted && ingredient.isActive,
+            consumedQty: consumed,
+            averageDailyConsumption: Number(averageDailyConsumption.toFixed(2)),
+            currentQty,
+            incomingQty,
+            daysOfCover: daysOfCover === null ? null : Number(daysOfCover.toFixed(1)),
+            suggestedQty: neededQty > 0 ? Math.ceil(neededQty) : 0,
+        });
+    }
+
+    // Most urgent first
+    items.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+
+    return {
+        success: true,
+        data: {
+            outlet: { outletId: outlet._id, name: outlet.name },
+            windowDays,
+            targetDays,
+            from: since,
+            to: until,
+            items,
+        },
+    };
+};
+
+/**
+ * Creates a draft Order (status 'ordered') from the replenishment suggestions of an outlet.
+ * Only active ingredients with a suggested quantity are included; the order can still be edited or
+ * deleted before HQ processes it.
+ * @param {string} outletId - The outlet's _id.
+ * @param {object} options - { windowDays, targetDays }.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: { order: object, suggestions: object } }>} The draft order and the suggestions it was built from.
+ */
+export const createReplenishmentOrder = async (outletId, options, userContext) => {
+    const suggestions = await getReplenishmentSuggestions(outletId, options);
+    if (!suggestions.success) return suggestions;
+
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet.isActive) {
+        return { success: false, message: 'Validasi gagal.', errors: ['Outlet tidak aktif.'] };
+    }
+
+    const { windowDays, targetDays } = suggestions.data;
+    const orderItems = suggestions.data.items
+        .filter(item => item.isOrderable && item.suggestedQty > 0)
+        .map(item => ({
+            ingredientId: item.ingredientId,
+            name: item.name,
+            unit: item.unit,
+            qty: item.suggestedQty,
+            price: item.price,
+            notes: `Saran otomatis: rata-rata ${item.averageDailyConsumption} ${item.unit}/hari selama ${windowDays} hari, stok cukup ${item.daysOfCover ?? '-'} hari.`,
+        }));
+
+    if (orderItems.length === 0) {
+        return { success: false, message: `Stok outlet ${outlet.name} sudah mencukupi untuk ${targetDays} hari ke depan, tidak ada pesanan yang disarankan.` };
+    }
+
+    const order = await Order.create({
+        outlet: { outletId: outlet._id, name: outlet.name, address: outlet.address },
+        items: orderItems,
+        totalPrice: orderItems.reduce((sum, item) => sum + item.qty * item.price, 0),
+        createdBy: { userId: userContext.userId, name: userContext.userName },
+        status: OrderStatuses.ORDERED,
+    });
+
+    return {
+        success: true,
+        message: `Draf pesanan ${order.code} berhasil dibuat dari saran pengisian stok.`,
+        data: { order, suggestions: suggestions.data },
+    };
+};
@@ -5,8 +5,16 @@ import Menu from '../models/Menu.js';
 import Addon from '../models/Addon.js';
 import Bundle from '../models/Bundle.js';
 import Ingredient from '../models/Ingredient.js';
+import Sale from '../models/Sale.js';
 import { PaymentMethods } from '../constants/paymentMethods.js';
 import { Roles } from '../constants/roles.js';
+import { ShiftStatuses } from '../constants/shiftStatuses.js';
+import * as promoService from './promoService.js';
+import { findOpenShift, findShiftAt } from './shiftService.js';
+import { updateDailySaleReport } from './dailySaleReportService.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import { runInTransaction, postInventoryMovements, notifyStockChanges } from './inventoryPostingService.js';
 
 // Helper to validate User references (moved here from controller as it's a utility for data processing)
 const validateUserReference = async (userId, errorsArray, fieldName, requiredRole = null) => {
@@ -26,17 +34,62 @@ const validateUserReference = async (userId, errorsArray, fieldName, requiredRol
   return { userId: user._id, name: user.name }; // Return object with _id and name
 };
 
+const idsOf = (items, field) => (Array.isArray(items) ? items : [])
+    .map(item => item && item[field])
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id))
+    .map(id => id.toString());
+
+const byId = (documents) => new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+/**
+ * Loads every menu, addon and bundle a raw sale refers to, then the ingredients of their recipes, with one
+ * query per collection instead of one per cart line and recipe line. Deleted and inactive documents are
+ * included; the item validation reports them. Malformed ids are skipped and reported there too.
+ * @param {object} rawSaleData - The raw request body from the client.
+ * @returns {Promise<{ menus: Map, addons: Map, bundles: Map, ingredients: Map }>} Documents keyed by id string.
+ */
+const loadSaleCatalog = async (rawSaleData) => {
+    const { itemSingle, itemBundle, itemPromo, itemAddon } = rawSaleData;
+    const singles = Array.isArray(itemSingle) ? itemSingle : [];
+    const bundles = Array.isArray(itemBundle) ? itemBundle : [];
+
+    const menuIds = new Set([
+        ...idsOf(singles, 'menuId'),
+        ...bundles.flatMap(bundleItem => idsOf(bundleItem && bundleItem.items, 'menuId')),
+        ...idsOf(itemPromo, 'menuId'),
+    ]);
+    const addonIds = new Set([
+        ...singles.flatMap(item => idsOf(item && item.addons, 'addonId')),
+        ...idsOf(itemAddon, 'addonId'),
+    ]);
+    const bundleIds = new Set(idsOf(bundles, 'menuBundleId'));
+
+    const [menus, addons, bundleDocs] = await Promise.all([
+        menuIds.size > 0 ? Menu.find({ _id: { $in: [...menuIds] } }) : [],
+        addonIds.size > 0 ? Addon.find({ _id: { $in: [...addonIds] } }) : [],
+        bundleIds.size > 0 ? Bundle.find({ _id: { $in: [...bundleIds] } }) : [],
+    ]);
+
+    const ingredientIds = new Set(idsOf([...menus, ...addons].flatMap(doc => doc.recipe || []), 'ingredientId'));
+    const ingredients = ingredientIds.size > 0 ? await Ingredient.find({ _id: { $in: [...ingredientIds] } }) : [];
+
+    return { menus: byId(menus), addons: byId(addons), bundles: byId(bundleDocs), ingredients: byId(ingredients) };
+};
+
 /**
  * Processes raw sale data, performs validation, calculates total price,
  * aggregates ingredient usage, and prepares a structured sale object.
- * @param {object} rawSaleData - The raw request body from the client.
+ * @param {object} rawSaleData - The raw request body from the client. An optional `promoCode` names the promo
+ *   that covers `itemPromo`; without it the best qualifying promo that covers them is applied.
  * @param {object} reqUser - The authenticated user object from `req.user`.
  * @param {string|null} paymentEvidenceUrl - The URL of the uploaded payment evidence, if any.
- * @returns {Promise<{ saleData: object|null, errors: string[] }>} An object containing the prepared sale data and any validation errors.
+ * @param {object} [options] - { transactedAt }: original time of a sale made offline; defaults to now.
+ * @returns {Promise<{ saleData: object|null, errors: string[], warnings?: string[] }>} The prepared sale data and any
+ *   validation errors. `warnings` is set when an offline sale could not be attached to its shift because it is already closed.
  */
-export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUrl) => {
+export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUrl, options = {}) => {
     // [UPDATE] Tambahkan itemAddon di sini
-    const { outletId, itemSingle, itemBundle, itemPromo, itemAddon, totalPaid: rawTotalPaid, payment } = rawSaleData;
+    const { outletId, itemSingle, itemBundle, itemPromo, promoCode, itemAddon, totalPaid: rawTotalPaid, payment } = rawSaleData;
     
     const errors = [];
     let calculatedTotalPrice = 0;
@@ -72,12 +125,15 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
       }
     }
 
+    // Every menu, addon, bundle and recipe ingredient of the cart, loaded up front
+    const catalog = await loadSaleCatalog(rawSaleData);
+
     // --- Helper for adding ingredients to map ---
-    const addIngredientsToMap = async (recipeItems, multiplier = 1) => {
+    const addIngredientsToMap = (recipeItems, multiplier = 1) => {
         if (!recipeItems || !Array.isArray(recipeItems)) return;
         for (const recipeIngredient of recipeItems) {
             if (!recipeIngredient.ingredientId || recipeIngredient.qty === undefined || recipeIngredient.qty < 0) continue;
-            const ingredient = await Ingredient.findById(recipeIngredient.ingredientId);
+            const ingredient = catalog.ingredients.get(recipeIngredient.ingredientId.toString());
             if (!ingredient || ingredient.isDeleted || !ingredient.isActive) {
                 // If ingredient is invalid/deleted, don't include it in consumption, but also don't block sale
                 console.warn(`Ingredient ${recipeIngredient.ingredientId} for recipe not found or inactive. Skipping consumption calculation.`);
@@ -107,7 +163,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
           errors.push('Item tunggal memiliki format ID menu atau jumlah yang tidak valid.');
           continue;
         }
-        const menu = await Menu.findById(item.menuId); // Fetch menu to get its recipe
+        const menu = catalog.menus.get(item.menuId.toString());
         if (!menu || menu.isDeleted || !menu.isActive) {
           errors.push(`Menu ID '${item.menuId}' di item tunggal tidak ditemukan, sudah dihapus, atau tidak aktif.`);
           continue;
@@ -137,7 +193,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
               errors.push('Addon memiliki format ID addon atau jumlah yang tidak valid.');
               continue;
             }
-            const addon = await Addon.findById(addonItem.addonId);
+            const addon = catalog.addons.get(addonItem.addonId.toString());
             if (!addon || addon.isDeleted || !addon.isActive) {
               errors.push(`Addon ID '${addonItem.addonId}' tidak ditemukan, sudah dihapus, atau tidak aktif.`);
               continue;
@@ -151,7 +207,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
             itemSingleSubtotal += addonItem.qty * addon.price * item.qty;
 
             // Add addon ingredients to ingredientsConsumedMap
-            await addIngredientsToMap(addon.recipe, addonItem.qty);
+            addIngredientsToMap(addon.recipe, addonItem.qty);
           }
         }
 
@@ -167,7 +223,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
         calculatedTotalPrice += itemSingleSubtotal;
 
         // Add menu ingredients to ingredientsConsumedMap
-        await addIngredientsToMap(menu.recipe, item.qty);
+        addIngredientsToMap(menu.recipe, item.qty);
       }
     }
 
@@ -179,7 +235,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
           errors.push('Item paket memiliki format ID paket atau jumlah yang tidak valid.');
           continue;
         }
-        const bundle = await Bundle.findById(bundleItem.menuBundleId);
+        const bundle = catalog.bundles.get(bundleItem.menuBundleId.toString());
         if (!bundle || bundle.isDeleted || !bundle.isActive) {
           errors.push(`Paket ID '${bundleItem.menuBundleId}' tidak ditemukan, sudah dihapus, atau tidak aktif.`);
           continue;
@@ -192,7 +248,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
                     errors.push('Menu dalam paket memiliki format ID menu atau jumlah yang tidak valid.');
                     continue;
                 }
-                const chosenMenu = await Menu.findById(chosenMenuItem.menuId); // Fetch chosen menu to get its recipe
+                const chosenMenu = catalog.menus.get(chosenMenuItem.menuId.toString());
                 if (!chosenMenu || chosenMenu.isDeleted || !chosenMenu.isActive) {
                     errors.push(`Menu ID '${chosenMenuItem.menuId}' dalam paket tidak ditemukan, sudah dihapus, atau tidak aktif.`);
                     continue;
@@ -206,7 +262,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
 
                 // Add chosen menu ingredients from bundle to ingredientsConsumedMap
                 // Crucial: Multiply by bundleItem.qty AND chosenMenuItem.qty
-                await addIngredientsToMap(chosenMenu.recipe, bundleItem.qty * chosenMenuItem.qty);
+                addIngredientsToMap(chosenMenu.recipe, bundleItem.qty * chosenMenuItem.qty);
             }
         }
 
@@ -223,13 +279,14 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
 
     // --- Process itemPromo and calculate ingredients used ---
     const processedItemPromo = [];
+    const promoItemsForValidation = []; // Keeps the menu price, which is not stored on itemPromo
     if (itemPromo && Array.isArray(itemPromo)) {
       for (const promoItem of itemPromo) {
         if (!promoItem.menuId || !mongoose.Types.ObjectId.isValid(promoItem.menuId) || promoItem.qty === undefined || promoItem.qty < 1) {
           errors.push('Item promo memiliki format ID menu atau jumlah yang tidak valid.');
           continue;
         }
-        const menu = await Menu.findById(promoItem.menuId); // Fetch menu to get its recipe
+        const menu = catalog.menus.get(promoItem.menuId.toString());
         if (!menu || menu.isDeleted || !menu.isActive) {
           errors.push(`Menu ID '${promoItem.menuId}' di item promo tidak ditemukan, sudah dihapus, atau tidak aktif.`);
           continue;
@@ -239,8 +296,9 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
           name: menu.name,
           qty: promoItem.qty,
         });
+        promoItemsForValidation.push({ name: menu.name, qty: promoItem.qty, price: menu.price });
         // Promo items don't add to total price, but their ingredients are consumed
-        await addIngredientsToMap(menu.recipe, promoItem.qty);
+        addIngredientsToMap(menu.recipe, promoItem.qty);
       }
     }
 
@@ -252,7 +310,7 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
           errors.push('Item addon (standalone) memiliki format ID addon atau jumlah yang tidak valid.');
           continue;
         }
-        const addon = await Addon.findById(addonItem.addonId);
+        const addon = catalog.addons.get(addonItem.addonId.toString());
         if (!addon || addon.isDeleted || !addon.isActive) {
           errors.push(`Addon ID '${addonItem.addonId}' (standalone) tidak ditemukan, sudah dihapus, atau tidak aktif.`);
           continue;
@@ -269,11 +327,24 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
         calculatedTotalPrice += addonItem.qty * addon.price;
 
         // PENTING: Hitung pengurangan stok dari Resep Addon
-        await addIngredientsToMap(addon.recipe, addonItem.qty);
+        addIngredientsToMap(addon.recipe, addonItem.qty);
       }
     }
 
 
+    // --- Evaluate promo entitlement and validate itemPromo against it ---
+    let appliedPromo = null;
+    if (promoItemsForValidation.length > 0) {
+      const entitlement = await promoService.evaluatePromoEntitlement({
+        itemSingle: processedItemSingle,
+        itemBundle: processedItemBundle,
+        totalPrice: calculatedTotalPrice,
+      });
+      const promoValidation = promoService.validatePromoItems(promoItemsForValidation, entitlement, promoCode);
+      errors.push(...promoValidation.errors);
+      appliedPromo = promoValidation.promo;
+    }
+
     // --- Validate Payment ---
     if (!payment || !payment.method || !Object.values(PaymentMethods).includes(payment.method)) {
       errors.push('Metode pembayaran tidak valid.');
@@ -306,6 +377,17 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
         return { saleData: null, errors };
     }
 
+    // Attach the sale to the operator's cash drawer shift, if any: the open one, or for an offline sale the one open back then
+    const shiftAtSale = options.transactedAt
+        ? await findShiftAt(outletSnapshot.outletId, operatorSnapshot.operatorId, options.transactedAt)
+        : await findOpenShift(outletSnapshot.outletId, operatorSnapshot.operatorId);
+    // A closed shift has already been reconciled, so a late offline sale is left unattached and reported instead
+    const openShift = shiftAtSale && shiftAtSale.status === ShiftStatuses.OPEN ? shiftAtSale : null;
+    const warnings = [];
+    if (shiftAtSale && !openShift) {
+        warnings.push(`Shift ${shiftAtSale.code} sudah ditutup; penjualan ini tidak masuk ke rekap shift tersebut.`);
+    }
+
     // Convert ingredientsConsumedMap to array for the schema
     const finalIngredientUsed = Array.from(ingredientsConsumedMap.values());
 
@@ -313,15 +395,49 @@ export const processNewSaleData = async (rawSaleData, reqUser, paymentEvidenceUr
     const saleData = {
       outlet: outletSnapshot,
       operator: operatorSnapshot,
+      shift: openShift ? openShift._id : null,
       itemSingle: processedItemSingle,
       itemBundle: processedItemBundle,
       itemPromo: processedItemPromo,
       itemAddon: processedItemAddon, // [BARU] Masukkan ke objek final
+      appliedPromo,
       totalPrice: calculatedTotalPrice,
       totalPaid: totalPaid,
       payment: payment,
       ingredientUsed: finalIngredientUsed,
     };
 
-    return { saleData, errors: [] };
-};
\ No newline at end of file
+    return { saleData, errors: [], warnings };
+};
+
+/**
+ * Saves a processed sale together with its effects in one MongoDB transaction: the Sale, an OUT
+ * OutletInventoryTransaction per consumed ingredient, the OutletInventory balances and the
+ * DailyOutletSaleReport. If any of them fails nothing is written and the error is thrown (a duplicate
+ * idempotency key surfaces as the usual 11000 error). Low-stock alerts go out once the sale is committed.
+ * @param {object} saleData - `saleData` from processNewSaleData, plus idempotencyKey / createdAt when needed.
+ * @param {object} reqUser - The authenticated user recording the sale.
+ * @returns {Promise<{ sale: object, transactions: object[] }>} The committed Sale document and its inventory transactions.
+ */
+export const recordSale = async (saleData, reqUser) => {
+    const { sale, transactions, stockChanges } = await runInTransaction(async (session) => {
+        // Code is generated by the Sale pre-save hook
+        const [newSale] = await Sale.create([saleData], { session });
+
+        const posting = await postInventoryMovements({
+            outletId: newSale.outlet.outletId,
+            transactionType: TransactionTypes.OUT,
+            sourceType: SourceTypes.SALE,
+            ref: newSale.code,
+            notes: `Konsumsi untuk Penjualan: ${newSale.code}`,
+            user: reqUser,
+            movements: newSale.ingredientUsed.map(item => ({ ingredientId: item.ingredientId, qty: item.qty })),
+        }, session);
+
+        await updateDailySaleReport(newSale, { session });
+        return { sale: newSale, ...posting };
+    });
+
+    await notifyStockChanges(stockChanges);
+    return { sale, transactions };
+};
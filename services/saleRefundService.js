@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.js';
+import Menu from '../models/Menu.js';
+import Addon from '../models/Addon.js';
+import Ingredient from '../models/Ingredient.js';
+import { PaymentMethods } from '../constants/paymentMethods.js';
+import { RefundStockActions } from '../constants/refundStockActions.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import { runInTransaction, postInventoryMovements, notifyStockChanges } from './inventoryPostingService.js';
+import { applyRefundToDailySaleReport } from './dailySaleReportService.js';
+import { emitToOutlet } from '../socket/index.js';
+
+// Line groups that can be refunded, with the id field each sale line carries
+const REFUNDABLE_LINES = {
+    itemSingle: { idField: 'menuId', label: 'item tunggal' },
+    itemBundle: { idField: 'menuBundleId', label: 'item paket' },
+    itemAddon: { idField: 'addonId', label: 'item addon' },
+};
+
+// Unit amount the customer paid for one unit of a sale line (mirrors processNewSaleData pricing)
+const getLineUnitAmount = (group, saleLine) => {
+    if (group === 'itemSingle') {
+        const menuAmount = Number(saleLine.price) * (1 - Number(saleLine.discount || 0) / 100);
+        const addonsAmount = (saleLine.addons || []).reduce((sum, addon) => sum + Number(addon.qty) * Number(addon.price), 0);
+        return menuAmount + addonsAmount;
+    }
+    return Number(saleLine.price);
+};
+
+// Quantities already refunded per line: Map<'group_index', qty>
+const getRefundedQtyMap = (sale) => {
+    const refundedQty = new Map();
+    for (const refund of sale.refunds || []) {
+        for (const group of Object.keys(REFUNDABLE_LINES)) {
+            for (const line of refund[group] || []) {
+                const key = `${group}_${line.index}`;
+                refundedQty.set(key, (refundedQty.get(key) || 0) + line.qty);
+            }
+        }
+    }
+    return refundedQty;
+};
+
+/**
+ * Calculates the ingredients contained in the refunded lines, using the current recipes
+ * (the same source processNewSaleData used) and the unit cost snapshotted in sale.ingredientUsed.
+ */
+const calculateReturnedIngredients = async (sale, refundLines) => {
+    const menuIds = new Set();
+    const addonIds = new Set();
+
+    refundLines.itemSingle.forEach(line => {
+        const saleLine = sale.itemSingle[line.index];
+        menuIds.add(saleLine.menuId.toString());
+        (saleLine.addons || []).forEach(addon => addonIds.add(addon.addonId.toString()));
+    });
+    refundLines.itemBundle.forEach(line => {
+        (sale.itemBundle[line.index].items || []).forEach(item => menuIds.add(item.menuId.toString()));
+    });
+    refundLines.itemAddon.forEach(line => addonIds.add(sale.itemAddon[line.index].addonId.toString()));
+
+    const [menus, addons] = await Promise.all([
+        Menu.find({ _id: { $in: [...menuIds] } }).select('recipe'),
+        Addon.find({ _id: { $in: [...addonIds] } }).select('recipe'),
+    ]);
+    const recipeById = new Map();
+    menus.forEach(menu => recipeById.set(menu._id.toString(), menu.recipe || []));
+    addons.forEach(addon => recipeById.set(addon._id.toString(), addon.recipe || []));
+
+    const returnedQtyMap = new Map(); // ingredientId -> qty
+    const addRecipe = (itemId, multiplier) => {
+        for (const recipeIngredient of recipeById.get(itemId.toString()) || []) {
+            if (!recipeIngredient.ingredientId || !recipeIngredient.qty || recipeIngredient.qty < 0) continue;
+            const key = recipeIngredient.ingredientId.toString();
+            returnedQtyMap.set(key, (returnedQtyMap.get(key) || 0) + multiplier * recipeIngredient.qty);
+        }
+    };
+
+    refundLines.itemSingle.forEach(line => {
+        const saleLine = sale.itemSingle[line.index];
+        addRecipe(saleLine.menuId, line.qty);
+        // Addon recipes were consumed per sale line, so they are returned proportionally
+        (saleLine.addons || []).forEach(addon => addRecipe(addon.addonId, addon.qty * (line.qty / saleLine.qty)));
+    });
+    refundLines.itemBundle.forEach(line => {
+        (sale.itemBundle[line.index].items || []).forEach(item => addRecipe(item.menuId, line.qty * item.qty));
+    });
+    refundLines.itemAddon.forEach(line => addRecipe(sale.itemAddon[line.index].addonId, line.qty));
+
+    if (returnedQtyMap.size === 0) return [];
+
+    const ingredients = await Ingredient.find({ _id: { $in: [...returnedQtyMap.keys()] } });
+    const ingredientById = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient]));
+    const usedById = new Map((sale.ingredientUsed || []).map(used => [used.ingredientId.toString(), used]));
+
+    const returned = [];
+    for (const [ingredientId, qty] of returnedQtyMap) {
+        const ingredient = ingredientById.get(ingredientId);
+        const used = usedById.get(ingredientId);
+        if (!ingredient && !used) continue;
+
+        const unitCost = used && used.qty > 0 ? used.expense / used.qty : (ingredient ? ingredient.price : 0);
+        returned.push({
+            ingredientId: new mongoose.Types.ObjectId(ingredientId),
+            name: used?.name || ingredient?.name || null,
+            qty,
+            expense: qty * unitCost,
+            unit: used?.unit || ingredient?.unit || null,
+        });
+    }
+    return returned;
+};
+
+/**
+ * Refunds (returns) specific lines of a sale.
+ * Only the refunded amount is removed from the daily report; the sale itself stays valid.
+ * With stockAction 'restock' the ingredients go back to stock as IN transactions. With 'spoilage'
+ * they are returned and immediately written off (IN + SPOILAGE), so the stock level is unchanged but
+ * the waste shows up in the inventory history instead of being counted as sold.
+ * The refund entry, the daily report and the stock postings are written in one transaction: if one of
+ * them fails nothing is recorded and an error is returned.
+ * @param {string} saleId - The ID of the sale.
+ * @param {object} refundData - { itemSingle|itemBundle|itemAddon: [{ index, qty }], method, reason, stockAction }.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} Result with the updated sale.
+ */
+export const refundSale = async (saleId, refundData, userContext) => {
+    const errors = [];
+
+    if (!mongoose.Types.ObjectId.isValid(saleId)) {
+        return { success: false, message: 'Format ID Penjualan tidak valid.' };
+    }
+
+    const sale = await Sale.findById(saleId);
+    if (!sale || sale.isDeleted) {
+        return { success: false, message: 'Penjualan tidak ditemukan atau sudah dihapus.', notFound: true };
+    }
+
+    const method = refundData.method || sale.payment.method;
+    if (!Object.values(PaymentMethods).includes(method)) {
+        errors.push('Metode pengembalian dana tidak valid.');
+    }
+
+    const stockAction = refundData.stockAction || RefundStockActions.NONE;
+    if (!Object.values(RefundStockActions).includes(stockAction)) {
+        errors.push(`stockAction harus salah satu dari: ${Object.values(RefundStockActions).join(', ')}.`);
+    }
+
+    if (refundData.reason !== undefined && refundData.reason !== null && typeof refundData.reason !== 'string') {
+        errors.push('Alasan refund harus berupa string.');
+    }
+
+    // --- Validate requested lines ---
+    const refundedQty = getRefundedQtyMap(sale);
+    const refundLines = { itemSingle: [], itemBundle: [], itemAddon: [] };
+    let amount = 0;
+
+    for (const [group, { idField, label }] of Object.entries(REFUNDABLE_LINES)) {
+        const requested = refundData[group];
+        if (requested === undefined) continue;
+        if (!Array.isArray(requested)) {
+            errors.push(`"${group}" harus berupa array.`);
+            continue;
+        }
+
+        const seenIndexes = new Set();
+        for (const line of requested) {
+            const index = Number(line.index);
+            const qty = Number(line.qty);
+            const saleLine = sale[group][index];
+
+            if (!Number.isInteger(index) || !saleLine) {
+                errors.push(`Indeks ${label} '${line.index}' tidak ditemukan di penjualan ini.`);
+                continue;
+            }
+            if (seenIndexes.has(index)) {
+                errors.push(`Indeks ${label} '${index}' disebutkan lebih dari sekali.`);
+                continue;
+            }
+            seenIndexes.add(index);
+
+            const remainingQty = saleLine.qty - (refundedQty.get(`${group}_${index}`) || 0);
+            if (!Number.isInteger(qty) || qty < 1) {
+                errors.push(`Jumlah refund untuk ${label} '${saleLine.name}' harus berupa bilangan bulat minimal 1.`);
+                continue;
+            }
+            if (qty > remainingQty) {
+                errors.push(`Jumlah refund untuk ${label} '${saleLine.name}' (${qty}) melebihi sisa yang dapat dikembalikan (${remainingQty}).`);
+                continue;
+            }
+
+            const lineAmount = getLineUnitAmount(group, saleLine) * qty;
+            refundLines[group].push({
+                index,
+                [idField]: saleLine[idField],
+                name: saleLine.name,
+                qty,
+                amount: lineAmount,
+            });
+            amount += lineAmount;
+        }
+    }
+
+    const lineCount = refundLines.itemSingle.length + refundLines.itemBundle.length + refundLines.itemAddon.length;
+    if (errors.length === 0 && lineCount === 0) {
+        errors.push('Pilih minimal satu item (itemSingle, itemBundle, atau itemAddon) untuk di-refund.');
+    }
+    if (errors.length === 0 && amount > Number(sale.totalPrice) - Number(sale.totalRefunded || 0)) {
+        errors.push('Nilai refund melebihi sisa nilai penjualan.');
+    }
+
+    if (errors.length > 0) {
+        return { success: false, message: 'Validasi gagal.', errors };
+    }
+
+    try {
+        const refund = {
+            code: `${sale.code}-R${(sale.refunds || []).length + 1}`,
+            ...refundLines,
+            amount,
+            method,
+            reason: refundData.reason ? refundData.reason.trim() : null,
+            stockAction,
+            ingredientReturned: await calculateReturnedIngredients(sale, refundLines),
+            createdBy: { userId: userContext.userId, name: userContext.userName },
+            createdAt: new Date(),
+        };
+
+        // Returned ingredients are valued at the unit cost snapshotted on the sale
+        const movements = refund.ingredientReturned.map(ingredientReturned => ({
+            ingredientId: ingredientReturned.ingredientId,
+            qty: ingredientReturned.qty,
+            price: ingredientReturned.qty > 0 ? ingredientReturned.expense / ingredientReturned.qty : 0,
+        }));
+        const postingTypes = {
+            [RefundStockActions.NONE]: [],
+            [RefundStockActions.RESTOCK]: [[TransactionTypes.IN, `Pengembalian bahan dari refund ${refund.code}`]],
+            [RefundStockActions.SPOILAGE]: [
+                [TransactionTypes.IN, `Pengembalian bahan dari refund ${refund.code}`],
+                [TransactionTypes.SPOILAGE, `Bahan terbuang dari refund ${refund.code}`],
+            ],
+        }[stockAction];
+
+        const result = await runInTransaction(async (session) => {
+            // Optimistic guard: only append if no other refund was recorded since we read the sale
+            const updated = await Sale.findOneAndUpdate(
+                {
+                    _id: sale._id,
+                    isDeleted: false,
+                    [`refunds.${(sale.refunds || []).length}`]: { $exists: false },
+                },
+                { $push: { refunds: refund }, $inc: { totalRefunded: amount } },
+                { new: true, runValidators: true, session }
+            );
+            if (!updated) return null;
+
+            await applyRefundToDailySaleReport(updated, refund, { session });
+
+            const stockChanges = [];
+            for (const [transactionType, notes] of postingTypes) {
+                const posting = await postInventoryMovements({
+                    outletId: updated.outlet.outletId,
+                    transactionType,
+                    sourceType: SourceTypes.SALE,
+                    ref: updated.code,
+                    notes,
+                    user: { _id: userContext.userId, name: userContext.userName },
+                    movements,
+                }, session);
+                stockChanges.push(...posting.stockChanges);
+            }
+            return { updatedSale: updated, stockChanges };
+        });
+
+        if (!result) {
+            return { success: false, message: 'Penjualan berubah saat refund diproses. Silakan muat ulang dan coba lagi.', conflict: true };
+        }
+        const { updatedSale, stockChanges } = result;
+        await notifyStockChanges(stockChanges);
+
+        emitToOutlet(updatedSale.outlet.outletId, SocketEvents.SALE_REFUNDED, {
+            sale: updatedSale.toJSON(),
+            refundCode: refund.code,
+        });
+
+        return { success: true, message: `Refund ${refund.code} berhasil dicatat.`, data: updatedSale };
+
+    } catch (error) {
+        console.error(`Error refunding sale ${saleId}:`, error);
+        return { success: false, message: `Kesalahan server saat memproses refund: ${error.message}` };
+    }
+};
@@ -12,6 +12,9 @@ import * as outletInventoryService from './outletInventoryService.js';
 import { revertDailySaleReport } from './dailySaleReportService.js';
 // [BARU] Import service notifikasi
 import { createAdminNotification } from './adminNotificationService.js';
+import { emitToOutlet } from '../socket/index.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import * as listQueryService from './listQueryService.js';
 
 export const createServiceRequest = async (data, userContext) => {
     const { outletId, type, targetId, reason } = data;
@@ -75,6 +78,8 @@ export const createServiceRequest = async (data, userContext) => {
             // Tidak kita throw error agar return utama tetap sukses
         }
 
+        emitToOutlet(outlet._id, SocketEvents.SERVICE_REQUEST_CREATED, newRequest.toJSON());
+
         return { success: true, data: newRequest };
     } catch (error) {
         console.error('Error creating service request:', error);
@@ -163,6 +168,8 @@ export const processServiceRequest = async (requestId, action, adminNote, userCo
 
                     await revertDailySaleReport(sale);
 
+                    emitToOutlet(sale.outlet.outletId, SocketEvents.SALE_DELETED, sale.toJSON());
+
 
                     console.log(`Hasil Update OIT (Sale): ${deleteSaleResult.modifiedCount} dokumen dihapus.`);
                 } else {
@@ -182,6 +189,8 @@ export const processServiceRequest = async (requestId, action, adminNote, userCo
 
         await request.save();
 
+        emitToOutlet(request.outlet, SocketEvents.SERVICE_REQUEST_PROCESSED, request.toJSON());
+
         // Trigger Recalculate Inventory
         if (action === 'approve') {
             console.log("Memicu Recalculate Inventory...");
@@ -215,14 +224,20 @@ export const deleteServiceRequest = async (requestId, userContext) => {
     }
 };
 
-export const getServiceRequests = async (filters) => {
+/**
+ * Lists service requests one page at a time.
+ * @param {object} filters - { outletId, status, type }.
+ * @param {object} listParams - limit / sort / fields / cursor, see listQueryService.findPage.
+ * @returns {Promise<object>} Result of listQueryService.findPage.
+ */
+export const getServiceRequests = async (filters, listParams = {}) => {
     const query = { isDeleted: false };
     if (filters.outletId) query.outlet = filters.outletId;
     if (filters.status) query.status = filters.status;
     if (filters.type) query.type = filters.type;
-    return await ServiceRequest.find(query)
-        .populate('outlet', 'name code')
-        .populate('requestedBy', 'name userId')
-        .populate('resolvedBy.userId', 'name')
-        .sort({ createdAt: -1 });
+    return await listQueryService.findPage(ServiceRequest, query, listParams, {
+        sortFields: ['createdAt', 'status'],
+        defaultSort: '-createdAt',
+        populate: [['outlet', 'name code'], ['requestedBy', 'name userId'], ['resolvedBy.userId', 'name']],
+    });
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Maps a failed service result ({ success: false, message, errors?, unauthorized?, forbidden?, notFound?,
+ * conflict?, locked? }) to an HTTP response. Results without a flag are answered with 400.
+ * @param {object} res - Express response.
+ * @param {object} result - The service result.
+ * @returns {object} The Express response.
+ */
+export const sendServiceError = (res, result) => {
+    if (result.errors) {
+        return res.status(400).json({ message: result.message, errors: result.errors });
+    }
+    if (result.unauthorized) {
+        return res.status(401).json({ message: result.message });
+    }
+    if (result.forbidden) {
+        return res.status(403).json({ message: result.message });
+    }
+    if (result.notFound) {
+        return res.status(404).json({ message: result.message });
+    }
+    if (result.conflict) {
+        return res.status(409).json({ message: result.message });
+    }
+    if (result.locked) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({ message: result.message, retryAfterSeconds: result.retryAfterSeconds });
+    }
+    return res.status(400).json({ message: result.message });
+};
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { disconnectSessions } from '../socket/index.js';
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How long the previous refresh token still answers after a rotation, for clients retrying a refresh whose response they lost
+const REFRESH_TOKEN_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 30;
+
+export const SessionRevokeReasons = Object.freeze({
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    ADMIN: 'admin',
+    USER_DEACTIVATED: 'user_deactivated',
+    PASSWORD_CHANGED: 'password_changed',
+    OPERATOR_SWITCHED: 'operator_switched',
+    DEVICE_DEACTIVATED: 'device_deactivated',
+    TOKEN_REUSE: 'token_reuse',
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are `<sessionId>.<random>` so the session can be found without scanning hashes
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+// The token a refresh token is rotated into is derived from it, so a retry within the grace window gets the same pair back
+const deriveNextRefreshToken = (sessionId, refreshToken) => {
+    const secret = crypto.createHmac('sha256', process.env.JWT_SECRET).update(refreshToken).digest('hex');
+    return `${sessionId}.${secret}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return sessionId;
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user._id, roles: user.roles, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const invalidRefreshResult = () => ({ success: false, message: 'Refresh token tidak valid atau sudah kedaluwarsa.', unauthorized: true });
+
+/**
+ * Opens a new session for a user who just authenticated and issues the first token pair.
+ * @param {object} user - The authenticated User document.
+ * @param {object} [clientInfo] - { userAgent, ipAddress, deviceId } of the login request.
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string }>}
+ */
+export const createSession = async (user, clientInfo = {}) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+        _id: sessionId,
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+        userAgent: clientInfo.userAgent || null,
+        ipAddress: clientInfo.ipAddress || null,
+        device: clientInfo.deviceId || null,
+    });
+
+    return { session, accessToken: signAccessToken(user, session.id), refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token (rotation).
+ * The previous refresh token keeps working for REFRESH_TOKEN_REUSE_GRACE_SECONDS after a rotation and
+ * returns the refresh token it was already rotated into, so concurrent or retried refreshes do not log
+ * the client out. Presenting it later, or after a further rotation, means it leaked and the whole session is revoked.
+ * @param {string} refreshToken - The refresh token held by the client.
+ * @returns {Promise<object>} { success, message, data: { accessToken, refreshToken, user }, unauthorized? }
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+    const sessionId = parseRefreshToken(refreshToken);
+    if (!sessionId) {
+        return invalidRefreshResult();
+    }
+
+    const now = new Date();
+    const nextRefreshToken = deriveNextRefreshToken(sessionId, refreshToken);
+    let session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: hashToken(nextRefreshToken),
+            previousRefreshTokenHash: hashToken(refreshToken),
+            rotatedAt: now,
+            expiresAt: refreshTokenExpiry(),
+            lastUsedAt: now,
+            $inc: { rotationCount: 1 },
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const existing = await Session.findById(sessionId);
+        if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+            return invalidRefreshResult();
+        }
+        const isGraceRetry = existing.previousRefreshTokenHash === hashToken(refreshToken)
+            && existing.refreshTokenHash === hashToken(nextRefreshToken)
+            && now - existing.rotatedAt <= REFRESH_TOKEN_REUSE_GRACE_SECONDS * 1000;
+        if (!isGraceRetry) {
+            console.warn(`Refresh token lama dipakai ulang untuk sesi ${sessionId}, sesi dicabut.`);
+            await revokeSessionDocuments({ _id: sessionId }, { reason: SessionRevokeReasons.TOKEN_REUSE });
+            return invalidRefreshResult();
+        }
+        session = existing;
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || user.isDeleted || !user.isActive) {
+        await revokeSessionDocuments({ _id: session._id }, { reason: SessionRevokeReasons.USER_DEACTIVATED });
+        return invalidRefreshResult();
+    }
+
+    return {
+        success: true,
+        message: 'Token berhasil diperbarui.',
+        data: { accessToken: signAccessToken(user, session.id), refreshToken: nextRefreshToken, user },
+    };
+};
+
+/**
+ * Loads the session an access token belongs to and checks that it is still usable.
+ * @param {string} sessionId - The `sid` claim of the access token.
+ * @param {string|object} userId - The `id` claim of the access token.
+ * @returns {Promise<object|null>} The active session, or null when it is missing, expired or revoked.
+ */
+export const getActiveSession = async (sessionId, userId) => {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return session || null;
+};
+
+// Revokes every active session matching the filter and drops their sockets
+const revokeSessionDocuments = async (filter, { revokedBy = null, reason }) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = sessions.map(session => session._id);
+    await Session.updateMany(
+        { _id: { $in: sessionIds }, revokedAt: null },
+        { revokedAt: new Date(), revokedBy, revokedReason: reason }
+    );
+    disconnectSessions(sessionIds.map(id => id.toString()));
+    return sessionIds.length;
+};
+
+/**
+ * Revokes a single session.
+ * @param {string} sessionId - The session's _id.
+ * @param {object} options - { revokedBy, reason, userId } - `userId` restricts the lookup to that user's sessions.
+ * @returns {Promise<object>} { success, message, notFound? }
+ */
+export const revokeSession = async (sessionId, { revokedBy = null, reason = SessionRevokeReasons.LOGOUT, userId } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { success: false, message: 'Format ID Sesi tidak valid.' };
+    }
+
+    const filter = { _id: sessionId };
+    if (userId) filter.user = userId;
+    const session = await Session.findOne(filter);
+    if (!session) {
+        return { success: false, message: 'Sesi tidak ditemukan.', notFound: true };
+    }
+    if (session.revokedAt) {
+        return { success: true, message: 'Sesi sudah dicabut sebelumnya.' };
+    }
+
+    await revokeSessionDocuments({ _id: session._id }, { revokedBy, reason });
+    return { success: true, message: 'Sesi berhasil dicabut.' };
+};
+
+/**
+ * Revokes every active session of a user (log out of all devices).
+ * @param {string|object} userId - The user's _id.
+ * @param {object} [options] - { revokedBy, reason, exceptSessionId }.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+export const revokeUserSessions = async (userId, { revokedBy = null, reason = SessionRevokeReasons.LOGOUT_ALL, exceptSessionId } = {}) => {
+    const filter = { user: userId };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    return await revokeSessionDocuments(filter, { revokedBy, reason });
+};
+
+/**
+ * Revokes every active session opened on a shared tablet.
+ * @param {string|object} deviceId - The device's _id.
+ * @param {object} [options] - { revokedBy, reason }.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+export const revokeDeviceSessions = async (deviceId, { revokedBy = null, reason = SessionRevokeReasons.DEVICE_DEACTIVATED } = {}) => {
+    return await revokeSessionDocuments({ device: deviceId }, { revokedBy, reason });
+};
+
+/**
+ * Lists the sessions of a user, newest first.
+ * @param {string|object} userId - The user's _id.
+ * @param {object} [options] - { includeInactive } - also return revoked and expired sessions.
+ * @returns {Promise<object[]>} Session documents.
+ */
+export const getUserSessions = async (userId, { includeInactive = false } = {}) => {
+    const filter = { user: userId };
+    if (!includeInactive) {
+        filter.revokedAt = null;
+        filter.expiresAt = { $gt: new Date() };
+    }
+    return await Session.find(filter).sort({ lastUsedAt: -1 });
+};
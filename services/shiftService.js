@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.js';
+import Sale from '../models/Sale.js';
+import Outlet from '../models/Outlet.js';
+import { ShiftStatuses } from '../constants/shiftStatuses.js';
+import { PaymentMethods } from '../constants/paymentMethods.js';
+import { Roles } from '../constants/roles.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import { emitToOutlet } from '../socket/index.js';
+import { hasOutletRole } from './outletAccessService.js';
+
+const emptyBreakdown = () => Object.values(PaymentMethods).reduce((acc, method) => ({ ...acc, [method]: 0 }), {});
+
+/**
+ * Finds the open shift of an operator at an outlet (used to attach new sales).
+ * @param {string|object} outletId - The outlet's _id.
+ * @param {string|object} operatorId - The operator's _id.
+ * @returns {Promise<object|null>} The open Shift document, or null.
+ */
+export const findOpenShift = async (outletId, operatorId) => {
+    return await Shift.findOne({
+        'outlet.outletId': outletId,
+        'operator.operatorId': operatorId,
+        status: ShiftStatuses.OPEN,
+        isDeleted: false,
+    });
+};
+
+/**
+ * Finds the shift of an operator at an outlet that was open at a given time (used to attach sales
+ * synced from an offline tablet to the shift they were made in).
+ * @param {string|object} outletId - The outlet's _id.
+ * @param {string|object} operatorId - The operator's _id.
+ * @param {Date} at - Original transaction time.
+ * @returns {Promise<object|null>} The Shift document, or null.
+ */
+export const findShiftAt = async (outletId, operatorId, at) => {
+    return await Shift.findOne({
+        'outlet.outletId': outletId,
+        'operator.operatorId': operatorId,
+        openedAt: { $lte: at },
+        $or: [{ closedAt: null }, { closedAt: { $gte: at } }],
+        isDeleted: false,
+    }).sort({ openedAt: -1 });
+};
+
+/**
+ * Calculates sales, refunds and expected drawer amounts per payment method for a shift.
+ * Sales are the ones attached to the shift; refunds are those paid out at the outlet by the shift's
+ * operator between openedAt and closedAt (or now), whichever sale they belong to.
+ * @param {object} shift - Shift document.
+ * @returns {Promise<{ saleCount: number, sales: object, refunds: object, expected: object }>} Totals per payment method.
+ */
+export const calculateShiftTotals = async (shift) => {
+    const sales = emptyBreakdown();
+    const refunds = emptyBreakdown();
+    let saleCount = 0;
+
+    const salesByMethod = await Sale.aggregate([
+        { $match: { shift: shift._id, isDeleted: false } },
+        { $group: { _id: '$payment.method', total: { $sum: '$totalPrice' }, count: { $sum: 1 } } },
+    ]);
+    salesByMethod.forEach(row => {
+        if (row._id in sales) sales[row._id] = row.total;
+        saleCount += row.count;
+    });
+
+    const refundsByMethod = await Sale.aggregate([
+        {
+            $match: {
+                'outlet.outletId': shift.outlet.outletId,
+                isDeleted: false,
+                'refunds.createdAt': { $gte: shift.openedAt },
+            }
+        },
+        { $unwind: '$refunds' },
+        {
+            $match: {
+                'refunds.createdBy.userId': shift.operator.operatorId,
+                'refunds.createdAt': { $gte: shift.openedAt, $lte: shift.closedAt || new Date() },
+            }
+        },
+        { $group: { _id: '$refunds.method', total: { $sum: '$refunds.amount' } } },
+    ]);
+    refundsByMethod.forEach(row => {
+        if (row._id in refunds) refunds[row._id] = row.total;
+    });
+
+    const expected = emptyBreakdown();
+    Object.keys(expected).forEach(method => {
+        expected[method] = sales[method] - refunds[method];
+    });
+    expected[PaymentMethods.CASH] += Number(shift.openingCash);
+
+    return { saleCount, sales, refunds, expected };
+};
+
+/**
+ * Opens a cash drawer shift for the authenticated operator.
+ * @param {object} data - { outletId, openingCash, notes }.
+ * @param {object} reqUser - The authenticated user (`req.user`).
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The new shift.
+ */
+export const openShift = async (data, reqUser) => {
+    const { outletId, openingCash, notes } = data;
+    const errors = [];
+
+    if (!reqUser.roles.includes(Roles.operator)) {
+        errors.push('Hanya operator yang dapat membuka shift.');
+    }
+    if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+        errors.push('ID Outlet tidak valid.');
+    }
+    const parsedOpeningCash = Number(openingCash);
+    if (openingCash === undefined || openingCash === null || isNaN(parsedOpeningCash) || parsedOpeningCash < 0) {
+        errors.push('Kas awal ("openingCash") diperlukan dan harus berupa angka non-negatif.');
+    }
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet || outlet.isDeleted || !outlet.isActive) {
+        return { success: false, message: 'Validasi gagal.', errors: ['Outlet tidak ditemukan, sudah dihapus, atau tidak aktif.'] };
+    }
+
+    const existingShift = await findOpenShift(outlet._id, reqUser._id);
+    if (existingShift) {
+        return { success: false, message: `Masih ada shift terbuka (${existingShift.code}). Tutup shift tersebut terlebih dahulu.`, conflict: true };
+    }
+
+    try {
+        const shift = await Shift.create({
+            outlet: { outletId: outlet._id, name: outlet.name },
+            operator: { operatorId: reqUser._id, name: reqUser.name },
+            openedAt: new Date(),
+            openingCash: parsedOpeningCash,
+            openingNotes: notes || null,
+        });
+
+        emitToOutlet(outlet._id, SocketEvents.SHIFT_OPENED, shift.toJSON());
+
+        return { success: true, message: `Shift ${shift.code} berhasil dibuka.`, data: shift };
+    } catch (error) {
+        if (error.code === 11000) {
+            return { success: false, message: 'Masih ada shift terbuka untuk operator ini di outlet tersebut.', conflict: true };
+        }
+        console.error('Error opening shift:', error);
+        return { success: false, message: `Kesalahan server saat membuka shift: ${error.message}` };
+    }
+};
+
+/**
+ * Closes a shift with the counted drawer amounts and stores the reconciliation.
+ * Cash must be counted; transfer and qris are optional (their difference stays null when not counted).
+ * @param {string} shiftId - The shift's _id.
+ * @param {object} data - { countedCash, countedTransfer, countedQris, notes }.
+ * @param {object} reqUser - The authenticated user (`req.user`).
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The closed shift.
+ */
+export const closeShift = async (shiftId, data, reqUser) => {
+    if (!mongoose.Types.ObjectId.isValid(shiftId)) {
+        return { success: false, message: 'Format ID Shift tidak valid.' };
+    }
+
+    const shift = await Shift.findById(shiftId);
+    if (!shift || shift.isDeleted) {
+        return { success: false, message: 'Shift tidak ditemukan atau sudah dihapus.', notFound: true };
+    }
+    if (shift.status !== ShiftStatuses.OPEN) {
+        return { success: false, message: `Shift ${shift.code} sudah ditutup.`, conflict: true };
+    }
+
+    const isOwner = shift.operator.operatorId.toString() === reqUser._id.toString();
+    // spvarea only supervises the outlets it is assigned to
+    const isSupervisor = reqUser.roles.includes(Roles.admin)
+        || (!isOwner && await hasOutletRole(reqUser, shift.outlet.outletId, Roles.spvarea));
+    if (!isOwner && !isSupervisor) {
+        return { success: false, message: 'Anda tidak diizinkan menutup shift ini.', forbidden: true };
+    }
+
+    const errors = [];
+    const counted = {};
+    const countedInput = {
+        [PaymentMethods.CASH]: data.countedCash,
+        [PaymentMethods.TRANSFER]: data.countedTransfer,
+        [PaymentMethods.QRIS]: data.countedQris,
+    };
+    for (const [method, value] of Object.entries(countedInput)) {
+        if (value === undefined || value === null || value === '') {
+            counted[method] = null;
+            continue;
+        }
+        const parsed = Number(value);
+        if (isNaN(parsed) || parsed < 0) {
+            errors.push(`Jumlah terhitung untuk '${method}' harus berupa angka non-negatif.`);
+        } else {
+            counted[method] = parsed;
+        }
+    }
+    if (counted[PaymentMethods.CASH] === null && !errors.length) {
+        errors.push('Jumlah kas terhitung ("countedCash") diperlukan untuk menutup shift.');
+    }
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    try {
+        shift.closedAt = new Date();
+        const totals = await calculateShiftTotals(shift);
+
+        const difference = {};
+        Object.keys(counted).forEach(method => {
+            difference[method] = counted[method] === null ? null : counted[method] - totals.expected[method];
+        });
+
+        shift.status = ShiftStatuses.CLOSED;
+        shift.closedBy = { userId: reqUser._id, name: reqUser.name };
+        shift.closingNotes = data.notes || null;
+        shift.saleCount = totals.saleCount;
+        shift.sales = totals.sales;
+        shift.refunds = totals.refunds;
+        shift.expected = totals.expected;
+        shift.counted = counted;
+        shift.difference = difference;
+        await shift.save();
+
+        emitToOutlet(shift.outlet.outletId, SocketEvents.SHIFT_CLOSED, shift.toJSON());
+
+        return { success: true, message: `Shift ${shift.code} berhasil ditutup.`, data: shift };
+    } catch (error) {
+        console.error(`Error closing shift ${shiftId}:`, error);
+        return { success: false, message: `Kesalahan server saat menutup shift: ${error.message}` };
+    }
+};
+
+/**
+ * Returns a shift as JSON; open shifts get their running totals calculated on the fly.
+ * @param {object} shift - Shift document.
+ * @returns {Promise<object>} JSON representation of the shift.
+ */
+export const toShiftJSON = async (shift) => {
+    const json = shift.toJSON();
+    if (shift.status === ShiftStatuses.OPEN) {
+        Object.assign(json, await calculateShiftTotals(shift));
+    }
+    return json;
+};
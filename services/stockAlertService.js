@@ -0,0 +1,101 @@
+import AdminNotification from '../models/AdminNotification.js';
+import Outlet from '../models/Outlet.js';
+import { createAdminNotification } from './adminNotificationService.js';
+
+// Stock levels, ordered from healthy to worst
+export const StockLevels = {
+    OK: 'OK',
+    LOW: 'LOW',
+    OUT: 'OUT',
+};
+const LEVEL_RANK = { [StockLevels.OK]: 0, [StockLevels.LOW]: 1, [StockLevels.OUT]: 2 };
+
+/**
+ * Returns the configured reorder point of an ingredient in an OutletInventory (0 when not configured).
+ * @param {object|null} outletInventory - OutletInventory document or plain object.
+ * @param {string|object} ingredientId - The ingredient's _id.
+ * @returns {number} minQty for the ingredient.
+ */
+export const getReorderLevel = (outletInventory, ingredientId) => {
+    if (!outletInventory || !outletInventory.reorderLevels) return 0;
+    const level = outletInventory.reorderLevels.find(
+        item => item.ingredientId.toString() === ingredientId.toString()
+    );
+    return level ? Number(level.minQty) : 0;
+};
+
+/**
+ * Classifies a quantity: OUT at or below zero, LOW at or below minQty (when minQty > 0), otherwise OK.
+ * @param {number} qty - Current quantity.
+ * @param {number} minQty - Reorder point.
+ * @returns {string} One of StockLevels.
+ */
+export const getStockLevel = (qty, minQty) => {
+    if (qty <= 0) return StockLevels.OUT;
+    if (minQty > 0 && qty <= minQty) return StockLevels.LOW;
+    return StockLevels.OK;
+};
+
+// One notification per outlet/ingredient/level while it is active
+const buildTargetId = (outletId, ingredientId, level) => `${outletId}_${ingredientId}_${level}`;
+
+/**
+ * Raises a STOCK AdminNotification when an ingredient crosses into a worse stock level
+ * (OK -> LOW, OK -> OUT, LOW -> OUT). When the stock recovers above the reorder point the
+ * active STOCK notifications for that ingredient are cleared, so the next crossing alerts again.
+ * Never throws - alerts must not break the inventory update that triggered them.
+ * @param {object} params
+ * @param {string|object} params.outletId - The outlet's _id.
+ * @param {string|object} params.ingredientId - The ingredient's _id.
+ * @param {string} params.ingredientName - Ingredient name for the message.
+ * @param {string} params.unit - Ingredient unit for the message.
+ * @param {number} params.previousQty - Quantity before the change.
+ * @param {number} params.newQty - Quantity after the change.
+ * @param {number} params.minQty - Reorder point after the change.
+ * @param {number} [params.previousMinQty] - Reorder point before the change (defaults to minQty).
+ */
+export const checkStockThreshold = async ({ outletId, ingredientId, ingredientName, unit, previousQty, newQty, minQty, previousMinQty }) => {
+    try {
+        const previousLevel = getStockLevel(previousQty, previousMinQty === undefined ? minQty : previousMinQty);
+        const newLevel = getStockLevel(newQty, minQty);
+
+        if (newLevel === StockLevels.OK) {
+            if (previousLevel !== StockLevels.OK) {
+                await AdminNotification.updateMany(
+                    {
+                        type: 'STOCK',
+                        isDeleted: false,
+                        targetId: { $in: [StockLevels.LOW, StockLevels.OUT].map(level => buildTargetId(outletId, ingredientId, level)) },
+                    },
+                    { $set: { isDeleted: true } }
+                );
+            }
+            return;
+        }
+
+        if (LEVEL_RANK[newLevel] <= LEVEL_RANK[previousLevel]) return;
+
+        const outlet = await Outlet.findById(outletId).select('name');
+        const outletName = outlet ? outlet.name : outletId.toString();
+        const unitLabel = unit ? ` ${unit}` : '';
+
+        const notification = newLevel === StockLevels.OUT
+            ? {
+                title: `Stok Habis: ${ingredientName}`,
+                content: `Stok ${ingredientName} di outlet ${outletName} habis (${newQty}${unitLabel}).`,
+            }
+            : {
+                title: `Stok Menipis: ${ingredientName}`,
+                content: `Stok ${ingredientName} di outlet ${outletName} tersisa ${newQty}${unitLabel}, di bawah batas minimum ${minQty}${unitLabel}.`,
+            };
+
+        await createAdminNotification({
+            type: 'STOCK',
+            ...notification,
+            outletId,
+            targetId: buildTargetId(outletId, ingredientId, newLevel),
+        });
+    } catch (error) {
+        console.error(`Gagal memeriksa ambang stok untuk bahan ${ingredientId} di outlet ${outletId}:`, error);
+    }
+};
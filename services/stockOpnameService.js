@@ -0,0 +1,378 @@
+import mongoose from 'mongoose';
+import StockOpname from '../models/StockOpname.js';
+import Outlet from '../models/Outlet.js';
+import Ingredient from '../models/Ingredient.js';
+import OutletInventory from '../models/OutletInventory.js';
+import { StockOpnameStatuses } from '../constants/stockOpnameStatuses.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import { runInTransaction, postInventoryMovements, notifyStockChanges } from './inventoryPostingService.js';
+
+const ACTIVE_STATUSES = [StockOpnameStatuses.COUNTING, StockOpnameStatuses.SUBMITTED];
+
+const notFoundResult = () => ({ success: false, message: 'Stok opname tidak ditemukan atau sudah dihapus.', notFound: true });
+
+const statusConflictResult = (opname) => ({
+    success: false,
+    message: `Stok opname ${opname.code} sudah berstatus '${opname.status}'.`,
+    conflict: true,
+});
+
+/**
+ * Recomputes variance per counted item and the session summary (by value).
+ * @param {object} opname - StockOpname document (modified in place).
+ */
+const recalculateSummary = (opname) => {
+    const summary = { countedItems: 0, totalItems: opname.items.length, shortageValue: 0, surplusValue: 0, netVarianceValue: 0 };
+
+    for (const item of opname.items) {
+        if (item.countedQty === null || item.countedQty === undefined) {
+            item.variance = null;
+            item.varianceValue = null;
+            continue;
+        }
+        item.variance = item.countedQty - item.expectedQty;
+        item.varianceValue = item.variance * item.price;
+        summary.countedItems += 1;
+        if (item.varianceValue < 0) summary.shortageValue += Math.abs(item.varianceValue);
+        if (item.varianceValue > 0) summary.surplusValue += item.varianceValue;
+        summary.netVarianceValue += item.varianceValue;
+    }
+
+    opname.summary = summary;
+};
+
+/**
+ * Starts a count session for an outlet, snapshotting the expected quantity of every ingredient
+ * in its OutletInventory (or only `ingredientIds` when given, for a partial count).
+ * @param {object} data - { outletId, ingredientIds, notes }.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The new session.
+ */
+export const startStockOpname = async (data, userContext) => {
+    const { outletId, ingredientIds, notes } = data;
+    const errors = [];
+
+    if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+        errors.push('ID Outlet tidak valid.');
+    }
+    if (ingredientIds !== undefined && (!Array.isArray(ingredientIds) || ingredientIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+        errors.push('"ingredientIds" harus berupa array ID bahan yang valid.');
+    }
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet || outlet.isDeleted || !outlet.isActive) {
+        return { success: false, message: 'Validasi gagal.', errors: ['Outlet tidak ditemukan, sudah dihapus, atau tidak aktif.'] };
+    }
+
+    const activeSession = await StockOpname.findOne({ 'outlet.outletId': outlet._id, status: { $in: ACTIVE_STATUSES }, isDeleted: false });
+    if (activeSession) {
+        return { success: false, message: `Masih ada stok opname aktif (${activeSession.code}) untuk outlet ini.`, conflict: true };
+    }
+
+    const outletInventory = await OutletInventory.findById(outlet._id);
+    const stockById = new Map(
+        (outletInventory?.ingredients || []).map(item => [item.ingredientId.toString(), item.currentQty])
+    );
+
+    const ingredientFilter = ingredientIds && ingredientIds.length > 0
+        ? { _id: { $in: ingredientIds } }
+        : { _id: { $in: Array.from(stockById.keys()) } };
+    const ingredients = await Ingredient.find({ ...ingredientFilter, isDeleted: false }).sort({ name: 1 });
+    if (ingredients.length === 0) {
+        return { success: false, message: 'Validasi gagal.', errors: ['Tidak ada bahan yang dapat dihitung untuk outlet ini.'] };
+    }
+
+    try {
+        const opname = new StockOpname({
+            outlet: { outletId: outlet._id, name: outlet.name, address: outlet.address },
+            items: ingredients.map(ingredient => ({
+                ingredientId: ingredient._id,
+                name: ingredient.name,
+                unit: ingredient.unit,
+                price: ingredient.price,
+                expectedQty: stockById.get(ingredient._id.toString()) || 0,
+            })),
+            notes: notes || null,
+            startedAt: new Date(),
+            startedBy: { userId: userContext.userId, name: userContext.userName },
+        });
+        recalculateSummary(opname);
+        await opname.save();
+
+        return { success: true, message: `Stok opname ${opname.code} dimulai untuk ${opname.items.length} bahan.`, data: opname };
+    } catch (error) {
+        if (error.code === 11000) {
+            return { success: false, message: 'Masih ada stok opname aktif untuk outlet ini.', conflict: true };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Records counted quantities. Can be called repeatedly (e.g. from several phones) while the session is counting;
+ * a later count for the same ingredient overwrites the earlier one. The expected quantity of each counted line
+ * is re-read from the OutletInventory at that moment, so stock posted since the session started (e.g. sales)
+ * is not counted as variance.
+ * @param {string} opnameId - The session's _id.
+ * @param {Array<{ ingredientId: string, countedQty: number, notes?: string }>} counts - Counted lines.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The updated session.
+ */
+export const recordCounts = async (opnameId, counts, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(opnameId)) {
+        return { success: false, message: 'Format ID Stok Opname tidak valid.' };
+    }
+    if (!Array.isArray(counts) || counts.length === 0) {
+        return { success: false, message: 'Validasi gagal.', errors: ['"counts" harus berupa array dan tidak boleh kosong.'] };
+    }
+
+    const opname = await StockOpname.findById(opnameId);
+    if (!opname || opname.isDeleted) return notFoundResult();
+    if (opname.status !== StockOpnameStatuses.COUNTING) return statusConflictResult(opname);
+
+    const errors = [];
+    const itemIndexById = new Map(opname.items.map((item, index) => [item.ingredientId.toString(), index]));
+    const now = new Date();
+    const outletInventory = await OutletInventory.findById(opname.outlet.outletId);
+    const stockById = new Map(
+        (outletInventory?.ingredients || []).map(item => [item.ingredientId.toString(), item.currentQty])
+    );
+
+    counts.forEach((count, position) => {
+        const index = count && count.ingredientId ? itemIndexById.get(count.ingredientId.toString()) : undefined;
+        if (index === undefined) {
+            errors.push(`Baris ke-${position + 1}: Bahan tidak termasuk dalam stok opname ini.`);
+            return;
+        }
+        const countedQty = Number(count.countedQty);
+        if (count.countedQty === null || count.countedQty === undefined || count.countedQty === '' || isNaN(countedQty) || countedQty < 0) {
+            errors.push(`Baris ke-${position + 1} (${opname.items[index].name}): Jumlah terhitung harus berupa angka non-negatif.`);
+            return;
+        }
+        const item = opname.items[index];
+        item.expectedQty = stockById.get(item.ingredientId.toString()) || 0;
+        item.countedQty = countedQty;
+        item.notes = count.notes !== undefined ? count.notes : item.notes;
+        item.countedBy = { userId: userContext.userId, name: userContext.userName };
+        item.countedAt = now;
+    });
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    recalculateSummary(opname);
+    await opname.save();
+
+    return { success: true, message: `${counts.length} jumlah terhitung berhasil disimpan.`, data: opname };
+};
+
+/**
+ * Finishes counting and hands the session to a supervisor for approval.
+ * Ingredients that were not counted are left out of the adjustment.
+ * @param {string} opnameId - The session's _id.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The submitted session.
+ */
+export const submitStockOpname = async (opnameId, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(opnameId)) {
+        return { success: false, message: 'Format ID Stok Opname tidak valid.' };
+    }
+
+    const opname = await StockOpname.findOneAndUpdate(
+        { _id: opnameId, status: StockOpnameStatuses.COUNTING, isDeleted: false, 'summary.countedItems': { $gt: 0 } },
+        {
+            $set: {
+                status: StockOpnameStatuses.SUBMITTED,
+                submittedAt: new Date(),
+                submittedBy: { userId: userContext.userId, name: userContext.userName },
+            }
+        },
+        { new: true }
+    );
+    if (!opname) {
+        const existing = await StockOpname.findById(opnameId);
+        if (!existing || existing.isDeleted) return notFoundResult();
+        if (existing.status !== StockOpnameStatuses.COUNTING) return statusConflictResult(existing);
+        return { success: false, message: 'Validasi gagal.', errors: ['Belum ada bahan yang dihitung.'] };
+    }
+
+    return { success: true, message: `Stok opname ${opname.code} berhasil diajukan untuk persetujuan.`, data: opname };
+};
+
+/**
+ * Approves a submitted session and posts one ADJUSTMENT transaction per counted ingredient with a
+ * non-zero variance (source STOCK_OPNAME, ref = session code). The variance is taken against the stock
+ * recorded when the line was counted, so movements posted after the count (e.g. sales) are kept on top
+ * of the counted quantity. The status change and the postings are committed in one transaction.
+ * @param {string} opnameId - The session's _id.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The approved session.
+ */
+export const approveStockOpname = async (opnameId, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(opnameId)) {
+        return { success: false, message: 'Format ID Stok Opname tidak valid.' };
+    }
+
+    const result = await runInTransaction(async (session) => {
+        // Only a submitted session can be claimed, so a double click cannot post the adjustments twice
+        const opname = await StockOpname.findOneAndUpdate(
+            { _id: opnameId, status: StockOpnameStatuses.SUBMITTED, isDeleted: false },
+            {
+                $set: {
+                    status: StockOpnameStatuses.APPROVED,
+                    resolvedAt: new Date(),
+                    resolvedBy: { userId: userContext.userId, name: userContext.userName },
+                }
+            },
+            { new: true, session }
+        );
+        if (!opname) return null;
+
+        // Counts may have been saved concurrently from several devices, so recompute before posting
+        recalculateSummary(opname);
+
+        const adjustedItems = opname.items.filter(item => item.variance !== null && item.variance !== 0);
+        const { transactions, stockChanges } = await postInventoryMovements({
+            outletId: opname.outlet.outletId,
+            transactionType: TransactionTypes.ADJUSTMENT,
+            sourceType: SourceTypes.STOCK_OPNAME,
+            ref: opname.code,
+            user: { _id: userContext.userId, name: userContext.userName },
+            movements: adjustedItems.map(item => ({
+                ingredientId: item.ingredientId,
+                qty: item.variance,
+                price: item.price,
+                notes: `Stok opname ${opname.code}: tercatat ${item.expectedQty}, terhitung ${item.countedQty} ${item.unit}.`,
+            })),
+        }, session);
+        adjustedItems.forEach((item, index) => {
+            item.outletInventoryTransactionId = transactions[index]._id;
+        });
+
+        await opname.save({ session });
+        return { opname, stockChanges };
+    });
+
+    if (!result) {
+        const existing = await StockOpname.findById(opnameId);
+        if (!existing || existing.isDeleted) return notFoundResult();
+        return statusConflictResult(existing);
+    }
+    await notifyStockChanges(result.stockChanges);
+
+    const { opname, stockChanges } = result;
+    return { success: true, message: `Stok opname ${opname.code} disetujui, ${stockChanges.length} penyesuaian stok diposting.`, data: opname };
+};
+
+/**
+ * Cancels a session that has not been approved yet. No stock changes.
+ * @param {string} opnameId - The session's _id.
+ * @param {string} reason - Why the session was cancelled.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The cancelled session.
+ */
+export const cancelStockOpname = async (opnameId, reason, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(opnameId)) {
+        return { success: false, message: 'Format ID Stok Opname tidak valid.' };
+    }
+
+    const opname = await StockOpname.findOneAndUpdate(
+        { _id: opnameId, status: { $in: ACTIVE_STATUSES }, isDeleted: false },
+        {
+            $set: {
+                status: StockOpnameStatuses.CANCELLED,
+                cancellationReason: reason || null,
+                resolvedAt: new Date(),
+                resolvedBy: { userId: userContext.userId, name: userContext.userName },
+            }
+        },
+        { new: true }
+    );
+    if (!opname) {
+        const existing = await StockOpname.findById(opnameId);
+        if (!existing || existing.isDeleted) return notFoundResult();
+        return statusConflictResult(existing);
+    }
+
+    return { success: true, message: `Stok opname ${opname.code} dibatalkan.`, data: opname };
+};
+
+/**
+ * Variance report of approved sessions, grouped per ingredient and sorted by the absolute variance value.
+ * @param {object} filters - { outletId, outletCondition, dateFrom, dateTo } (dates filter on approval time).
+ *   `outletCondition` (ObjectId or `{ $in: [...] }`) takes precedence over `outletId` when given.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} Totals and per-ingredient lines.
+ */
+export const getVarianceReport = async (filters) => {
+    const { outletId, outletCondition, dateFrom, dateTo } = filters;
+    const errors = [];
+    const match = { status: StockOpnameStatuses.APPROVED, isDeleted: false };
+
+    if (outletCondition) {
+        match['outlet.outletId'] = outletCondition;
+    } else if (outletId) {
+        if (!mongoose.Types.ObjectId.isValid(outletId)) {
+            errors.push('ID Outlet tidak valid untuk filter.');
+        } else {
+            match['outlet.outletId'] = new mongoose.Types.ObjectId(outletId);
+        }
+    }
+    if (dateFrom || dateTo) {
+        match.resolvedAt = {};
+        if (dateFrom) {
+            const d = new Date(dateFrom);
+            if (isNaN(d.getTime())) errors.push('Format tanggal "dateFrom" tidak valid.');
+            else match.resolvedAt.$gte = d;
+        }
+        if (dateTo) {
+            const d = new Date(dateTo);
+            if (isNaN(d.getTime())) errors.push('Format tanggal "dateTo" tidak valid.');
+            else match.resolvedAt.$lte = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+        }
+    }
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const items = await StockOpname.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        { $match: { 'items.variance': { $nin: [null, 0] } } },
+        {
+            $group: {
+                _id: { outletId: '$outlet.outletId', ingredientId: '$items.ingredientId' },
+                outletName: { $last: '$outlet.name' },
+                name: { $last: '$items.name' },
+                unit: { $last: '$items.unit' },
+                sessions: { $sum: 1 },
+                variance: { $sum: '$items.variance' },
+                varianceValue: { $sum: '$items.varianceValue' },
+                shortageValue: { $sum: { $cond: [{ $lt: ['$items.varianceValue', 0] }, { $abs: '$items.varianceValue' }, 0] } },
+                surplusValue: { $sum: { $cond: [{ $gt: ['$items.varianceValue', 0] }, '$items.varianceValue', 0] } },
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                outletId: '$_id.outletId',
+                outletName: 1,
+                ingredientId: '$_id.ingredientId',
+                name: 1,
+                unit: 1,
+                sessions: 1,
+                variance: 1,
+                varianceValue: 1,
+                shortageValue: 1,
+                surplusValue: 1,
+                absoluteVarianceValue: { $abs: '$varianceValue' },
+            }
+        },
+        { $sort: { absoluteVarianceValue: -1 } },
+    ]);
+
+    const totals = items.reduce((acc, item) => ({
+        shortageValue: acc.shortageValue + item.shortageValue,
+        surplusValue: acc.surplusValue + item.surplusValue,
+        netVarianceValue: acc.netVarianceValue + item.varianceValue,
+    }), { shortageValue: 0, surplusValue: 0, netVarianceValue: 0 });
+
+    return { success: true, data: { totals, items } };
+};
@@ -0,0 +1,405 @@
+import mongoose from 'mongoose';
+import Transfer from '../models/Transfer.js';
+import Outlet from '../models/Outlet.js';
+import Ingredient from '../models/Ingredient.js';
+import { TransferStatuses, TransferDiscrepancyTypes } from '../constants/transferStatuses.js';
+import { TransactionTypes } from '../constants/transactionTypes.js';
+import { SourceTypes } from '../constants/sourceTypes.js';
+import { SocketEvents } from '../constants/socketEvents.js';
+import { runInTransaction, postInventoryMovements, notifyStockChanges } from './inventoryPostingService.js';
+import { emitToOutlet } from '../socket/index.js';
+
+const notFoundResult = () => ({ success: false, message: 'Transfer tidak ditemukan atau sudah dihapus.', notFound: true });
+
+const statusConflictResult = (transfer) => ({
+    success: false,
+    message: `Transfer ${transfer.code} sudah berstatus '${transfer.status}'.`,
+    conflict: true,
+});
+
+const toOutletSnapshot = (outlet) => ({ outletId: outlet._id, name: outlet.name, address: outlet.address });
+
+/**
+ * Posts transfer lines of one outlet and transaction type within the caller's transaction.
+ * @param {object} transfer - Transfer document (for the code).
+ * @param {object} outlet - Outlet snapshot the transactions belong to.
+ * @param {string} transactionType - TransactionTypes value.
+ * @param {Array<{ item: object, qty: number, notes: string }>} lines - Quantity per transfer item (sign is
+ *   normalised by the OIT pre-save hook).
+ * @param {object} userContext - { userId, userName }.
+ * @param {import('mongoose').ClientSession} session - Session of the running transaction.
+ * @returns {Promise<{ transactions: object[], stockChanges: object[] }>} Transactions in the order of `lines`.
+ */
+const postTransferLines = (transfer, outlet, transactionType, lines, userContext, session) => postInventoryMovements({
+    outletId: outlet.outletId,
+    transactionType,
+    sourceType: SourceTypes.TRANSFER,
+    ref: transfer.code,
+    user: { _id: userContext.userId, name: userContext.userName },
+    movements: lines.map(({ item, qty, notes }) => ({ ingredientId: item.ingredientId, qty, price: item.price, notes })),
+}, session);
+
+const emitStatusChanged = (transfer, previousStatus, userContext) => {
+    const payload = {
+        transferId: transfer._id,
+        code: transfer.code,
+        previousStatus,
+        status: transfer.status,
+        sourceOutletId: transfer.sourceOutlet.outletId,
+        destinationOutletId: transfer.destinationOutlet.outletId,
+        changedBy: { userId: userContext.userId, name: userContext.userName },
+    };
+    emitToOutlet(transfer.sourceOutlet.outletId, SocketEvents.TRANSFER_STATUS_CHANGED, payload);
+    emitToOutlet(transfer.destinationOutlet.outletId, SocketEvents.TRANSFER_STATUS_CHANGED, payload);
+};
+
+/**
+ * Requests ingredients from another outlet. No stock moves until the source dispatches.
+ * @param {object} data - { sourceOutletId, destinationOutletId, items: [{ ingredientId, qty, notes }], notes }.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The new transfer.
+ */
+export const requestTransfer = async (data, userContext) => {
+    const { sourceOutletId, destinationOutletId, items, notes } = data;
+    const errors = [];
+
+    const loadOutlet = async (outletId, label) => {
+        if (!outletId || !mongoose.Types.ObjectId.isValid(outletId)) {
+            errors.push(`ID Outlet ${label} tidak valid.`);
+            return null;
+        }
+        const outlet = await Outlet.findById(outletId);
+        if (!outlet || outlet.isDeleted || !outlet.isActive) {
+            errors.push(`Outlet ${label} tidak ditemukan, sudah dihapus, atau tidak aktif.`);
+            return null;
+        }
+        return outlet;
+    };
+
+    const sourceOutlet = await loadOutlet(sourceOutletId, 'asal');
+    const destinationOutlet = await loadOutlet(destinationOutletId, 'tujuan');
+    if (sourceOutlet && destinationOutlet && sourceOutlet._id.equals(destinationOutlet._id)) {
+        errors.push('Outlet asal dan tujuan tidak boleh sama.');
+    }
+
+    const processedItems = [];
+    if (!Array.isArray(items) || items.length === 0) {
+        errors.push('Item transfer ("items") harus berupa array dan tidak boleh kosong.');
+    } else {
+        const ingredientIds = items
+            .map(item => item && item.ingredientId)
+            .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+        const ingredients = await Ingredient.find({ _id: { $in: ingredientIds } });
+        const ingredientById = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient]));
+        const seen = new Set();
+
+        items.forEach((item, index) => {
+            if (!item || !item.ingredientId || !mongoose.Types.ObjectId.isValid(item.ingredientId)) {
+                errors.push(`Item ke-${index + 1}: ID bahan tidak valid.`);
+                return;
+            }
+            const ingredient = ingredientById.get(item.ingredientId.toString());
+            if (!ingredient || ingredient.isDeleted || !ingredient.isActive) {
+                errors.push(`Item ke-${index + 1}: Bahan dengan ID '${item.ingredientId}' tidak ditemukan, sudah dihapus, atau tidak aktif.`);
+                return;
+            }
+            if (seen.has(item.ingredientId.toString())) {
+                errors.push(`Item ke-${index + 1} (${ingredient.name}): Bahan tidak boleh diulang dalam satu transfer.`);
+                return;
+            }
+            const qty = Number(item.qty);
+            if (isNaN(qty) || qty <= 0) {
+                errors.push(`Item ke-${index + 1} (${ingredient.name}): Jumlah harus berupa angka lebih dari 0.`);
+                return;
+            }
+            seen.add(item.ingredientId.toString());
+            processedItems.push({
+                ingredientId: ingredient._id,
+                name: ingredient.name,
+                unit: ingredient.unit,
+                price: ingredient.price,
+                requestedQty: qty,
+                notes: item.notes || null,
+            });
+        });
+    }
+
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const transfer = await Transfer.create({
+        sourceOutlet: toOutletSnapshot(sourceOutlet),
+        destinationOutlet: toOutletSnapshot(destinationOutlet),
+        items: processedItems,
+        notes: notes || null,
+        requestedBy: { userId: userContext.userId, name: userContext.userName },
+        requestedAt: new Date(),
+    });
+
+    emitStatusChanged(transfer, null, userContext);
+
+    return { success: true, message: `Permintaan transfer ${transfer.code} berhasil dibuat.`, data: transfer };
+};
+
+/**
+ * Dispatches a requested transfer from the source outlet and posts one OUT transaction per line at the source.
+ * Dispatched quantities default to the requested ones; a line can be dispatched as 0 when unavailable.
+ * The status change and the postings are committed in one transaction.
+ * @param {string} transferId - The transfer's _id.
+ * @param {object} data - { items: [{ ingredientId, dispatchedQty }] } (optional).
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The dispatched transfer.
+ */
+export const dispatchTransfer = async (transferId, data, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(transferId)) {
+        return { success: false, message: 'Format ID Transfer tidak valid.' };
+    }
+
+    const existing = await Transfer.findById(transferId);
+    if (!existing || existing.isDeleted) return notFoundResult();
+    if (existing.status !== TransferStatuses.REQUESTED) return statusConflictResult(existing);
+
+    const errors = [];
+    const overrides = new Map();
+    if (data.items !== undefined) {
+        if (!Array.isArray(data.items)) {
+            errors.push('"items" harus berupa array.');
+        } else {
+            data.items.forEach((line, index) => {
+                const item = line && line.ingredientId
+                    ? existing.items.find(i => i.ingredientId.toString() === line.ingredientId.toString())
+                    : null;
+                const qty = Number(line && line.dispatchedQty);
+                if (!item) {
+                    errors.push(`Baris ke-${index + 1}: Bahan tidak termasuk dalam transfer ini.`);
+                } else if (isNaN(qty) || qty < 0) {
+                    errors.push(`Baris ke-${index + 1} (${item.name}): Jumlah dikirim harus berupa angka non-negatif.`);
+                } else {
+                    overrides.set(item.ingredientId.toString(), qty);
+                }
+            });
+        }
+    }
+    const dispatchedQtys = existing.items.map(item => {
+        const key = item.ingredientId.toString();
+        return overrides.has(key) ? overrides.get(key) : item.requestedQty;
+    });
+    if (!errors.length && dispatchedQtys.every(qty => qty === 0)) {
+        errors.push('Minimal satu bahan harus dikirim. Batalkan transfer jika tidak ada bahan yang dapat dikirim.');
+    }
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const result = await runInTransaction(async (session) => {
+        // Only a requested transfer can be claimed, so a double click cannot post the stock twice
+        const transfer = await Transfer.findOneAndUpdate(
+            { _id: transferId, status: TransferStatuses.REQUESTED, isDeleted: false },
+            {
+                $set: {
+                    status: TransferStatuses.DISPATCHED,
+                    dispatchedBy: { userId: userContext.userId, name: userContext.userName },
+                    dispatchedAt: new Date(),
+                }
+            },
+            { new: true, session }
+        );
+        if (!transfer) return null;
+
+        const dispatchedItems = [];
+        transfer.items.forEach((item, index) => {
+            item.dispatchedQty = dispatchedQtys[index];
+            if (item.dispatchedQty > 0) dispatchedItems.push(item);
+        });
+        const { transactions, stockChanges } = await postTransferLines(
+            transfer, transfer.sourceOutlet, TransactionTypes.OUT,
+            dispatchedItems.map(item => ({
+                item,
+                qty: item.dispatchedQty,
+                notes: `Transfer ${transfer.code}: ${item.name} dikirim ke ${transfer.destinationOutlet.name}.`,
+            })),
+            userContext, session
+        );
+        dispatchedItems.forEach((item, index) => {
+            item.dispatchTransactionId = transactions[index]._id;
+        });
+
+        await transfer.save({ session });
+        return { transfer, stockChanges };
+    });
+    if (!result) {
+        const current = await Transfer.findById(transferId);
+        if (!current || current.isDeleted) return notFoundResult();
+        return statusConflictResult(current);
+    }
+    const { transfer, stockChanges } = result;
+    await notifyStockChanges(stockChanges);
+
+    emitStatusChanged(transfer, TransferStatuses.REQUESTED, userContext);
+
+    return { success: true, message: `Transfer ${transfer.code} berhasil dikirim.`, data: transfer };
+};
+
+/**
+ * Confirms receipt at the destination and posts the IN transactions there. Received quantities default to
+ * the dispatched ones. A shortfall needs a `discrepancyType`:
+ * - 'spoilage': the full dispatched quantity is booked IN and the shortfall is written off as SPOILAGE.
+ * - 'discrepancy': only the received quantity is booked IN; the shortfall is recorded on the transfer.
+ * The status change and the postings are committed in one transaction.
+ * @param {string} transferId - The transfer's _id.
+ * @param {object} data - { items: [{ ingredientId, receivedQty, discrepancyType, notes }] } (optional).
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, errors?: string[], data?: object }>} The received transfer.
+ */
+export const receiveTransfer = async (transferId, data, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(transferId)) {
+        return { success: false, message: 'Format ID Transfer tidak valid.' };
+    }
+
+    const existing = await Transfer.findById(transferId);
+    if (!existing || existing.isDeleted) return notFoundResult();
+    if (existing.status !== TransferStatuses.DISPATCHED) return statusConflictResult(existing);
+
+    const errors = [];
+    const lines = new Map();
+    if (data.items !== undefined && !Array.isArray(data.items)) {
+        errors.push('"items" harus berupa array.');
+    } else {
+        (data.items || []).forEach((line, index) => {
+            const item = line && line.ingredientId
+                ? existing.items.find(i => i.ingredientId.toString() === line.ingredientId.toString())
+                : null;
+            if (!item) {
+                errors.push(`Baris ke-${index + 1}: Bahan tidak termasuk dalam transfer ini.`);
+                return;
+            }
+            lines.set(item.ingredientId.toString(), line);
+        });
+    }
+
+    const receipts = existing.items.map(item => {
+        const line = lines.get(item.ingredientId.toString()) || {};
+        const dispatchedQty = item.dispatchedQty || 0;
+        const receivedQty = line.receivedQty === undefined || line.receivedQty === null ? dispatchedQty : Number(line.receivedQty);
+
+        if (isNaN(receivedQty) || receivedQty < 0) {
+            errors.push(`${item.name}: Jumlah diterima harus berupa angka non-negatif.`);
+        } else if (receivedQty > dispatchedQty) {
+            errors.push(`${item.name}: Jumlah diterima (${receivedQty}) melebihi jumlah dikirim (${dispatchedQty}).`);
+        } else if (receivedQty < dispatchedQty && !Object.values(TransferDiscrepancyTypes).includes(line.discrepancyType)) {
+            errors.push(`${item.name}: Selisih ${dispatchedQty - receivedQty} ${item.unit} harus diberi jenis ("discrepancyType"): ${Object.values(TransferDiscrepancyTypes).join(', ')}.`);
+        }
+
+        return {
+            receivedQty,
+            discrepancyQty: dispatchedQty - receivedQty,
+            discrepancyType: receivedQty < dispatchedQty ? line.discrepancyType : null,
+            notes: line.notes,
+        };
+    });
+    if (errors.length > 0) return { success: false, message: 'Validasi gagal.', errors };
+
+    const result = await runInTransaction(async (session) => {
+        const transfer = await Transfer.findOneAndUpdate(
+            { _id: transferId, status: TransferStatuses.DISPATCHED, isDeleted: false },
+            {
+                $set: {
+                    status: TransferStatuses.RECEIVED,
+                    receivedBy: { userId: userContext.userId, name: userContext.userName },
+                    receivedAt: new Date(),
+                }
+            },
+            { new: true, session }
+        );
+        if (!transfer) return null;
+
+        const inLines = [];
+        const spoilageLines = [];
+        for (const [index, item] of transfer.items.entries()) {
+            const receipt = receipts[index];
+            item.receivedQty = receipt.receivedQty;
+            item.discrepancyQty = receipt.discrepancyQty;
+            item.discrepancyType = receipt.discrepancyType;
+            if (receipt.notes !== undefined) item.notes = receipt.notes;
+
+            const isSpoilage = receipt.discrepancyType === TransferDiscrepancyTypes.SPOILAGE;
+            const inQty = isSpoilage ? item.dispatchedQty : item.receivedQty;
+            if (inQty > 0) {
+                inLines.push({
+                    item,
+                    qty: inQty,
+                    notes: `Transfer ${transfer.code}: ${item.name} diterima dari ${transfer.sourceOutlet.name}.`,
+                });
+            }
+            if (isSpoilage && item.discrepancyQty > 0) {
+                spoilageLines.push({
+                    item,
+                    qty: item.discrepancyQty,
+                    notes: `Transfer ${transfer.code}: ${item.discrepancyQty} ${item.unit} ${item.name} rusak saat diterima.`,
+                });
+            }
+        }
+
+        const inPosting = await postTransferLines(transfer, transfer.destinationOutlet, TransactionTypes.IN, inLines, userContext, session);
+        inLines.forEach(({ item }, index) => {
+            item.receiveTransactionId = inPosting.transactions[index]._id;
+        });
+        const spoilagePosting = await postTransferLines(transfer, transfer.destinationOutlet, TransactionTypes.SPOILAGE, spoilageLines, userContext, session);
+        spoilageLines.forEach(({ item }, index) => {
+            item.spoilageTransactionId = spoilagePosting.transactions[index]._id;
+        });
+
+        await transfer.save({ session });
+        return { transfer, stockChanges: [...inPosting.stockChanges, ...spoilagePosting.stockChanges] };
+    });
+    if (!result) {
+        const current = await Transfer.findById(transferId);
+        if (!current || current.isDeleted) return notFoundResult();
+        return statusConflictResult(current);
+    }
+    const { transfer, stockChanges } = result;
+    await notifyStockChanges(stockChanges);
+
+    emitStatusChanged(transfer, TransferStatuses.DISPATCHED, userContext);
+
+    const hasDiscrepancy = transfer.items.some(item => item.discrepancyQty > 0);
+    return {
+        success: true,
+        message: hasDiscrepancy
+            ? `Transfer ${transfer.code} diterima dengan selisih jumlah.`
+            : `Transfer ${transfer.code} berhasil diterima.`,
+        data: transfer,
+    };
+};
+
+/**
+ * Cancels a transfer that has not been dispatched yet. No stock changes.
+ * @param {string} transferId - The transfer's _id.
+ * @param {string} reason - Why the transfer was cancelled.
+ * @param {object} userContext - { userId, userName }.
+ * @returns {Promise<{ success: boolean, message?: string, data?: object }>} The cancelled transfer.
+ */
+export const cancelTransfer = async (transferId, reason, userContext) => {
+    if (!mongoose.Types.ObjectId.isValid(transferId)) {
+        return { success: false, message: 'Format ID Transfer tidak valid.' };
+    }
+
+    const transfer = await Transfer.findOneAndUpdate(
+        { _id: transferId, status: TransferStatuses.REQUESTED, isDeleted: false },
+        {
+            $set: {
+                status: TransferStatuses.CANCELLED,
+                cancellationReason: reason || null,
+                cancelledBy: { userId: userContext.userId, name: userContext.userName },
+                cancelledAt: new Date(),
+            }
+        },
+        { new: true }
+    );
+    if (!transfer) {
+        const existing = await Transfer.findById(transferId);
+        if (!existing || existing.isDeleted) return notFoundResult();
+        return statusConflictResult(existing);
+    }
+
+    emitStatusChanged(transfer, TransferStatuses.REQUESTED, userContext);
+
+    return { success: true, message: `Transfer ${transfer.code} dibatalkan.`, data: transfer };
+};
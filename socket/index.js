@@ -0,0 +1,171 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { Roles } from '../constants/roles.js';
+import { SocketRooms } from '../constants/socketEvents.js';
+import { getAssignedOutletIds } from '../services/outletAccessService.js';
+import { getActiveSession } from '../services/sessionService.js';
+
+// The Socket.IO server instance, kept here so services can emit without having access to `io`
+let ioInstance = null;
+
+// Extract the JWT from the handshake: `auth.token` (socket.io-client), Authorization header, or `?token=` query
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer')) {
+    return authHeader.split(' ')[1];
+  }
+  if (handshake.query && handshake.query.token) {
+    return handshake.query.token;
+  }
+  return null;
+};
+
+// Same checks as middleware/auth.js `protect`, adapted to the Socket.IO middleware signature
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) {
+    return next(new Error('Not authorized, no token'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+      return next(new Error('Not authorized, user not found'));
+    }
+    if (user.isDeleted || !user.isActive) {
+      return next(new Error('Not authorized, user not active or deleted'));
+    }
+    if (!(await getActiveSession(decoded.sid, user._id))) {
+      return next(new Error('Not authorized, session revoked or expired'));
+    }
+
+    socket.user = user;
+    socket.data.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('Socket JWT verification error:', error.message);
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Not authorized, token expired'));
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Not authorized, invalid token'));
+    }
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+/**
+ * Attaches authentication and room management to the Socket.IO server.
+ * Every socket joins `user:<id>`, `role:<role>` for each of its roles and `outlet:<id>` for each assigned outlet.
+ * Admins receive every outlet event through the `role:admin` room, and may additionally
+ * subscribe to a single outlet room with `outlet:subscribe` (e.g. when the dashboard is filtered).
+ * @param {import('socket.io').Server} io - The Socket.IO server created in server.js.
+ */
+const setupSocket = (io) => {
+  ioInstance = io;
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket;
+    const isAdmin = user.roles.includes(Roles.admin);
+
+    socket.join(SocketRooms.user(user._id.toString()));
+    user.roles.forEach(role => socket.join(SocketRooms.role(role)));
+
+    // Handlers are registered before the outlets are loaded so an early subscribe is not dropped; they wait for it instead
+    const assignedOutletIdsPromise = getAssignedOutletIds(user._id)
+      .then(assignedOutletIds => {
+        assignedOutletIds.forEach(outletId => socket.join(SocketRooms.outlet(outletId)));
+        return assignedOutletIds;
+      })
+      .catch(error => {
+        console.error(`Gagal memuat outlet untuk socket pengguna ${user._id}:`, error.message);
+        return [];
+      });
+
+    socket.on('outlet:subscribe', async (outletId, ack) => {
+      // Revoked sessions are disconnected by disconnectSessions; this also catches sessions that expired while connected
+      if (!(await getActiveSession(socket.data.sessionId, user._id).catch(() => null))) {
+        if (typeof ack === 'function') {
+          ack({ success: false });
+        }
+        socket.disconnect(true);
+        return;
+      }
+      const assignedOutletIds = await assignedOutletIdsPromise;
+      const allowed = isAdmin || assignedOutletIds.includes(String(outletId));
+      if (allowed) {
+        socket.join(SocketRooms.outlet(outletId));
+      }
+      if (typeof ack === 'function') {
+        ack({ success: allowed });
+      }
+    });
+
+    socket.on('outlet:unsubscribe', async (outletId) => {
+      const assignedOutletIds = await assignedOutletIdsPromise;
+      // Assigned outlet rooms are kept for the lifetime of the connection
+      if (!assignedOutletIds.includes(String(outletId))) {
+        socket.leave(SocketRooms.outlet(outletId));
+      }
+    });
+  });
+};
+
+/**
+ * Emits an outlet-scoped event to everyone assigned to that outlet and to all admins.
+ * Safe to call before setupSocket (e.g. from scripts) - the event is simply dropped.
+ * @param {string|object} outletId - The outlet the event belongs to.
+ * @param {string} event - One of SocketEvents.
+ * @param {object} payload - Event data.
+ */
+export const emitToOutlet = (outletId, event, payload) => {
+  if (!ioInstance || !outletId) return;
+  ioInstance
+    .to([SocketRooms.outlet(outletId.toString()), SocketRooms.role(Roles.admin)])
+    .emit(event, payload);
+};
+
+/**
+ * Emits an event to every connected user holding one of the given roles.
+ * @param {string|string[]} roles - Role or roles from constants/roles.js.
+ * @param {string} event - One of SocketEvents.
+ * @param {object} payload - Event data.
+ */
+export const emitToRoles = (roles, event, payload) => {
+  if (!ioInstance) return;
+  const rooms = (Array.isArray(roles) ? roles : [roles]).map(role => SocketRooms.role(role));
+  ioInstance.to(rooms).emit(event, payload);
+};
+
+/**
+ * Emits an event to every socket of a single user.
+ * @param {string|object} userId - The user's _id.
+ * @param {string} event - One of SocketEvents.
+ * @param {object} payload - Event data.
+ */
+export const emitToUser = (userId, event, payload) => {
+  if (!ioInstance || !userId) return;
+  ioInstance.to(SocketRooms.user(userId.toString())).emit(event, payload);
+};
+
+/**
+ * Disconnects every socket opened with one of the given sessions (used when sessions are revoked).
+ * @param {string[]} sessionIds - Session ids as strings.
+ */
+export const disconnectSessions = (sessionIds) => {
+  if (!ioInstance || sessionIds.length === 0) return;
+  ioInstance.fetchSockets()
+    .then(sockets => sockets
+      .filter(socket => sessionIds.includes(socket.data.sessionId))
+      .forEach(socket => socket.disconnect(true)))
+    .catch(error => console.error('Gagal memutus socket sesi yang dicabut:', error.message));
+};
+
+export default setupSocket;